@@ -0,0 +1,438 @@
+/**
+ * BigInteger - Số nguyên lớn có dấu, lưu dưới dạng mảng limb cơ số 10^7
+ * Nhân Karatsuba khi số đủ lớn, chia theo thuật toán D của Knuth
+ */
+
+import { DivisionByZeroError, InvalidOperandError } from './errors.js';
+
+// Mỗi limb chứa 7 chữ số thập phân để tích hai limb (< 10^14) vẫn nằm trong Number.MAX_SAFE_INTEGER
+const BASE = 10000000;
+const BASE_DIGITS = 7;
+
+// Từ số limb này trở lên thì nhân theo Karatsuba thay vì nhân trường học
+const KARATSUBA_THRESHOLD = 48;
+
+/**
+ * Bỏ các limb 0 ở đầu (cuối mảng)
+ * @param {number[]} limbs - Mảng limb little-endian
+ * @returns {number[]} Chính mảng đó sau khi cắt
+ */
+function trim(limbs) {
+    let length = limbs.length;
+    while (length > 0 && limbs[length - 1] === 0) length--;
+    // Gán length kể cả khi không đổi vẫn tốn kém, nên chỉ gán khi thật sự cắt
+    if (length !== limbs.length) limbs.length = length;
+    return limbs;
+}
+
+/**
+ * So sánh hai trị tuyệt đối
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 1 nếu a > b, 0 nếu a == b, -1 nếu a < b
+ */
+function compareMagnitude(a, b) {
+    if (a.length !== b.length) return a.length > b.length ? 1 : -1;
+    for (let i = a.length - 1; i >= 0; i--) {
+        if (a[i] !== b[i]) return a[i] > b[i] ? 1 : -1;
+    }
+    return 0;
+}
+
+/**
+ * Cộng hai trị tuyệt đối
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a + b
+ */
+function addMagnitude(a, b) {
+    if (a.length < b.length) [a, b] = [b, a];
+    const result = new Array(a.length + 1);
+    let carry = 0;
+    for (let i = 0; i < a.length; i++) {
+        const sum = a[i] + (i < b.length ? b[i] : 0) + carry;
+        carry = sum >= BASE ? 1 : 0;
+        result[i] = sum - carry * BASE;
+    }
+    result[a.length] = carry;
+    return trim(result);
+}
+
+/**
+ * Trừ hai trị tuyệt đối, yêu cầu a >= b
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a - b
+ */
+function subtractMagnitude(a, b) {
+    const result = new Array(a.length);
+    let borrow = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = a[i] - (i < b.length ? b[i] : 0) - borrow;
+        borrow = diff < 0 ? 1 : 0;
+        result[i] = diff + borrow * BASE;
+    }
+    return trim(result);
+}
+
+/**
+ * Nhân trường học O(n·m)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a * b
+ */
+function multiplySchoolbook(a, b) {
+    const result = new Array(a.length + b.length).fill(0);
+    for (let i = 0; i < a.length; i++) {
+        const digit = a[i];
+        if (digit === 0) continue;
+        let carry = 0;
+        for (let j = 0; j < b.length; j++) {
+            const t = result[i + j] + digit * b[j] + carry;
+            carry = Math.floor(t / BASE);
+            result[i + j] = t - carry * BASE;
+        }
+        let k = i + b.length;
+        while (carry > 0) {
+            const t = result[k] + carry;
+            carry = Math.floor(t / BASE);
+            result[k++] = t - carry * BASE;
+        }
+    }
+    return trim(result);
+}
+
+/**
+ * Dịch trái một trị tuyệt đối đi `count` limb (nhân với BASE^count)
+ * @param {number[]} a
+ * @param {number} count
+ * @returns {number[]} Trị tuyệt đối đã dịch
+ */
+function shiftLimbs(a, count) {
+    if (a.length === 0) return [];
+    return new Array(count).fill(0).concat(a);
+}
+
+/**
+ * Nhân Karatsuba, quay về nhân trường học khi một thừa số nhỏ hơn ngưỡng
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a * b
+ */
+function multiplyMagnitude(a, b) {
+    if (a.length === 0 || b.length === 0) return [];
+    if (a.length === 1 && b.length === 1) {
+        // Tích hai limb nhỏ hơn 10^14 nên tính thẳng trên Number
+        const product = a[0] * b[0];
+        return trim([product % BASE, Math.floor(product / BASE)]);
+    }
+    if (a.length < KARATSUBA_THRESHOLD || b.length < KARATSUBA_THRESHOLD) {
+        return multiplySchoolbook(a, b);
+    }
+    const half = Math.floor(Math.max(a.length, b.length) / 2);
+    const a0 = trim(a.slice(0, half));
+    const a1 = trim(a.slice(half));
+    const b0 = trim(b.slice(0, half));
+    const b1 = trim(b.slice(half));
+
+    const z0 = multiplyMagnitude(a0, b0);
+    const z2 = multiplyMagnitude(a1, b1);
+    const z1 = subtractMagnitude(
+        subtractMagnitude(multiplyMagnitude(addMagnitude(a0, a1), addMagnitude(b0, b1)), z0),
+        z2
+    );
+    return addMagnitude(addMagnitude(z0, shiftLimbs(z1, half)), shiftLimbs(z2, half * 2));
+}
+
+/**
+ * Nhân trị tuyệt đối với một số nhỏ hơn BASE
+ * @param {number[]} a
+ * @param {number} factor
+ * @returns {number[]} a * factor
+ */
+function multiplySmall(a, factor) {
+    const result = new Array(a.length + 1);
+    let carry = 0;
+    for (let i = 0; i < a.length; i++) {
+        const t = a[i] * factor + carry;
+        carry = Math.floor(t / BASE);
+        result[i] = t - carry * BASE;
+    }
+    result[a.length] = carry;
+    return trim(result);
+}
+
+/**
+ * Chia trị tuyệt đối cho một số nhỏ hơn BASE
+ * @param {number[]} a
+ * @param {number} divisor
+ * @returns {{quotient: number[], remainder: number}}
+ */
+function divideSmall(a, divisor) {
+    const quotient = new Array(a.length);
+    let remainder = 0;
+    for (let i = a.length - 1; i >= 0; i--) {
+        const t = remainder * BASE + a[i];
+        quotient[i] = Math.floor(t / divisor);
+        remainder = t - quotient[i] * divisor;
+    }
+    return { quotient: trim(quotient), remainder };
+}
+
+/**
+ * Chia hai trị tuyệt đối theo thuật toán D (Knuth, TAOCP tập 2, mục 4.3.1)
+ * @param {number[]} u - Số bị chia
+ * @param {number[]} v - Số chia (khác 0)
+ * @returns {{quotient: number[], remainder: number[]}}
+ */
+function divideMagnitude(u, v) {
+    if (compareMagnitude(u, v) < 0) {
+        return { quotient: [], remainder: u.slice() };
+    }
+    if (v.length === 1) {
+        const { quotient, remainder } = divideSmall(u, v[0]);
+        return { quotient, remainder: remainder === 0 ? [] : [remainder] };
+    }
+
+    // D1: chuẩn hóa để limb cao nhất của số chia >= BASE / 2
+    const n = v.length;
+    const m = u.length - n;
+    const factor = Math.floor(BASE / (v[n - 1] + 1));
+    const vn = factor === 1 ? v.slice() : multiplySmall(v, factor);
+    const un = factor === 1 ? u.slice() : multiplySmall(u, factor);
+    while (un.length < u.length + 1) un.push(0);
+
+    const quotient = new Array(m + 1).fill(0);
+    const vTop = vn[n - 1];
+    const vNext = vn[n - 2];
+
+    for (let j = m; j >= 0; j--) {
+        // D3: ước lượng thương từ hai limb cao nhất
+        const numerator = un[j + n] * BASE + un[j + n - 1];
+        let qhat = Math.floor(numerator / vTop);
+        let rhat = numerator - qhat * vTop;
+        while (qhat >= BASE || qhat * vNext > rhat * BASE + un[j + n - 2]) {
+            qhat--;
+            rhat += vTop;
+            if (rhat >= BASE) break;
+        }
+
+        // D4: nhân và trừ
+        let borrow = 0;
+        let carry = 0;
+        for (let i = 0; i < n; i++) {
+            const product = qhat * vn[i] + carry;
+            carry = Math.floor(product / BASE);
+            let diff = un[i + j] - (product - carry * BASE) - borrow;
+            borrow = diff < 0 ? 1 : 0;
+            un[i + j] = diff + borrow * BASE;
+        }
+        let top = un[j + n] - carry - borrow;
+
+        // D6: cộng bù khi ước lượng thừa một đơn vị
+        if (top < 0) {
+            qhat--;
+            let addCarry = 0;
+            for (let i = 0; i < n; i++) {
+                const sum = un[i + j] + vn[i] + addCarry;
+                addCarry = sum >= BASE ? 1 : 0;
+                un[i + j] = sum - addCarry * BASE;
+            }
+            top += addCarry;
+        }
+        un[j + n] = top;
+        quotient[j] = qhat;
+    }
+
+    // D8: bỏ chuẩn hóa phần dư
+    const remainder = trim(un.slice(0, n));
+    return {
+        quotient: trim(quotient),
+        remainder: factor === 1 ? remainder : divideSmall(remainder, factor).quotient
+    };
+}
+
+class BigInteger {
+    /**
+     * @param {boolean} negative - Dấu của số
+     * @param {number[]} limbs - Trị tuyệt đối, limb thấp nhất đứng đầu
+     */
+    constructor(negative, limbs) {
+        this.limbs = trim(limbs);
+        this.negative = negative && this.limbs.length > 0;
+        Object.freeze(this);
+    }
+
+    /**
+     * Tạo BigInteger từ chuỗi số nguyên, Number nguyên hoặc BigInt
+     * @param {number|string|BigInt|BigInteger} value - Giá trị đầu vào
+     * @returns {BigInteger}
+     */
+    static parse(value) {
+        if (value instanceof BigInteger) {
+            return value;
+        }
+        const match = /^([+-]?)0*(\d+)$/.exec(String(value).trim());
+        if (!match) {
+            throw new InvalidOperandError(value, { vi: 'Số nguyên không hợp lệ', en: 'Invalid integer' });
+        }
+        const [, sign, digits] = match;
+        const limbs = [];
+        for (let end = digits.length; end > 0; end -= BASE_DIGITS) {
+            limbs.push(parseInt(digits.slice(Math.max(0, end - BASE_DIGITS), end), 10));
+        }
+        return new BigInteger(sign === '-', limbs);
+    }
+
+    /**
+     * Có phải số 0 không
+     * @returns {boolean}
+     */
+    isZero() {
+        return this.limbs.length === 0;
+    }
+
+    /**
+     * Số đối
+     * @returns {BigInteger}
+     */
+    negate() {
+        return new BigInteger(!this.negative, this.limbs.slice());
+    }
+
+    /**
+     * Giá trị tuyệt đối
+     * @returns {BigInteger}
+     */
+    abs() {
+        return this.negative ? new BigInteger(false, this.limbs.slice()) : this;
+    }
+
+    /**
+     * So sánh với một số khác
+     * @param {BigInteger} other
+     * @returns {number} 1 nếu lớn hơn, 0 nếu bằng, -1 nếu nhỏ hơn
+     */
+    compare(other) {
+        if (this.negative !== other.negative) {
+            return this.negative ? -1 : 1;
+        }
+        const cmp = compareMagnitude(this.limbs, other.limbs);
+        return this.negative ? -cmp : cmp;
+    }
+
+    /**
+     * Phép cộng
+     * @param {BigInteger} other
+     * @returns {BigInteger}
+     */
+    add(other) {
+        if (this.negative === other.negative) {
+            return new BigInteger(this.negative, addMagnitude(this.limbs, other.limbs));
+        }
+        const cmp = compareMagnitude(this.limbs, other.limbs);
+        if (cmp === 0) {
+            return new BigInteger(false, []);
+        }
+        return cmp > 0
+            ? new BigInteger(this.negative, subtractMagnitude(this.limbs, other.limbs))
+            : new BigInteger(other.negative, subtractMagnitude(other.limbs, this.limbs));
+    }
+
+    /**
+     * Phép trừ
+     * @param {BigInteger} other
+     * @returns {BigInteger}
+     */
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    /**
+     * Phép nhân
+     * @param {BigInteger} other
+     * @returns {BigInteger}
+     */
+    multiply(other) {
+        return new BigInteger(this.negative !== other.negative, multiplyMagnitude(this.limbs, other.limbs));
+    }
+
+    /**
+     * Phép chia lấy thương và số dư, thương làm tròn về 0 (số dư cùng dấu với số bị chia)
+     * @param {BigInteger} other - Số chia
+     * @returns {{quotient: BigInteger, remainder: BigInteger}}
+     */
+    divmod(other) {
+        if (other.isZero()) {
+            throw new DivisionByZeroError();
+        }
+        const { quotient, remainder } = divideMagnitude(this.limbs, other.limbs);
+        return {
+            quotient: new BigInteger(this.negative !== other.negative, quotient),
+            remainder: new BigInteger(this.negative, remainder)
+        };
+    }
+
+    /**
+     * Ước chung lớn nhất (luôn không âm), theo thuật toán Euclid
+     * @param {BigInteger} other
+     * @returns {BigInteger}
+     */
+    gcd(other) {
+        let a = this.abs();
+        let b = other.abs();
+        while (!b.isZero()) {
+            // Khi cả hai số đều vừa một limb thì tính tiếp trên Number
+            if (a.limbs.length === 1 && b.limbs.length === 1) {
+                let [x, y] = [a.limbs[0], b.limbs[0]];
+                while (y !== 0) {
+                    [x, y] = [y, x % y];
+                }
+                return new BigInteger(false, [x]);
+            }
+            [a, b] = [b, a.divmod(b).remainder];
+        }
+        return a;
+    }
+
+    /**
+     * Lũy thừa với số mũ nguyên không âm (bình phương và nhân)
+     * @param {number|BigInt} exponent
+     * @returns {BigInteger}
+     */
+    pow(exponent) {
+        let remaining = BigInt(exponent);
+        if (remaining < 0n) {
+            throw new InvalidOperandError(exponent, { vi: 'Số mũ phải không âm', en: 'Exponent must be non-negative' });
+        }
+        let result = BigInteger.parse(1);
+        let factor = this;
+        while (remaining > 0n) {
+            if (remaining & 1n) {
+                result = result.multiply(factor);
+            }
+            remaining >>= 1n;
+            if (remaining > 0n) {
+                factor = factor.multiply(factor);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Chuỗi thập phân của số
+     * @returns {string}
+     */
+    toString() {
+        if (this.isZero()) {
+            return '0';
+        }
+        let result = String(this.limbs[this.limbs.length - 1]);
+        for (let i = this.limbs.length - 2; i >= 0; i--) {
+            result += String(this.limbs[i]).padStart(BASE_DIGITS, '0');
+        }
+        return this.negative ? '-' + result : result;
+    }
+}
+
+export default BigInteger;
@@ -0,0 +1,292 @@
+/**
+ * Calculation Chain - Chuỗi phép tính liên tiếp có ghi lại lịch sử từng bước
+ * Ví dụ: calculator.chain("100").add("2.5").multiply(3).divide(7).round(2).value()
+ * Lịch sử có thể xuất ra JSON, chạy lại (replay), quay lui (undo) và in thành bản giải trình
+ */
+
+import { CalculatorError } from './errors.js';
+import Fraction from './Fraction.js';
+import Numeric from './Numeric.js';
+
+// Ký hiệu của từng phép toán trong bản giải trình
+const OPERATION_SYMBOLS = {
+    add: '+',
+    subtract: '-',
+    multiply: '×',
+    divide: '÷',
+    power: '^',
+    mod: 'mod'
+};
+
+// Nội dung bản giải trình theo ngôn ngữ
+const AUDIT_LABELS = {
+    vi: { start: 'Bắt đầu', round: 'Làm tròn', digits: 'chữ số', bigint: 'số nguyên lớn' },
+    en: { start: 'Start', round: 'Round', digits: 'digits', bigint: 'big integer' }
+};
+
+/**
+ * Ghi toán hạng kèm kiểu để replay chọn đúng chế độ tính như lần chạy gốc
+ * @param {any} value - Toán hạng
+ * @returns {{type: string, value: string}}
+ */
+function serializeOperand(value) {
+    if (value instanceof Fraction) return { type: 'fraction', value: value.toString() };
+    if (value instanceof Numeric) return { type: 'numeric', value: value.toString() };
+    return { type: typeof value, value: String(value) };
+}
+
+/**
+ * Khôi phục toán hạng đã ghi bởi serializeOperand
+ * @param {{type: string, value: string}} operand
+ * @returns {any}
+ */
+function deserializeOperand({ type, value }) {
+    switch (type) {
+        case 'fraction': return Fraction.from(value);
+        case 'numeric': return Numeric.from(value);
+        case 'number': return Number(value);
+        case 'bigint': return BigInt(value);
+        default: return value;
+    }
+}
+
+class CalculationChain {
+    #calculator;
+    #steps;
+
+    /**
+     * Nên tạo qua calculator.chain(value) thay vì gọi trực tiếp
+     * @param {CalculatorService} calculator - Service thực hiện các phép toán
+     * @param {Array<Object>} steps - Các bước đã thực hiện, bước đầu tiên là giá trị khởi tạo
+     */
+    constructor(calculator, steps) {
+        this.#calculator = calculator;
+        this.#steps = Object.freeze(steps);
+        Object.freeze(this);
+    }
+
+    /**
+     * Bắt đầu chuỗi phép tính từ một giá trị
+     * @param {CalculatorService} calculator - Service thực hiện các phép toán
+     * @param {Numeric|number|string|BigInt|Fraction} initial - Giá trị khởi tạo
+     * @returns {CalculationChain}
+     */
+    static start(calculator, initial) {
+        const value = initial instanceof Fraction ? initial : Numeric.from(initial);
+        return new CalculationChain(calculator, [Object.freeze({
+            step: 0,
+            operation: 'start',
+            operands: [serializeOperand(initial)],
+            options: {},
+            value,
+            mode: calculator.modeOf(initial, initial)
+        })]);
+    }
+
+    /**
+     * Chạy lại một chuỗi phép tính đã xuất bằng toJSON() và kiểm tra từng kết quả trung gian
+     * @param {CalculatorService} calculator - Service thực hiện các phép toán
+     * @param {Object|string} json - Kết quả của toJSON() hoặc chuỗi JSON của nó
+     * @returns {CalculationChain}
+     * @throws {CalculatorError} REPLAY_MISMATCH khi một bước cho kết quả khác với bản ghi
+     */
+    static replay(calculator, json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const [start, ...steps] = data.steps;
+        let chain = CalculationChain.start(calculator, deserializeOperand(start.operands[0]));
+        chain.#assertReplayed(start);
+        for (const step of steps) {
+            const [, operand] = step.operands;
+            chain = step.operation === 'round'
+                ? chain.round(step.options.scale, step.options.roundingMode)
+                : chain.#apply(step.operation, deserializeOperand(operand), step.options);
+            chain.#assertReplayed(step);
+        }
+        return chain;
+    }
+
+    /**
+     * So sánh bước cuối của chuỗi với bản ghi khi replay
+     * @param {Object} expected - Bước đã ghi trong JSON
+     */
+    #assertReplayed(expected) {
+        const actual = this.#steps[this.#steps.length - 1];
+        if (String(actual.value) !== expected.result) {
+            throw new CalculatorError('REPLAY_MISMATCH', {
+                vi: `Bước ${expected.step} cho kết quả ${actual.value}, bản ghi là ${expected.result}`,
+                en: `Step ${expected.step} produced ${actual.value}, expected ${expected.result}`
+            }, { operation: expected.operation });
+        }
+    }
+
+    /**
+     * Thực hiện một phép toán hai ngôi với giá trị hiện tại và ghi lại bước
+     * @param {string} operation - Tên phương thức của CalculatorService
+     * @param {any} operand - Toán hạng thứ hai
+     * @param {Object} options - Tùy chọn cho lần gọi
+     * @returns {CalculationChain}
+     */
+    #apply(operation, operand, options = {}) {
+        const current = this.value();
+        const value = this.#calculator[operation](current, operand, { ...options, primitives: false });
+        return this.#push({
+            operation,
+            operands: [serializeOperand(current), serializeOperand(operand)],
+            options: { ...options },
+            value,
+            mode: this.#calculator.modeOf(current, operand)
+        });
+    }
+
+    /**
+     * Tạo chuỗi mới có thêm một bước
+     * @param {Object} step - Bước mới
+     * @returns {CalculationChain}
+     */
+    #push(step) {
+        return new CalculationChain(this.#calculator, [
+            ...this.#steps,
+            Object.freeze({ step: this.#steps.length, ...step })
+        ]);
+    }
+
+    /**
+     * @param {Numeric|number|string|BigInt|Fraction} operand
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode }
+     * @returns {CalculationChain}
+     */
+    add(operand, options) {
+        return this.#apply('add', operand, options);
+    }
+
+    /**
+     * @param {Numeric|number|string|BigInt|Fraction} operand
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode }
+     * @returns {CalculationChain}
+     */
+    subtract(operand, options) {
+        return this.#apply('subtract', operand, options);
+    }
+
+    /**
+     * @param {Numeric|number|string|BigInt|Fraction} operand
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode }
+     * @returns {CalculationChain}
+     */
+    multiply(operand, options) {
+        return this.#apply('multiply', operand, options);
+    }
+
+    /**
+     * @param {Numeric|number|string|BigInt|Fraction} operand
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode }
+     * @returns {CalculationChain}
+     */
+    divide(operand, options) {
+        return this.#apply('divide', operand, options);
+    }
+
+    /**
+     * @param {Numeric|number|BigInt} exponent
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode }
+     * @returns {CalculationChain}
+     */
+    power(exponent, options) {
+        return this.#apply('power', exponent, options);
+    }
+
+    /**
+     * @param {Numeric|number|string|BigInt} divisor
+     * @param {Object} [options] - Tùy chọn { mode } (xem CalculatorService.ModuloMode)
+     * @returns {CalculationChain}
+     */
+    mod(divisor, options) {
+        return this.#apply('mod', divisor, options);
+    }
+
+    /**
+     * Làm tròn giá trị hiện tại
+     * @param {number} [scale] - Số chữ số thập phân, mặc định là precision của service
+     * @param {string} [roundingMode] - Chế độ làm tròn, mặc định là roundingMode của service
+     * @returns {CalculationChain}
+     */
+    round(scale = this.#calculator.defaultPrecision, roundingMode = this.#calculator.roundingMode) {
+        const current = this.value();
+        return this.#push({
+            operation: 'round',
+            operands: [serializeOperand(current)],
+            options: { scale, roundingMode },
+            value: this.#calculator.round(current, scale, roundingMode, { primitives: false }),
+            mode: 'decimal'
+        });
+    }
+
+    /**
+     * Quay lại bước trước đó
+     * @returns {CalculationChain}
+     * @throws {CalculatorError} NOTHING_TO_UNDO khi chuỗi chỉ còn giá trị khởi tạo
+     */
+    undo() {
+        if (this.#steps.length === 1) {
+            throw new CalculatorError('NOTHING_TO_UNDO', {
+                vi: 'Không còn bước nào để hoàn tác',
+                en: 'There is no step to undo'
+            });
+        }
+        return new CalculationChain(this.#calculator, this.#steps.slice(0, -1));
+    }
+
+    /**
+     * Giá trị hiện tại của chuỗi
+     * @returns {Numeric|Fraction}
+     */
+    value() {
+        return this.#steps[this.#steps.length - 1].value;
+    }
+
+    /**
+     * Lịch sử các bước theo thứ tự thực hiện
+     * @returns {Array<{step: number, operation: string, operands: Array<Object>, options: Object, result: string, mode: string, bigInteger: boolean}>}
+     */
+    history() {
+        return this.#steps.map(({ step, operation, operands, options, value, mode }) => ({
+            step,
+            operation,
+            operands: operands.map(operand => ({ ...operand })),
+            options: { ...options },
+            result: String(value),
+            mode,
+            bigInteger: mode === 'bigint'
+        }));
+    }
+
+    /**
+     * @returns {{result: string, steps: Array<Object>}} Dữ liệu để lưu và replay
+     */
+    toJSON() {
+        return { result: String(this.value()), steps: this.history() };
+    }
+
+    /**
+     * Bản giải trình dễ đọc của chuỗi phép tính, mỗi bước một dòng
+     * @param {Object} [options] - Tùy chọn
+     * @param {string} [options.language] - 'vi' hoặc 'en', mặc định theo locale của service
+     * @returns {string}
+     */
+    audit({ language = this.#calculator.locale.startsWith('en') ? 'en' : 'vi' } = {}) {
+        const labels = AUDIT_LABELS[language] ?? AUDIT_LABELS.vi;
+        return this.history().map(({ step, operation, operands, options, result, bigInteger }) => {
+            let line;
+            if (operation === 'start') {
+                line = `${labels.start}: ${result}`;
+            } else if (operation === 'round') {
+                line = `${labels.round} ${operands[0].value} (${options.scale} ${labels.digits}, ${options.roundingMode}) = ${result}`;
+            } else {
+                line = `${operands[0].value} ${OPERATION_SYMBOLS[operation]} ${operands[1].value} = ${result}`;
+            }
+            return `${step}. ${line}${bigInteger ? ` [${labels.bigint}]` : ''}`;
+        }).join('\n');
+    }
+}
+
+export default CalculationChain;
@@ -0,0 +1,232 @@
+/**
+ * Expression Parser - Bộ phân tích biểu thức số học cho CalculatorService
+ * Hỗ trợ: + - * / ^, dấu ngoặc, dấu trừ một ngôi và biến có tên
+ */
+
+import { CalculatorError } from './errors.js';
+
+/**
+ * Lỗi cú pháp của biểu thức, kèm vị trí (tính từ 0) của ký tự gây lỗi
+ */
+export class ExpressionSyntaxError extends CalculatorError {
+    /**
+     * @param {{vi: string, en: string}} messages - Mô tả lỗi theo ngôn ngữ
+     * @param {number} position - Vị trí ký tự gây lỗi trong biểu thức
+     */
+    constructor(messages, position) {
+        super('EXPRESSION_SYNTAX', {
+            vi: `${messages.vi} tại vị trí ${position}`,
+            en: `${messages.en} at position ${position}`
+        });
+        this.position = position;
+    }
+}
+
+// Độ ưu tiên của toán tử hai ngôi
+const BINARY_PRECEDENCE = {
+    '+': 1,
+    '-': 1,
+    '*': 2,
+    '/': 2
+};
+
+class ExpressionParser {
+    /**
+     * @param {string} expression - Biểu thức cần phân tích
+     */
+    constructor(expression) {
+        this.expression = String(expression);
+        this.tokens = this.#tokenize(this.expression);
+        this.index = 0;
+    }
+
+    /**
+     * Phân tích biểu thức thành cây cú pháp
+     * @param {string} expression - Biểu thức, ví dụ "(price + fee) * qty / 3"
+     * @returns {Object} Nút gốc của cây cú pháp
+     */
+    static parse(expression) {
+        return new ExpressionParser(expression).parse();
+    }
+
+    /**
+     * Tách biểu thức thành các token
+     * @param {string} expression - Biểu thức cần tách
+     * @returns {Array<Object>} Danh sách token { type, value, position }
+     */
+    #tokenize(expression) {
+        const tokens = [];
+        let i = 0;
+        while (i < expression.length) {
+            const char = expression[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const number = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i.exec(expression.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', value: number[0], position: i });
+                i += number[0].length;
+                continue;
+            }
+
+            const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i));
+            if (identifier) {
+                tokens.push({ type: 'identifier', value: identifier[0], position: i });
+                i += identifier[0].length;
+                continue;
+            }
+
+            if ('+-*/^()'.includes(char)) {
+                tokens.push({ type: char === '(' || char === ')' ? 'paren' : 'operator', value: char, position: i });
+                i++;
+                continue;
+            }
+
+            throw new ExpressionSyntaxError({ vi: `Ký tự không hợp lệ '${char}'`, en: `Invalid character '${char}'` }, i);
+        }
+        tokens.push({ type: 'end', value: '', position: expression.length });
+        return tokens;
+    }
+
+    /**
+     * Token hiện tại
+     * @returns {Object} Token đang xét
+     */
+    #peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Lấy token hiện tại và chuyển sang token kế tiếp
+     * @returns {Object} Token vừa lấy
+     */
+    #next() {
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Mô tả token để đưa vào thông báo lỗi
+     * @param {Object} token - Token cần mô tả
+     * @param {string} [language='vi'] - 'vi' hoặc 'en'
+     * @returns {string} Mô tả ngắn
+     */
+    #describe(token, language = 'vi') {
+        if (token.type === 'end') {
+            return language === 'en' ? 'end of expression' : 'cuối biểu thức';
+        }
+        return `'${token.value}'`;
+    }
+
+    /**
+     * Lỗi gặp token không mong đợi
+     * @param {Object} token - Token gây lỗi
+     * @returns {ExpressionSyntaxError}
+     */
+    #unexpected(token) {
+        return new ExpressionSyntaxError({
+            vi: `Không mong đợi ${this.#describe(token)}`,
+            en: `Unexpected ${this.#describe(token, 'en')}`
+        }, token.position);
+    }
+
+    /**
+     * Phân tích toàn bộ biểu thức
+     * @returns {Object} Nút gốc của cây cú pháp
+     */
+    parse() {
+        if (this.#peek().type === 'end') {
+            throw new ExpressionSyntaxError({ vi: 'Biểu thức rỗng', en: 'Empty expression' }, 0);
+        }
+        const node = this.#parseBinary(1);
+        const token = this.#peek();
+        if (token.type !== 'end') {
+            throw this.#unexpected(token);
+        }
+        return node;
+    }
+
+    /**
+     * Phân tích toán tử hai ngôi theo độ ưu tiên (kết hợp trái)
+     * @param {number} minPrecedence - Độ ưu tiên tối thiểu
+     * @returns {Object} Nút cây cú pháp
+     */
+    #parseBinary(minPrecedence) {
+        let left = this.#parseUnary();
+        while (true) {
+            const token = this.#peek();
+            const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) {
+                return left;
+            }
+            this.#next();
+            const right = this.#parseBinary(precedence + 1);
+            left = { type: 'binary', operator: token.value, left, right, position: token.position };
+        }
+    }
+
+    /**
+     * Phân tích dấu + / - một ngôi
+     * @returns {Object} Nút cây cú pháp
+     */
+    #parseUnary() {
+        const token = this.#peek();
+        if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+            this.#next();
+            const argument = this.#parseUnary();
+            return token.value === '-'
+                ? { type: 'unary', operator: '-', argument, position: token.position }
+                : argument;
+        }
+        return this.#parsePower();
+    }
+
+    /**
+     * Phân tích lũy thừa `^` (kết hợp phải, ưu tiên cao hơn dấu trừ một ngôi)
+     * @returns {Object} Nút cây cú pháp
+     */
+    #parsePower() {
+        const base = this.#parsePrimary();
+        const token = this.#peek();
+        if (token.type === 'operator' && token.value === '^') {
+            this.#next();
+            const exponent = this.#parseUnary();
+            return { type: 'binary', operator: '^', left: base, right: exponent, position: token.position };
+        }
+        return base;
+    }
+
+    /**
+     * Phân tích số, biến hoặc biểu thức trong ngoặc
+     * @returns {Object} Nút cây cú pháp
+     */
+    #parsePrimary() {
+        const token = this.#next();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value, position: token.position };
+        }
+
+        if (token.type === 'identifier') {
+            return { type: 'variable', name: token.value, position: token.position };
+        }
+
+        if (token.type === 'paren' && token.value === '(') {
+            const node = this.#parseBinary(1);
+            const closing = this.#next();
+            if (closing.type !== 'paren' || closing.value !== ')') {
+                throw new ExpressionSyntaxError({
+                    vi: `Thiếu ')' cho '(' ở vị trí ${token.position}, gặp ${this.#describe(closing)}`,
+                    en: `Missing ')' for '(' at position ${token.position}, found ${this.#describe(closing, 'en')}`
+                }, closing.position);
+            }
+            return node;
+        }
+
+        throw this.#unexpected(token);
+    }
+}
+
+export default ExpressionParser;
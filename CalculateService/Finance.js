@@ -0,0 +1,630 @@
+/**
+ * Finance - Các hàm tài chính trên số học decimal chính xác của CalculatorService
+ * Hỗ trợ: pmt, fv, pv, nper, rate, npv, irr, xirr, quy đổi lãi suất danh nghĩa/thực và lịch trả nợ
+ *
+ * Quy ước dấu giống các bảng tính: tiền nhận vào là số dương, tiền trả ra là số âm.
+ * Ví dụ vay 100 triệu (pv = 100000000) thì khoản trả mỗi kỳ (pmt) là số âm.
+ * Lãi suất luôn là lãi suất của một kỳ, ví dụ 12%/năm trả hàng tháng thì rate = 0.01
+ */
+
+import CalculatorService from './index.js';
+import { CalculatorError, InvalidOperandError } from './errors.js';
+import Fraction from './Fraction.js';
+import Numeric from './Numeric.js';
+
+// Số chữ số thập phân tính thêm ở các bước trung gian để sai số không ảnh hưởng kết quả đã làm tròn
+const GUARD_DIGITS = 10;
+
+// Số ngày quy ước của một năm trong xirr
+const DAYS_PER_YEAR = 365;
+
+const MILLISECONDS_PER_DAY = 86400000;
+
+// Thời điểm thanh toán trong kỳ
+const PAYMENT_TIMING = {
+    END: 'end',
+    BEGIN: 'begin'
+};
+
+/**
+ * Trị tuyệt đối của số thập phân dạng chuỗi
+ * @param {string} value
+ * @returns {string}
+ */
+function abs(value) {
+    return value.startsWith('-') ? value.slice(1) : value;
+}
+
+/**
+ * Dấu của số thập phân dạng chuỗi
+ * @param {string} value
+ * @returns {number} -1, 0 hoặc 1
+ */
+function sign(value) {
+    if (Numeric.from(value).isZero()) return 0;
+    return value.startsWith('-') ? -1 : 1;
+}
+
+class Finance {
+    static PaymentTiming = PAYMENT_TIMING;
+
+    #calculator;
+
+    /**
+     * @param {Object} [options] - Tùy chọn cấu hình
+     * @param {number} [options.precision=2] - Số chữ số thập phân của các khoản tiền
+     * @param {string} [options.roundingMode='HALF_UP'] - Chế độ làm tròn mặc định
+     * @param {number} [options.divisionScale=20] - Số chữ số thập phân của lãi suất và số kỳ
+     * @param {string} [options.locale='vi-VN'] - Ngôn ngữ của thông báo lỗi
+     * @param {number} [options.maxIterations=100] - Số vòng lặp tối đa của rate, irr và xirr
+     * @param {boolean} [options.primitives=false] - Trả về chuỗi thay vì Numeric
+     */
+    constructor(options = {}) {
+        this.#calculator = new CalculatorService({
+            precision: options.precision,
+            roundingMode: options.roundingMode,
+            divisionScale: options.divisionScale,
+            locale: options.locale,
+            decimal: true,
+            primitives: true
+        });
+        this.precision = this.#calculator.defaultPrecision;
+        this.roundingMode = this.#calculator.roundingMode;
+        this.divisionScale = this.#calculator.divisionScale;
+        this.locale = this.#calculator.locale;
+        this.maxIterations = options.maxIterations ?? 100;
+        this.primitives = options.primitives === true;
+    }
+
+    /**
+     * Ngôn ngữ của thông báo lỗi theo locale
+     * @returns {string} 'vi' hoặc 'en'
+     */
+    #language() {
+        return this.locale.startsWith('en') ? 'en' : 'vi';
+    }
+
+    /**
+     * Thực hiện một hàm tài chính, gắn tên hàm vào lỗi phát sinh
+     * @param {string} operation - Tên hàm
+     * @param {Function} compute - Hàm tính
+     * @returns {any} Kết quả của compute
+     */
+    #run(operation, compute) {
+        try {
+            return compute();
+        } catch (error) {
+            if (error instanceof CalculatorError) {
+                throw error.withContext({ operation, language: this.#language() });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Tùy chọn cho các bước trung gian
+     * @returns {{scale: number}}
+     */
+    #working() {
+        return { scale: this.divisionScale + GUARD_DIGITS };
+    }
+
+    /**
+     * Chuẩn hóa đầu vào thành chuỗi thập phân
+     * @param {Numeric|number|string|BigInt|Fraction} value
+     * @returns {string}
+     */
+    #value(value) {
+        if (value instanceof Fraction) {
+            return value.toDecimal(this.#working().scale, this.roundingMode);
+        }
+        return Numeric.from(value).toString();
+    }
+
+    /**
+     * Làm tròn kết quả và trả về Numeric (hoặc chuỗi khi primitives)
+     * @param {string} value - Kết quả chưa làm tròn
+     * @param {number} scale - Số chữ số thập phân
+     * @param {string} [roundingMode] - Chế độ làm tròn
+     * @returns {Numeric|string}
+     */
+    #output(value, scale, roundingMode = this.roundingMode) {
+        const rounded = this.#calculator.round(value, scale, roundingMode);
+        return this.primitives ? rounded : Numeric.from(rounded);
+    }
+
+    /**
+     * Lãi suất một kỳ, phải lớn hơn -100%
+     * @param {Numeric|number|string|BigInt|Fraction} rate
+     * @returns {string}
+     */
+    #rate(rate) {
+        const value = this.#value(rate);
+        if (Numeric.from(value).lte(-1)) {
+            throw new InvalidOperandError(rate, { vi: 'Lãi suất phải lớn hơn -1', en: 'Rate must be greater than -1' });
+        }
+        return value;
+    }
+
+    /**
+     * 1 nếu trả đầu kỳ, 0 nếu trả cuối kỳ
+     * @param {string} when - 'end' hoặc 'begin'
+     * @returns {string}
+     */
+    #timing(when) {
+        if (!Object.values(PAYMENT_TIMING).includes(when)) {
+            throw new CalculatorError('INVALID_OPTION', {
+                vi: `Thời điểm thanh toán không hợp lệ: ${when}`,
+                en: `Invalid payment timing: ${when}`
+            });
+        }
+        return when === PAYMENT_TIMING.BEGIN ? '1' : '0';
+    }
+
+    /**
+     * (1 + rate)^nper
+     * @param {string} rate
+     * @param {string} nper
+     * @returns {string}
+     */
+    #growth(rate, nper) {
+        return this.#calculator.power(this.#calculator.add(1, rate), nper, this.#working());
+    }
+
+    /**
+     * Hệ số niên kim: tổng giá trị tương lai của nper khoản trả 1 đồng
+     * @param {string} rate
+     * @param {string} nper
+     * @param {string} growth - (1 + rate)^nper
+     * @param {string} timing - '1' nếu trả đầu kỳ
+     * @returns {string}
+     */
+    #annuityFactor(rate, nper, growth, timing) {
+        const calc = this.#calculator;
+        if (sign(rate) === 0) {
+            return nper;
+        }
+        const due = calc.add(1, calc.multiply(rate, timing));
+        return calc.multiply(due, calc.divide(calc.subtract(growth, 1), rate, this.#working()));
+    }
+
+    /**
+     * Khoản trả đều mỗi kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} rate - Lãi suất một kỳ
+     * @param {Numeric|number|string|BigInt} nper - Số kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pv - Giá trị hiện tại
+     * @param {Object} [options] - Tùy chọn
+     * @param {Numeric|number|string|BigInt} [options.fv=0] - Giá trị còn lại sau kỳ cuối
+     * @param {string} [options.when='end'] - Trả cuối kỳ ('end') hay đầu kỳ ('begin')
+     * @param {number} [options.scale] - Số chữ số thập phân, mặc định là precision
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @returns {Numeric} Ví dụ pmt(0.01, 12, 1000) ≈ -88.85
+     */
+    pmt(rate, nper, pv, { fv = 0, when = PAYMENT_TIMING.END, scale = this.precision, roundingMode } = {}) {
+        return this.#run('pmt', () => {
+            const calc = this.#calculator;
+            const r = this.#rate(rate);
+            const n = this.#value(nper);
+            const growth = this.#growth(r, n);
+            const factor = this.#annuityFactor(r, n, growth, this.#timing(when));
+            const total = calc.add(calc.multiply(this.#value(pv), growth), this.#value(fv));
+            return this.#output(calc.divide(total, calc.multiply(factor, -1), this.#working()), scale, roundingMode);
+        });
+    }
+
+    /**
+     * Giá trị tương lai
+     * @param {Numeric|number|string|BigInt|Fraction} rate - Lãi suất một kỳ
+     * @param {Numeric|number|string|BigInt} nper - Số kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pmt - Khoản trả mỗi kỳ
+     * @param {Object} [options] - Tùy chọn { pv = 0, when, scale, roundingMode } (xem pmt)
+     * @returns {Numeric}
+     */
+    fv(rate, nper, pmt, { pv = 0, when = PAYMENT_TIMING.END, scale = this.precision, roundingMode } = {}) {
+        return this.#run('fv', () => {
+            const calc = this.#calculator;
+            const r = this.#rate(rate);
+            const n = this.#value(nper);
+            const growth = this.#growth(r, n);
+            const factor = this.#annuityFactor(r, n, growth, this.#timing(when));
+            const total = calc.add(calc.multiply(this.#value(pv), growth), calc.multiply(this.#value(pmt), factor));
+            return this.#output(calc.multiply(total, -1), scale, roundingMode);
+        });
+    }
+
+    /**
+     * Giá trị hiện tại
+     * @param {Numeric|number|string|BigInt|Fraction} rate - Lãi suất một kỳ
+     * @param {Numeric|number|string|BigInt} nper - Số kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pmt - Khoản trả mỗi kỳ
+     * @param {Object} [options] - Tùy chọn { fv = 0, when, scale, roundingMode } (xem pmt)
+     * @returns {Numeric}
+     */
+    pv(rate, nper, pmt, { fv = 0, when = PAYMENT_TIMING.END, scale = this.precision, roundingMode } = {}) {
+        return this.#run('pv', () => {
+            const calc = this.#calculator;
+            const r = this.#rate(rate);
+            const n = this.#value(nper);
+            const growth = this.#growth(r, n);
+            const factor = this.#annuityFactor(r, n, growth, this.#timing(when));
+            const total = calc.add(this.#value(fv), calc.multiply(this.#value(pmt), factor));
+            return this.#output(calc.divide(calc.multiply(total, -1), growth, this.#working()), scale, roundingMode);
+        });
+    }
+
+    /**
+     * Số kỳ cần để trả hết (hoặc tích lũy đủ) với khoản trả cho trước, có thể không nguyên
+     * @param {Numeric|number|string|BigInt|Fraction} rate - Lãi suất một kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pmt - Khoản trả mỗi kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pv - Giá trị hiện tại
+     * @param {Object} [options] - Tùy chọn { fv = 0, when, roundingMode } (xem pmt)
+     * @param {number} [options.scale] - Số chữ số thập phân, mặc định là divisionScale
+     * @returns {Numeric}
+     */
+    nper(rate, pmt, pv, { fv = 0, when = PAYMENT_TIMING.END, scale = this.divisionScale, roundingMode } = {}) {
+        return this.#run('nper', () => {
+            const calc = this.#calculator;
+            const working = this.#working();
+            const r = this.#rate(rate);
+            const payment = this.#value(pmt);
+            const present = this.#value(pv);
+            const future = this.#value(fv);
+            const timing = this.#timing(when);
+            if (sign(r) === 0) {
+                if (sign(payment) === 0) {
+                    throw new InvalidOperandError(pmt, { vi: 'Khoản trả phải khác 0 khi lãi suất bằng 0', en: 'Payment must be non-zero when the rate is zero' });
+                }
+                return this.#output(calc.divide(calc.multiply(calc.add(present, future), -1), payment, working), scale, roundingMode);
+            }
+            // (1 + r)^n = (pmt(1 + r·t) - fv·r) / (pmt(1 + r·t) + pv·r)
+            const due = calc.multiply(payment, calc.add(1, calc.multiply(r, timing)));
+            const numerator = calc.subtract(due, calc.multiply(future, r));
+            const denominator = calc.add(due, calc.multiply(present, r));
+            if (sign(denominator) === 0 || sign(numerator) * sign(denominator) <= 0) {
+                throw new CalculatorError('NO_SOLUTION', {
+                    vi: 'Không có số kỳ nào thỏa mãn các khoản tiền đã cho',
+                    en: 'No number of periods satisfies the given cash flows'
+                });
+            }
+            const digits = { digits: working.scale };
+            const growth = calc.ln(calc.divide(numerator, denominator, working), digits);
+            return this.#output(calc.divide(growth, calc.ln(calc.add(1, r), digits), working), scale, roundingMode);
+        });
+    }
+
+    /**
+     * Lãi suất một kỳ để các khoản tiền cân bằng, giải bằng phương pháp Newton
+     * @param {Numeric|number|string|BigInt} nper - Số kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pmt - Khoản trả mỗi kỳ
+     * @param {Numeric|number|string|BigInt|Fraction} pv - Giá trị hiện tại
+     * @param {Object} [options] - Tùy chọn { fv = 0, when, roundingMode } (xem pmt)
+     * @param {number} [options.scale] - Số chữ số thập phân, mặc định là divisionScale
+     * @param {Numeric|number|string} [options.guess=0.1] - Giá trị khởi đầu
+     * @param {Numeric|number|string} [options.tolerance] - Sai số chấp nhận, mặc định 10^-scale
+     * @returns {Numeric}
+     * @throws {CalculatorError} NO_CONVERGENCE khi không tìm được nghiệm, `report` chứa báo cáo hội tụ
+     */
+    rate(nper, pmt, pv, { fv = 0, when = PAYMENT_TIMING.END, scale = this.divisionScale, roundingMode, guess = 0.1, tolerance } = {}) {
+        return this.#run('rate', () => {
+            const calc = this.#calculator;
+            const working = this.#working();
+            const n = this.#value(nper);
+            const payment = this.#value(pmt);
+            const present = this.#value(pv);
+            const future = this.#value(fv);
+            const timing = this.#timing(when);
+            // f(r) = pv(1 + r)^n + pmt·A(r) + fv, A là hệ số niên kim
+            const evaluate = r => {
+                const growth = this.#growth(r, n);
+                const value = calc.add(calc.add(calc.multiply(present, growth), calc.multiply(payment, this.#annuityFactor(r, n, growth, timing))), future);
+                if (sign(r) === 0) {
+                    // Đạo hàm tại r = 0: pv·n + pmt·n(n - 1 + 2t)/2
+                    const slope = calc.divide(calc.multiply(n, calc.add(calc.subtract(n, 1), calc.multiply(2, timing))), 2, working);
+                    return { value, derivative: calc.add(calc.multiply(present, n), calc.multiply(payment, slope)) };
+                }
+                // A'(r) = t(g - 1)/r + (1 + rt)(n·g/(1 + r) - (g - 1)/r)/r với g = (1 + r)^n
+                const onePlus = calc.add(1, r);
+                const dGrowth = calc.divide(calc.multiply(n, growth), onePlus, working);
+                const ratio = calc.divide(calc.subtract(growth, 1), r, working);
+                const dFactor = calc.add(
+                    calc.multiply(timing, ratio),
+                    calc.divide(calc.multiply(calc.add(1, calc.multiply(r, timing)), calc.subtract(dGrowth, ratio)), r, working)
+                );
+                return { value, derivative: calc.add(calc.multiply(present, dGrowth), calc.multiply(payment, dFactor)) };
+            };
+            const report = this.#solve(evaluate, this.#value(guess), { scale, roundingMode, tolerance });
+            if (!report.converged) {
+                const error = new CalculatorError('NO_CONVERGENCE', {
+                    vi: `Không tìm được lãi suất sau ${report.iterations} vòng lặp`,
+                    en: `Could not find the rate after ${report.iterations} iterations`
+                });
+                error.report = report;
+                throw error;
+            }
+            return report.rate;
+        });
+    }
+
+    /**
+     * Giá trị hiện tại ròng, khoản tiền đầu tiên được chiết khấu một kỳ (giống hàm NPV của bảng tính)
+     * @param {Numeric|number|string|BigInt|Fraction} rate - Lãi suất chiết khấu một kỳ
+     * @param {Array<Numeric|number|string|BigInt>} cashflows - Các khoản tiền cuối mỗi kỳ
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } (xem pmt)
+     * @returns {Numeric}
+     */
+    npv(rate, cashflows, { scale = this.precision, roundingMode } = {}) {
+        return this.#run('npv', () => {
+            const calc = this.#calculator;
+            const working = this.#working();
+            const discount = calc.divide(1, calc.add(1, this.#rate(rate)), working);
+            let factor = '1';
+            let total = '0';
+            for (const cashflow of this.#cashflows(cashflows, false)) {
+                factor = calc.multiply(factor, discount, working);
+                total = calc.add(total, calc.multiply(cashflow, factor));
+            }
+            return this.#output(total, scale, roundingMode);
+        });
+    }
+
+    /**
+     * Tỉ suất hoàn vốn nội bộ của các khoản tiền cách đều nhau
+     * @param {Array<Numeric|number|string|BigInt>} cashflows - Các khoản tiền, khoản đầu tiên ở thời điểm 0
+     * @param {Object} [options] - Tùy chọn
+     * @param {Numeric|number|string} [options.guess=0.1] - Giá trị khởi đầu
+     * @param {Numeric|number|string} [options.tolerance] - Sai số chấp nhận, mặc định 10^-scale
+     * @param {number} [options.scale] - Số chữ số thập phân, mặc định là divisionScale
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @returns {{rate: Numeric, converged: boolean, iterations: number, residual: Numeric, method: string}}
+     *   Báo cáo hội tụ: nghiệm, đã hội tụ chưa, số vòng lặp, giá trị NPV tại nghiệm và phương pháp đã dùng
+     */
+    irr(cashflows, { guess = 0.1, tolerance, scale = this.divisionScale, roundingMode } = {}) {
+        return this.#run('irr', () => {
+            const calc = this.#calculator;
+            const working = this.#working();
+            const values = this.#cashflows(cashflows, true);
+            // f(r) = Σ cf_i·v^i, f'(r) = -Σ i·cf_i·v^(i+1) với v = 1 / (1 + r)
+            const evaluate = r => {
+                const discount = calc.divide(1, calc.add(1, r), working);
+                let factor = '1';
+                let value = '0';
+                let derivative = '0';
+                values.forEach((cashflow, i) => {
+                    const term = calc.multiply(cashflow, factor);
+                    value = calc.add(value, term);
+                    derivative = calc.subtract(derivative, calc.multiply(calc.multiply(term, i), discount, working));
+                    factor = calc.multiply(factor, discount, working);
+                });
+                return { value, derivative };
+            };
+            return this.#solve(evaluate, this.#value(guess), { scale, roundingMode, tolerance });
+        });
+    }
+
+    /**
+     * Tỉ suất hoàn vốn nội bộ theo năm của các khoản tiền vào ngày bất kỳ (quy ước 365 ngày/năm)
+     * @param {Array<Numeric|number|string|BigInt>} cashflows - Các khoản tiền
+     * @param {Array<Date|string>} dates - Ngày của từng khoản tiền, ví dụ '2024-01-31'
+     * @param {Object} [options] - Tùy chọn { guess, tolerance, scale, roundingMode } (xem irr)
+     * @returns {{rate: Numeric, converged: boolean, iterations: number, residual: Numeric, method: string}}
+     */
+    xirr(cashflows, dates, { guess = 0.1, tolerance, scale = this.divisionScale, roundingMode } = {}) {
+        return this.#run('xirr', () => {
+            const calc = this.#calculator;
+            const working = this.#working();
+            const values = this.#cashflows(cashflows, true);
+            const years = this.#yearFractions(dates, values.length);
+            const digits = { digits: working.scale };
+            // f(r) = Σ cf_i·(1 + r)^(-t_i), f'(r) = -Σ t_i·cf_i·(1 + r)^(-t_i - 1)
+            const evaluate = r => {
+                const onePlus = calc.add(1, r);
+                const logarithm = calc.ln(onePlus, digits);
+                let value = '0';
+                let derivative = '0';
+                values.forEach((cashflow, i) => {
+                    const term = calc.multiply(cashflow, calc.exp(calc.multiply(logarithm, calc.multiply(years[i], -1)), digits));
+                    value = calc.add(value, term);
+                    derivative = calc.subtract(derivative, calc.divide(calc.multiply(term, years[i]), onePlus, working));
+                });
+                return { value, derivative };
+            };
+            return this.#solve(evaluate, this.#value(guess), { scale, roundingMode, tolerance });
+        });
+    }
+
+    /**
+     * Lãi suất thực của một năm từ lãi suất danh nghĩa ghép lãi nhiều lần trong năm
+     * @param {Numeric|number|string|BigInt|Fraction} nominal - Lãi suất danh nghĩa một năm
+     * @param {number} periodsPerYear - Số lần ghép lãi trong năm, ví dụ 12
+     * @param {Object} [options] - Tùy chọn { roundingMode } (xem pmt)
+     * @param {number} [options.scale] - Số chữ số thập phân, mặc định là divisionScale
+     * @returns {Numeric} Ví dụ effectiveRate(0.12, 12) ≈ 0.126825
+     */
+    effectiveRate(nominal, periodsPerYear, { scale = this.divisionScale, roundingMode } = {}) {
+        return this.#run('effectiveRate', () => {
+            const calc = this.#calculator;
+            const m = this.#periodsPerYear(periodsPerYear);
+            const periodic = this.#rate(calc.divide(this.#value(nominal), m, this.#working()));
+            return this.#output(calc.subtract(this.#growth(periodic, m), 1), scale, roundingMode);
+        });
+    }
+
+    /**
+     * Lãi suất danh nghĩa một năm tương đương với lãi suất thực cho trước
+     * @param {Numeric|number|string|BigInt|Fraction} effective - Lãi suất thực một năm
+     * @param {number} periodsPerYear - Số lần ghép lãi trong năm
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } (xem effectiveRate)
+     * @returns {Numeric}
+     */
+    nominalRate(effective, periodsPerYear, { scale = this.divisionScale, roundingMode } = {}) {
+        return this.#run('nominalRate', () => {
+            const calc = this.#calculator;
+            const m = this.#periodsPerYear(periodsPerYear);
+            const growth = this.#growth(this.#rate(effective), new Fraction(1, m));
+            return this.#output(calc.multiply(calc.subtract(growth, 1), m), scale, roundingMode);
+        });
+    }
+
+    /**
+     * Lịch trả nợ theo niên kim cố định, trả cuối kỳ
+     * Tiền lãi mỗi kỳ được làm tròn về `scale`; kỳ cuối trả đúng phần gốc còn lại để dư nợ về 0
+     * @param {Numeric|number|string|BigInt|Fraction} principal - Số tiền vay (dương)
+     * @param {Numeric|number|string|BigInt|Fraction} rate - Lãi suất một kỳ
+     * @param {number} periods - Số kỳ
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } (xem pmt)
+     * @returns {Array<{period: number, payment: Numeric, interest: Numeric, principal: Numeric, balance: Numeric}>}
+     */
+    amortizationSchedule(principal, rate, periods, { scale = this.precision, roundingMode = this.roundingMode } = {}) {
+        return this.#run('amortizationSchedule', () => {
+            const calc = this.#calculator;
+            if (!Number.isInteger(periods) || periods < 1) {
+                throw new InvalidOperandError(periods, { vi: 'Số kỳ phải là số nguyên dương', en: 'Number of periods must be a positive integer' });
+            }
+            const r = this.#rate(rate);
+            let balance = calc.round(this.#value(principal), scale, roundingMode);
+            const payment = String(this.pmt(r, periods, calc.multiply(balance, -1), { scale, roundingMode }));
+            const output = value => this.primitives ? value : Numeric.from(value);
+            const rows = [];
+            for (let period = 1; period <= periods; period++) {
+                const interest = calc.round(calc.multiply(balance, r), scale, roundingMode);
+                // Kỳ cuối trả hết phần gốc còn lại, hấp thụ chênh lệch do làm tròn các kỳ trước
+                const repaid = period === periods ? balance : calc.subtract(payment, interest);
+                balance = calc.subtract(balance, repaid);
+                rows.push(Object.freeze({
+                    period,
+                    payment: output(calc.add(interest, repaid)),
+                    interest: output(interest),
+                    principal: output(repaid),
+                    balance: output(balance)
+                }));
+            }
+            return rows;
+        });
+    }
+
+    /**
+     * Giải f(r) = 0 bằng Newton, chuyển sang chia đôi khi Newton không hội tụ
+     * @param {Function} evaluate - r => { value, derivative }
+     * @param {string} guess - Giá trị khởi đầu
+     * @param {Object} options - { scale, roundingMode, tolerance }
+     * @returns {{rate: Numeric, converged: boolean, iterations: number, residual: Numeric, method: string}}
+     */
+    #solve(evaluate, guess, { scale, roundingMode, tolerance }) {
+        const calc = this.#calculator;
+        const working = this.#working();
+        const limit = Numeric.from(tolerance === undefined ? `1e-${scale}` : this.#value(tolerance));
+        const report = (rate, iterations, method, converged) => ({
+            rate: this.#output(rate, scale, roundingMode),
+            converged,
+            iterations,
+            residual: this.#output(evaluate(rate).value, working.scale),
+            method
+        });
+
+        let r = this.#rate(guess);
+        let iterations = 0;
+        while (iterations < this.maxIterations) {
+            iterations++;
+            const { value, derivative } = evaluate(r);
+            if (sign(derivative) === 0) break;
+            const step = calc.divide(value, derivative, working);
+            const next = calc.subtract(r, step);
+            if (Numeric.from(next).lte(-1)) break;
+            r = next;
+            if (Numeric.from(abs(step)).lte(limit)) {
+                return report(r, iterations, 'newton', true);
+            }
+        }
+        return this.#bisect(evaluate, limit, iterations, report);
+    }
+
+    /**
+     * Chia đôi trên khoảng (-1, hi] với hi tăng dần cho đến khi f đổi dấu
+     * @param {Function} evaluate - r => { value }
+     * @param {Numeric} limit - Sai số chấp nhận
+     * @param {number} iterations - Số vòng lặp đã dùng
+     * @param {Function} report - Tạo báo cáo hội tụ
+     * @returns {Object} Báo cáo hội tụ
+     */
+    #bisect(evaluate, limit, iterations, report) {
+        const calc = this.#calculator;
+        const working = this.#working();
+        let low = calc.add(-1, `1e-${this.divisionScale}`);
+        let high = '1';
+        const lowSign = sign(evaluate(low).value);
+        while (sign(evaluate(high).value) === lowSign) {
+            if (lowSign === 0 || Numeric.from(high).gt('1e6')) {
+                return report(high, iterations, 'bisection', lowSign === 0);
+            }
+            high = calc.multiply(high, 10);
+        }
+        while (iterations < this.maxIterations * 2) {
+            iterations++;
+            const middle = calc.divide(calc.add(low, high), 2, working);
+            const middleSign = sign(evaluate(middle).value);
+            if (middleSign === 0 || Numeric.from(calc.subtract(high, low)).lte(limit)) {
+                return report(middle, iterations, 'bisection', true);
+            }
+            if (middleSign === lowSign) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return report(calc.divide(calc.add(low, high), 2, working), iterations, 'bisection', false);
+    }
+
+    /**
+     * Chuẩn hóa danh sách khoản tiền
+     * @param {Array<any>} cashflows
+     * @param {boolean} requireBothSigns - Yêu cầu có cả khoản dương và khoản âm (irr, xirr)
+     * @returns {Array<string>}
+     */
+    #cashflows(cashflows, requireBothSigns) {
+        if (!Array.isArray(cashflows) || cashflows.length === 0) {
+            throw new InvalidOperandError(cashflows, { vi: 'Cần một danh sách khoản tiền', en: 'A list of cash flows is required' });
+        }
+        const values = cashflows.map(cashflow => this.#value(cashflow));
+        if (requireBothSigns && !(values.some(value => sign(value) > 0) && values.some(value => sign(value) < 0))) {
+            throw new InvalidOperandError(cashflows, {
+                vi: 'Các khoản tiền phải có cả khoản dương và khoản âm',
+                en: 'Cash flows must contain both positive and negative values'
+            });
+        }
+        return values;
+    }
+
+    /**
+     * Khoảng cách (theo năm) từ ngày đầu tiên đến từng ngày
+     * @param {Array<Date|string>} dates
+     * @param {number} count - Số khoản tiền
+     * @returns {Array<string>}
+     */
+    #yearFractions(dates, count) {
+        if (!Array.isArray(dates) || dates.length !== count) {
+            throw new InvalidOperandError(dates, { vi: 'Số ngày phải bằng số khoản tiền', en: 'There must be one date per cash flow' });
+        }
+        const times = dates.map(date => {
+            const time = (date instanceof Date ? date : new Date(date)).getTime();
+            if (Number.isNaN(time)) {
+                throw new InvalidOperandError(date, { vi: 'Ngày không hợp lệ', en: 'Invalid date' });
+            }
+            return time;
+        });
+        return times.map(time => this.#calculator.divide(Math.round((time - times[0]) / MILLISECONDS_PER_DAY), DAYS_PER_YEAR, this.#working()));
+    }
+
+    /**
+     * Số lần ghép lãi trong năm, phải là số nguyên dương
+     * @param {number} periodsPerYear
+     * @returns {number}
+     */
+    #periodsPerYear(periodsPerYear) {
+        if (!Number.isInteger(periodsPerYear) || periodsPerYear < 1) {
+            throw new InvalidOperandError(periodsPerYear, { vi: 'Số kỳ ghép lãi phải là số nguyên dương', en: 'Compounding periods must be a positive integer' });
+        }
+        return periodsPerYear;
+    }
+}
+
+export default Finance;
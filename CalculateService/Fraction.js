@@ -0,0 +1,261 @@
+/**
+ * Fraction - Phân số chính xác với tử và mẫu là số nguyên lớn, luôn ở dạng tối giản
+ * Hỗ trợ: cộng, trừ, nhân, chia, lũy thừa nguyên, chuyển đổi từ/sang số thập phân (kể cả tuần hoàn)
+ */
+
+import BigInteger from './BigInteger.js';
+import { MAX_EXPONENT, REPEATING_DECIMAL_PATTERN } from './decimal.js';
+import { DivisionByZeroError, InvalidOperandError, OverflowError } from './errors.js';
+import { ROUNDING_MODES, shouldRoundAway } from './rounding.js';
+
+// Phân số dạng chuỗi "a/b"
+const RATIO_PATTERN = /^\s*([+-]?\d+)\s*\/\s*([+-]?\d+)\s*$/;
+
+const TEN = BigInteger.parse(10);
+
+class Fraction {
+    /**
+     * @param {number|string|BigInt|BigInteger} numerator - Tử số (số nguyên)
+     * @param {number|string|BigInt|BigInteger} [denominator=1] - Mẫu số (số nguyên khác 0)
+     */
+    constructor(numerator, denominator = 1) {
+        let num = BigInteger.parse(numerator);
+        let den = BigInteger.parse(denominator);
+        if (den.isZero()) {
+            throw new DivisionByZeroError({ operand: denominator });
+        }
+        // Mẫu số luôn dương, dấu nằm ở tử số
+        if (den.negative) {
+            num = num.negate();
+            den = den.negate();
+        }
+        const divisor = num.gcd(den);
+        if (!divisor.isZero() && divisor.toString() !== '1') {
+            num = num.divmod(divisor).quotient;
+            den = den.divmod(divisor).quotient;
+        }
+        this.numerator = num;
+        this.denominator = num.isZero() ? BigInteger.parse(1) : den;
+        Object.freeze(this);
+    }
+
+    /**
+     * Tạo phân số từ giá trị bất kỳ: Fraction, số nguyên, BigInt, "a/b",
+     * số thập phân ("0.125" -> 1/8) hoặc số thập phân tuần hoàn ("0.1(6)" -> 1/6)
+     * @param {Fraction|number|string|BigInt} value - Giá trị cần chuyển
+     * @returns {Fraction}
+     */
+    static from(value) {
+        if (value instanceof Fraction) {
+            return value;
+        }
+        if (typeof value === 'bigint') {
+            return new Fraction(value);
+        }
+        const str = String(value).trim();
+        const ratio = RATIO_PATTERN.exec(str);
+        if (ratio) {
+            return new Fraction(ratio[1], ratio[2]);
+        }
+        return Fraction.fromDecimal(str);
+    }
+
+    /**
+     * Chuyển số thập phân (có thể tuần hoàn) thành phân số
+     * @param {number|string} value - Ví dụ "0.125", "-2.(142857)", "1.5e-3"
+     * @returns {Fraction}
+     */
+    static fromDecimal(value) {
+        const str = String(value).trim();
+        const match = REPEATING_DECIMAL_PATTERN.exec(str);
+        if (!match || !/\d/.test(str.replace(/e.*$/i, ''))) {
+            throw new InvalidOperandError(value, { vi: 'Không thể chuyển thành phân số', en: 'Cannot convert to a fraction' });
+        }
+        const [, sign, intPart, fixedPart = '', repeatingPart = '', exponent = '0'] = match;
+
+        // x = (I.A(R)) = (IAR - IA) / (10^|A| * (10^|R| - 1))
+        let numerator = BigInteger.parse(intPart + fixedPart || '0');
+        let denominator = TEN.pow(fixedPart.length);
+        if (repeatingPart) {
+            const withRepeat = BigInteger.parse(intPart + fixedPart + repeatingPart);
+            numerator = withRepeat.subtract(numerator);
+            denominator = denominator.multiply(TEN.pow(repeatingPart.length).subtract(BigInteger.parse(1)));
+        }
+
+        const shift = parseInt(exponent, 10);
+        if (Math.abs(shift) > MAX_EXPONENT) {
+            throw new OverflowError({ operand: value }, {
+                vi: `Số mũ vượt quá giới hạn ${MAX_EXPONENT}`,
+                en: `Exponent exceeds the limit of ${MAX_EXPONENT}`
+            });
+        }
+        if (shift > 0) {
+            numerator = numerator.multiply(TEN.pow(shift));
+        } else if (shift < 0) {
+            denominator = denominator.multiply(TEN.pow(-shift));
+        }
+        return new Fraction(sign === '-' ? numerator.negate() : numerator, denominator);
+    }
+
+    /**
+     * Phép cộng
+     * @param {Fraction|number|string|BigInt} other
+     * @returns {Fraction}
+     */
+    add(other) {
+        const y = Fraction.from(other);
+        return new Fraction(
+            this.numerator.multiply(y.denominator).add(y.numerator.multiply(this.denominator)),
+            this.denominator.multiply(y.denominator)
+        );
+    }
+
+    /**
+     * Phép trừ
+     * @param {Fraction|number|string|BigInt} other
+     * @returns {Fraction}
+     */
+    subtract(other) {
+        return this.add(Fraction.from(other).negate());
+    }
+
+    /**
+     * Phép nhân
+     * @param {Fraction|number|string|BigInt} other
+     * @returns {Fraction}
+     */
+    multiply(other) {
+        const y = Fraction.from(other);
+        return new Fraction(this.numerator.multiply(y.numerator), this.denominator.multiply(y.denominator));
+    }
+
+    /**
+     * Phép chia
+     * @param {Fraction|number|string|BigInt} other
+     * @returns {Fraction}
+     */
+    divide(other) {
+        return this.multiply(Fraction.from(other).reciprocal());
+    }
+
+    /**
+     * Lũy thừa với số mũ nguyên (có thể âm)
+     * @param {number|string|BigInt} exponent - Số mũ nguyên
+     * @returns {Fraction}
+     */
+    power(exponent) {
+        const exp = BigInteger.parse(exponent);
+        const magnitude = BigInt(exp.abs().toString());
+        const result = new Fraction(this.numerator.pow(magnitude), this.denominator.pow(magnitude));
+        return exp.negative ? result.reciprocal() : result;
+    }
+
+    /**
+     * Số đối
+     * @returns {Fraction}
+     */
+    negate() {
+        return new Fraction(this.numerator.negate(), this.denominator);
+    }
+
+    /**
+     * Giá trị tuyệt đối
+     * @returns {Fraction}
+     */
+    abs() {
+        return new Fraction(this.numerator.abs(), this.denominator);
+    }
+
+    /**
+     * Số nghịch đảo
+     * @returns {Fraction}
+     */
+    reciprocal() {
+        if (this.numerator.isZero()) {
+            throw new DivisionByZeroError({ operand: this.toString() });
+        }
+        return new Fraction(this.denominator, this.numerator);
+    }
+
+    /**
+     * So sánh với một giá trị khác
+     * @param {Fraction|number|string|BigInt} other
+     * @returns {number} 1 nếu lớn hơn, 0 nếu bằng, -1 nếu nhỏ hơn
+     */
+    compare(other) {
+        const y = Fraction.from(other);
+        // Khác dấu hoặc cùng mẫu số thì so sánh tử số là đủ, không cần nhân chéo
+        if (this.numerator.negative !== y.numerator.negative || this.denominator.compare(y.denominator) === 0) {
+            return this.numerator.compare(y.numerator);
+        }
+        return this.numerator.multiply(y.denominator).compare(y.numerator.multiply(this.denominator));
+    }
+
+    /**
+     * Có bằng một giá trị khác không
+     * @param {Fraction|number|string|BigInt} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    /**
+     * Có phải số nguyên không
+     * @returns {boolean}
+     */
+    isInteger() {
+        return this.denominator.toString() === '1';
+    }
+
+    /**
+     * Chuyển thành số thập phân với số chữ số thập phân cho trước
+     * @param {number} [scale=20] - Số chữ số thập phân
+     * @param {string} [roundingMode='HALF_UP'] - Chế độ làm tròn
+     * @returns {string} Chuỗi thập phân, bỏ các số 0 thừa ở cuối
+     */
+    toDecimal(scale = 20, roundingMode = ROUNDING_MODES.HALF_UP) {
+        const scaled = this.numerator.abs().multiply(TEN.pow(scale));
+        const { quotient, remainder } = scaled.divmod(this.denominator);
+        let digits = quotient;
+        if (!remainder.isZero()) {
+            const vsHalf = remainder.add(remainder).compare(this.denominator);
+            const isOdd = parseInt(quotient.toString().slice(-1), 10) % 2 === 1;
+            if (shouldRoundAway(roundingMode, this.numerator.negative, vsHalf, isOdd)) {
+                digits = quotient.add(BigInteger.parse(1));
+            }
+        }
+
+        let result = digits.toString();
+        if (scale > 0) {
+            const padded = result.padStart(scale + 1, '0');
+            const fracPart = padded.slice(-scale).replace(/0+$/, '');
+            result = padded.slice(0, -scale) + (fracPart ? `.${fracPart}` : '');
+        }
+        return this.numerator.negative && /[1-9]/.test(result) ? `-${result}` : result;
+    }
+
+    /**
+     * Giá trị gần đúng dưới dạng Number
+     * @returns {number}
+     */
+    toNumber() {
+        return Number(this.toDecimal(20));
+    }
+
+    /**
+     * @returns {string} "a/b", hoặc "a" nếu là số nguyên
+     */
+    toString() {
+        return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+    }
+
+    /**
+     * @returns {string} Giống toString()
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+export default Fraction;
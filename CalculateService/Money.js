@@ -0,0 +1,326 @@
+/**
+ * Money - Giá trị tiền tệ chính xác theo đơn vị nhỏ nhất của từng loại tiền (ISO 4217)
+ * Hỗ trợ: cộng, trừ, nhân, chia, phân bổ theo tỉ lệ không mất đơn vị lẻ, định dạng theo locale
+ */
+
+import CalculatorService from './index.js';
+import { CalculatorError, InvalidOperandError } from './errors.js';
+
+// Tính toán chính xác trên chuỗi, không đi qua Number
+// Số tiền được lưu dưới dạng chuỗi đơn vị nhỏ nhất nên dùng kết quả dạng chuỗi
+const calculator = new CalculatorService({ decimal: true, primitives: true });
+
+// Số chữ số của đơn vị nhỏ nhất theo ISO 4217
+const CURRENCIES = {
+    VND: 0,
+    JPY: 0,
+    KRW: 0,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    CNY: 2,
+    SGD: 2,
+    THB: 2,
+    AUD: 2,
+    CAD: 2,
+    CHF: 2,
+    HKD: 2,
+    KWD: 3,
+    BHD: 3,
+    JOD: 3,
+    OMR: 3,
+    TND: 3
+};
+
+class Money {
+    /**
+     * Tạo Money từ số đơn vị nhỏ nhất; nên dùng Money.of hoặc Money.fromMinorUnits
+     * @param {string|number|BigInt} minorUnits - Số đơn vị nhỏ nhất (số nguyên), ví dụ cent với USD
+     * @param {string} currency - Mã tiền tệ ISO 4217
+     */
+    constructor(minorUnits, currency) {
+        this.currency = Money.#resolveCurrency(currency);
+        this.scale = CURRENCIES[this.currency];
+        this.minorUnits = calculator.add(String(minorUnits), '0');
+        if (!/^-?\d+$/.test(this.minorUnits)) {
+            throw new InvalidOperandError(minorUnits, {
+                vi: 'Số đơn vị nhỏ nhất phải là số nguyên',
+                en: 'Minor units must be an integer'
+            });
+        }
+        Object.freeze(this);
+    }
+
+    /**
+     * Tạo Money từ số tiền theo đơn vị chính, làm tròn về số chữ số của loại tiền
+     * @param {number|string} amount - Số tiền, ví dụ "12.345"
+     * @param {string} currency - Mã tiền tệ ISO 4217
+     * @param {string} [roundingMode] - Chế độ làm tròn (mặc định HALF_UP)
+     * @returns {Money}
+     */
+    static of(amount, currency, roundingMode = CalculatorService.RoundingMode.HALF_UP) {
+        const code = Money.#resolveCurrency(currency);
+        const rounded = calculator.round(String(amount), CURRENCIES[code], roundingMode);
+        return new Money(calculator.multiply(rounded, `1e${CURRENCIES[code]}`), code);
+    }
+
+    /**
+     * Tạo Money từ số đơn vị nhỏ nhất
+     * @param {string|number|BigInt} minorUnits - Số đơn vị nhỏ nhất (số nguyên)
+     * @param {string} currency - Mã tiền tệ ISO 4217
+     * @returns {Money}
+     */
+    static fromMinorUnits(minorUnits, currency) {
+        return new Money(minorUnits, currency);
+    }
+
+    /**
+     * Đăng ký (hoặc ghi đè) số chữ số đơn vị nhỏ nhất của một loại tiền
+     * @param {string} currency - Mã tiền tệ 3 chữ cái
+     * @param {number} minorUnit - Số chữ số thập phân
+     */
+    static registerCurrency(currency, minorUnit) {
+        const code = String(currency).toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code) || !Number.isInteger(minorUnit) || minorUnit < 0) {
+            throw new InvalidOperandError([currency, minorUnit], {
+                vi: 'Khai báo tiền tệ không hợp lệ',
+                en: 'Invalid currency definition'
+            }, { code: 'INVALID_CURRENCY' });
+        }
+        CURRENCIES[code] = minorUnit;
+    }
+
+    /**
+     * Kiểm tra và chuẩn hóa mã tiền tệ
+     * @param {string} currency - Mã tiền tệ
+     * @returns {string} Mã tiền tệ viết hoa
+     */
+    static #resolveCurrency(currency) {
+        const code = String(currency).toUpperCase();
+        if (!Object.prototype.hasOwnProperty.call(CURRENCIES, code)) {
+            throw new InvalidOperandError(currency, {
+                vi: 'Loại tiền không được hỗ trợ',
+                en: 'Unsupported currency'
+            }, { code: 'UNSUPPORTED_CURRENCY' });
+        }
+        return code;
+    }
+
+    /**
+     * Số tiền theo đơn vị chính dưới dạng chuỗi thập phân, ví dụ "12.30"
+     * @returns {string}
+     */
+    get amount() {
+        const value = calculator.divide(this.minorUnits, `1e${this.scale}`, { scale: this.scale });
+        const [intPart, fracPart = ''] = value.split('.');
+        return this.scale > 0 ? `${intPart}.${fracPart.padEnd(this.scale, '0')}` : intPart;
+    }
+
+    /**
+     * Đảm bảo hai giá trị cùng loại tiền
+     * @param {Money} other - Giá trị cần kiểm tra
+     * @param {string} operation - Phép toán để đưa vào lỗi, ví dụ 'add'
+     */
+    #assertSameCurrency(other, operation) {
+        if (!(other instanceof Money)) {
+            throw new InvalidOperandError(other, { vi: 'Chỉ nhận giá trị Money', en: 'Expected a Money value' }, { operation });
+        }
+        if (other.currency !== this.currency) {
+            throw new CalculatorError('CURRENCY_MISMATCH', {
+                vi: `Không thể dùng chung ${this.currency} với ${other.currency}`,
+                en: `Cannot combine ${this.currency} with ${other.currency}`
+            }, { operation, operand: other });
+        }
+    }
+
+    /**
+     * Phép cộng
+     * @param {Money} other - Giá trị cùng loại tiền
+     * @returns {Money}
+     */
+    add(other) {
+        this.#assertSameCurrency(other, 'add');
+        return new Money(calculator.add(this.minorUnits, other.minorUnits), this.currency);
+    }
+
+    /**
+     * Phép trừ
+     * @param {Money} other - Giá trị cùng loại tiền
+     * @returns {Money}
+     */
+    subtract(other) {
+        this.#assertSameCurrency(other, 'subtract');
+        return new Money(calculator.subtract(this.minorUnits, other.minorUnits), this.currency);
+    }
+
+    /**
+     * Nhân với một hệ số, làm tròn về đơn vị nhỏ nhất
+     * @param {number|string} factor - Hệ số
+     * @param {string} [roundingMode] - Chế độ làm tròn (mặc định HALF_UP)
+     * @returns {Money}
+     */
+    multiply(factor, roundingMode = CalculatorService.RoundingMode.HALF_UP) {
+        const product = calculator.multiply(this.minorUnits, String(factor), { scale: 0, roundingMode });
+        return new Money(product, this.currency);
+    }
+
+    /**
+     * Chia cho một số, làm tròn về đơn vị nhỏ nhất
+     * Dùng allocate/split nếu cần các phần cộng lại đúng bằng số ban đầu
+     * @param {number|string} divisor - Số chia
+     * @param {string} [roundingMode] - Chế độ làm tròn (mặc định HALF_UP)
+     * @returns {Money}
+     */
+    divide(divisor, roundingMode = CalculatorService.RoundingMode.HALF_UP) {
+        const quotient = calculator.divide(this.minorUnits, String(divisor), { scale: 0, roundingMode });
+        return new Money(quotient, this.currency);
+    }
+
+    /**
+     * Phân bổ số tiền theo tỉ lệ, tổng các phần luôn bằng số tiền ban đầu
+     * Các đơn vị lẻ còn dư được chia cho những phần có phần dư lớn nhất
+     * @param {Array<number|string>} ratios - Tỉ lệ không âm, ví dụ [70, 30] hoặc ["0.5", "0.25", "0.25"]
+     * @returns {Money[]}
+     */
+    allocate(ratios) {
+        if (!Array.isArray(ratios) || ratios.length === 0) {
+            throw new InvalidOperandError(ratios, {
+                vi: 'Cần ít nhất một tỉ lệ để phân bổ',
+                en: 'At least one ratio is required'
+            }, { operation: 'allocate' });
+        }
+        // Đưa các tỉ lệ về số nguyên để chia chính xác
+        const scale = Math.max(...ratios.map(ratio => (String(ratio).split('.')[1] || '').length));
+        const weights = ratios.map(ratio => {
+            const weight = calculator.multiply(String(ratio), `1e${scale}`);
+            if (!/^\d+$/.test(weight)) {
+                throw new InvalidOperandError(ratio, {
+                    vi: 'Tỉ lệ phân bổ không hợp lệ',
+                    en: 'Invalid allocation ratio'
+                }, { operation: 'allocate' });
+            }
+            return weight;
+        });
+        const total = weights.reduce((sum, weight) => calculator.add(sum, weight), '0');
+        if (total === '0') {
+            throw new InvalidOperandError(ratios, {
+                vi: 'Tổng tỉ lệ phân bổ phải lớn hơn 0',
+                en: 'Ratios must add up to more than zero'
+            }, { operation: 'allocate' });
+        }
+
+        const negative = this.minorUnits.startsWith('-');
+        const amount = negative ? this.minorUnits.slice(1) : this.minorUnits;
+        const parts = weights.map((weight, index) => {
+            const { quotient, remainder } = calculator.divmod(calculator.multiply(amount, weight), total);
+            return { index, share: quotient, remainder };
+        });
+
+        let leftover = parts.reduce((rest, part) => calculator.subtract(rest, part.share), amount);
+        const byRemainder = [...parts].sort((x, y) => {
+            const difference = calculator.subtract(y.remainder, x.remainder);
+            if (difference === '0') return x.index - y.index;
+            return difference.startsWith('-') ? -1 : 1;
+        });
+        for (const part of byRemainder) {
+            if (leftover === '0') break;
+            part.share = calculator.add(part.share, '1');
+            leftover = calculator.subtract(leftover, '1');
+        }
+
+        return parts.map(part => new Money(negative ? calculator.subtract('0', part.share) : part.share, this.currency));
+    }
+
+    /**
+     * Chia đều thành n phần, tổng các phần luôn bằng số tiền ban đầu
+     * @param {number} count - Số phần
+     * @returns {Money[]}
+     */
+    split(count) {
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new InvalidOperandError(count, {
+                vi: 'Số phần phải là số nguyên dương',
+                en: 'Count must be a positive integer'
+            }, { operation: 'split' });
+        }
+        return this.allocate(new Array(count).fill(1));
+    }
+
+    /**
+     * Số đối
+     * @returns {Money}
+     */
+    negate() {
+        return new Money(calculator.subtract('0', this.minorUnits), this.currency);
+    }
+
+    /**
+     * Có bằng 0 không
+     * @returns {boolean}
+     */
+    isZero() {
+        return this.minorUnits === '0';
+    }
+
+    /**
+     * Có phải số âm không
+     * @returns {boolean}
+     */
+    isNegative() {
+        return this.minorUnits.startsWith('-');
+    }
+
+    /**
+     * So sánh với một giá trị cùng loại tiền
+     * @param {Money} other
+     * @returns {number} 1 nếu lớn hơn, 0 nếu bằng, -1 nếu nhỏ hơn
+     */
+    compare(other) {
+        this.#assertSameCurrency(other, 'compare');
+        const difference = calculator.subtract(this.minorUnits, other.minorUnits);
+        return difference === '0' ? 0 : (difference.startsWith('-') ? -1 : 1);
+    }
+
+    /**
+     * Có bằng một giá trị khác không (cùng loại tiền và cùng số tiền)
+     * @param {Money} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        return other instanceof Money && other.currency === this.currency && other.minorUnits === this.minorUnits;
+    }
+
+    /**
+     * Định dạng theo locale, ví dụ "1.234.567 ₫" (vi-VN) hoặc "$1,234.50" (en-US)
+     * @param {Object} [options] - Tùy chọn định dạng
+     * @param {string} [options.locale='vi-VN'] - Locale
+     * @param {string} [options.currencyDisplay='symbol'] - 'symbol', 'narrowSymbol', 'code' hoặc 'name'
+     * @returns {string}
+     */
+    format({ locale = 'vi-VN', currencyDisplay = 'symbol' } = {}) {
+        // Intl.NumberFormat nhận chuỗi thập phân nên không mất chính xác với số lớn
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.currency,
+            currencyDisplay,
+            minimumFractionDigits: this.scale,
+            maximumFractionDigits: this.scale
+        }).format(this.amount);
+    }
+
+    /**
+     * @returns {string} Ví dụ "12.30 USD"
+     */
+    toString() {
+        return `${this.amount} ${this.currency}`;
+    }
+
+    /**
+     * @returns {{amount: string, currency: string}}
+     */
+    toJSON() {
+        return { amount: this.amount, currency: this.currency };
+    }
+}
+
+export default Money;
@@ -0,0 +1,212 @@
+/**
+ * Numeric - Giá trị kết quả bất biến của CalculatorService
+ * Lưu số dưới dạng decimal chính xác nên không phụ thuộc Number/chuỗi/BigInt,
+ * có thể truyền lại trực tiếp vào mọi phép toán của CalculatorService
+ */
+
+import BigInteger from './BigInteger.js';
+import { DECIMAL_PATTERN, MAX_EXPONENT } from './decimal.js';
+import { CalculatorError, InvalidOperandError, OverflowError } from './errors.js';
+
+class Numeric {
+    /**
+     * @param {string|BigInt} unscaled - Số nguyên có dấu
+     * @param {number} [scale=0] - Số chữ số thập phân, giá trị = unscaled / 10^scale
+     */
+    constructor(unscaled, scale = 0) {
+        let digits = BigInteger.parse(unscaled).toString();
+        // Bỏ số 0 thừa ở cuối phần thập phân để mỗi giá trị chỉ có một dạng biểu diễn
+        while (scale > 0 && digits !== '0' && digits.endsWith('0')) {
+            digits = digits.slice(0, -1);
+            scale--;
+        }
+        this.unscaled = digits;
+        this.scale = digits === '0' ? 0 : scale;
+        Object.freeze(this);
+    }
+
+    /**
+     * Tạo Numeric từ Number hữu hạn, BigInt, chuỗi số hoặc Numeric
+     * @param {Numeric|number|string|BigInt} value - Giá trị cần chuyển
+     * @returns {Numeric}
+     */
+    static from(value) {
+        if (value instanceof Numeric) {
+            return value;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            if (Number.isNaN(value)) {
+                throw new InvalidOperandError(value, { vi: 'Không phải là số', en: 'Not a number' });
+            }
+            throw new OverflowError({ operand: value });
+        }
+        const str = String(value).trim();
+        const match = DECIMAL_PATTERN.exec(str);
+        if (!match) {
+            throw new InvalidOperandError(value, { vi: 'Không phải là số', en: 'Not a number' });
+        }
+        const [, sign, intPart, fracPart = '', exponent = '0'] = match;
+        const shift = parseInt(exponent, 10);
+        if (Math.abs(shift) > MAX_EXPONENT) {
+            throw new OverflowError({ operand: value }, {
+                vi: `Số mũ vượt quá giới hạn ${MAX_EXPONENT}`,
+                en: `Exponent exceeds the limit of ${MAX_EXPONENT}`
+            });
+        }
+        let digits = intPart + fracPart;
+        let scale = fracPart.length - shift;
+        if (scale < 0) {
+            digits += '0'.repeat(-scale);
+            scale = 0;
+        }
+        return new Numeric(`${sign === '-' ? '-' : ''}${digits || '0'}`, scale);
+    }
+
+    /**
+     * Có phải số nguyên không
+     * @returns {boolean}
+     */
+    isInteger() {
+        return this.scale === 0;
+    }
+
+    /**
+     * Có bằng 0 không
+     * @returns {boolean}
+     */
+    isZero() {
+        return this.unscaled === '0';
+    }
+
+    /**
+     * Có âm không
+     * @returns {boolean}
+     */
+    isNegative() {
+        return this.unscaled.startsWith('-');
+    }
+
+    /**
+     * So sánh với một giá trị khác
+     * @param {Numeric|number|string|BigInt} other
+     * @returns {number} 1 nếu lớn hơn, 0 nếu bằng, -1 nếu nhỏ hơn
+     */
+    cmp(other) {
+        const y = Numeric.from(other);
+        const scale = Math.max(this.scale, y.scale);
+        const left = BigInteger.parse(this.unscaled + '0'.repeat(scale - this.scale));
+        const right = BigInteger.parse(y.unscaled + '0'.repeat(scale - y.scale));
+        return left.compare(right);
+    }
+
+    /**
+     * Có bằng một giá trị khác không
+     * @param {Numeric|number|string|BigInt} other
+     * @returns {boolean}
+     */
+    eq(other) {
+        return this.cmp(other) === 0;
+    }
+
+    /**
+     * Có nhỏ hơn một giá trị khác không
+     * @param {Numeric|number|string|BigInt} other
+     * @returns {boolean}
+     */
+    lt(other) {
+        return this.cmp(other) < 0;
+    }
+
+    /**
+     * Có nhỏ hơn hoặc bằng một giá trị khác không
+     * @param {Numeric|number|string|BigInt} other
+     * @returns {boolean}
+     */
+    lte(other) {
+        return this.cmp(other) <= 0;
+    }
+
+    /**
+     * Có lớn hơn một giá trị khác không
+     * @param {Numeric|number|string|BigInt} other
+     * @returns {boolean}
+     */
+    gt(other) {
+        return this.cmp(other) > 0;
+    }
+
+    /**
+     * Có lớn hơn hoặc bằng một giá trị khác không
+     * @param {Numeric|number|string|BigInt} other
+     * @returns {boolean}
+     */
+    gte(other) {
+        return this.cmp(other) >= 0;
+    }
+
+    /**
+     * Chuyển thành Number
+     * @param {Object} [options] - Tùy chọn
+     * @param {boolean} [options.safe=false] - Báo lỗi thay vì làm tròn nếu Number không biểu diễn chính xác được
+     * @returns {number}
+     */
+    toNumber({ safe = false } = {}) {
+        const value = Number(this.toString());
+        if (safe) {
+            if (!Number.isFinite(value)) {
+                throw new OverflowError({ operand: this.toString() });
+            }
+            if (!this.eq(value)) {
+                throw new CalculatorError('PRECISION_LOSS', {
+                    vi: `Không thể chuyển ${this} thành Number mà không mất chính xác`,
+                    en: `Cannot convert ${this} to a Number without losing precision`
+                }, { operand: this.toString() });
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Chuyển thành BigInt, chỉ áp dụng cho số nguyên
+     * @returns {BigInt}
+     */
+    toBigInt() {
+        if (!this.isInteger()) {
+            throw new InvalidOperandError(this.toString(), {
+                vi: 'Chỉ số nguyên mới chuyển được thành BigInt',
+                en: 'Only integers can be converted to BigInt'
+            });
+        }
+        return BigInt(this.unscaled);
+    }
+
+    /**
+     * @returns {string} Chuỗi thập phân chính xác, ví dụ "-12.5"
+     */
+    toString() {
+        if (this.scale === 0) {
+            return this.unscaled;
+        }
+        const negative = this.isNegative();
+        const magnitude = (negative ? this.unscaled.slice(1) : this.unscaled).padStart(this.scale + 1, '0');
+        const result = `${magnitude.slice(0, -this.scale)}.${magnitude.slice(-this.scale)}`;
+        return negative ? `-${result}` : result;
+    }
+
+    /**
+     * @returns {string} Giống toString() để JSON không mất chính xác
+     */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Giá trị nguyên thủy khi dùng với toán tử của JS (`+x`, `x < y`), có thể mất chính xác với số lớn
+     * @returns {number}
+     */
+    valueOf() {
+        return this.toNumber();
+    }
+}
+
+export default Numeric;
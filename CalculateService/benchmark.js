@@ -0,0 +1,145 @@
+/**
+ * Benchmark so sánh engine số nguyên lớn cũ (từng chữ số trên chuỗi) với engine limb cơ số 10^7
+ * Chạy: node CalculateService/benchmark.js [số chữ số...]   (mặc định: 100 1000 5000)
+ */
+
+import BigInteger from './BigInteger.js';
+
+/**
+ * Engine cũ: nhân trường học trên từng chữ số
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function legacyMultiply(a, b) {
+    const res = Array(a.length + b.length).fill(0);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            const mul = parseInt(a[i], 10) * parseInt(b[j], 10);
+            const sum = mul + res[i + j + 1];
+            res[i + j + 1] = sum % 10;
+            res[i + j] += Math.floor(sum / 10);
+        }
+    }
+    while (res[0] === 0) res.shift();
+    return res.join('');
+}
+
+/**
+ * Engine cũ: trừ từng chữ số, yêu cầu a >= b
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function legacySubtract(a, b) {
+    const num1 = a.split('').reverse();
+    const num2 = b.split('').reverse();
+    const result = [];
+    let borrow = 0;
+    for (let i = 0; i < num1.length; i++) {
+        let digit1 = parseInt(num1[i], 10) - borrow;
+        const digit2 = i < num2.length ? parseInt(num2[i], 10) : 0;
+        if (digit1 < digit2) {
+            digit1 += 10;
+            borrow = 1;
+        } else {
+            borrow = 0;
+        }
+        result.push(digit1 - digit2);
+    }
+    while (result.length > 1 && result[result.length - 1] === 0) {
+        result.pop();
+    }
+    return result.reverse().join('');
+}
+
+/**
+ * Engine cũ: so sánh hai chuỗi chữ số
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function legacyCompare(a, b) {
+    if (a.length !== b.length) return a.length > b.length ? 1 : -1;
+    return a === b ? 0 : (a > b ? 1 : -1);
+}
+
+/**
+ * Engine cũ: chia dài bằng cách trừ lặp lại
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function legacyDivide(a, b) {
+    let result = '';
+    let temp = '';
+    for (let i = 0; i < a.length; i++) {
+        temp = (temp + a[i]).replace(/^0+/, '') || '0';
+        let count = 0;
+        while (legacyCompare(temp, b) >= 0) {
+            temp = legacySubtract(temp, b);
+            count++;
+        }
+        result += count;
+    }
+    return result.replace(/^0+/, '') || '0';
+}
+
+/**
+ * Tạo chuỗi số ngẫu nhiên có đúng `length` chữ số
+ * @param {number} length
+ * @returns {string}
+ */
+function randomDigits(length) {
+    let digits = String(1 + Math.floor(Math.random() * 9));
+    for (let i = 1; i < length; i++) {
+        digits += Math.floor(Math.random() * 10);
+    }
+    return digits;
+}
+
+/**
+ * Đo thời gian chạy trung bình của một hàm
+ * @param {Function} fn
+ * @returns {{ms: number, result: *}}
+ */
+function measure(fn) {
+    const runs = 3;
+    let result;
+    const start = performance.now();
+    for (let i = 0; i < runs; i++) {
+        result = fn();
+    }
+    return { ms: (performance.now() - start) / runs, result };
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+const rows = [];
+
+for (const digits of sizes.length ? sizes : [100, 1000, 5000]) {
+    const a = randomDigits(digits);
+    const b = randomDigits(digits);
+    const dividend = randomDigits(digits * 2);
+
+    const cases = [
+        ['multiply', () => legacyMultiply(a, b), () => BigInteger.parse(a).multiply(BigInteger.parse(b)).toString()],
+        ['divide', () => legacyDivide(dividend, b), () => BigInteger.parse(dividend).divmod(BigInteger.parse(b)).quotient.toString()]
+    ];
+
+    for (const [operation, legacy, limb] of cases) {
+        const before = measure(legacy);
+        const after = measure(limb);
+        if (before.result !== after.result) {
+            throw new Error(`Kết quả ${operation} không khớp ở ${digits} chữ số`);
+        }
+        rows.push({
+            operation,
+            digits,
+            'legacy (ms)': before.ms.toFixed(2),
+            'limb (ms)': after.ms.toFixed(2),
+            speedup: `${(before.ms / after.ms).toFixed(1)}x`
+        });
+    }
+}
+
+console.table(rows);
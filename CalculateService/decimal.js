@@ -0,0 +1,13 @@
+/**
+ * Decimal - Cú pháp số thập phân dạng chuỗi và giới hạn số mũ dùng chung cho CalculatorService, Numeric và Fraction
+ */
+
+// Số thập phân dạng chuỗi: dấu, phần nguyên, phần thập phân, số mũ
+export const DECIMAL_PATTERN = /^([+-]?)(?=\.?\d)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Số thập phân có thể có phần tuần hoàn trong ngoặc: "-1.2(34)", "0.(3)", "1.5e-3"
+// Nhóm: dấu, phần nguyên, phần thập phân, phần tuần hoàn, số mũ
+export const REPEATING_DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*)(?:\((\d+)\))?)?(?:e([+-]?\d+))?$/i;
+
+// Giới hạn số mũ khi khai triển dạng mũ thành chuỗi chữ số
+export const MAX_EXPONENT = 100000;
@@ -0,0 +1,181 @@
+/**
+ * Errors - Các lớp lỗi của CalculatorService
+ * Mỗi lỗi có `code` cố định, phép toán và toán hạng gây lỗi, cùng thông báo bằng tiếng Việt và tiếng Anh
+ */
+
+// Tên phép toán dùng trong thông báo lỗi
+const OPERATION_LABELS = {
+    add: { vi: 'phép cộng', en: 'addition' },
+    subtract: { vi: 'phép trừ', en: 'subtraction' },
+    multiply: { vi: 'phép nhân', en: 'multiplication' },
+    divide: { vi: 'phép chia', en: 'division' },
+    divmod: { vi: 'phép chia lấy dư', en: 'division with remainder' },
+    mod: { vi: 'phép chia lấy dư', en: 'modulo' },
+    power: { vi: 'phép lũy thừa', en: 'exponentiation' },
+    round: { vi: 'phép làm tròn', en: 'rounding' },
+    parse: { vi: 'đọc số', en: 'parsing' },
+    format: { vi: 'định dạng số', en: 'formatting' },
+    evaluate: { vi: 'tính biểu thức', en: 'expression evaluation' },
+    compare: { vi: 'phép so sánh', en: 'comparison' },
+    allocate: { vi: 'phân bổ', en: 'allocation' },
+    split: { vi: 'chia đều', en: 'splitting' },
+    gcd: { vi: 'ước chung lớn nhất', en: 'greatest common divisor' },
+    lcm: { vi: 'bội chung nhỏ nhất', en: 'least common multiple' },
+    modPow: { vi: 'lũy thừa modulo', en: 'modular exponentiation' },
+    modInverse: { vi: 'nghịch đảo modulo', en: 'modular inverse' },
+    integerSqrt: { vi: 'căn bậc hai nguyên', en: 'integer square root' },
+    integerNthRoot: { vi: 'căn bậc n nguyên', en: 'integer nth root' },
+    factorial: { vi: 'giai thừa', en: 'factorial' },
+    binomial: { vi: 'tổ hợp', en: 'binomial coefficient' },
+    isProbablePrime: { vi: 'kiểm tra số nguyên tố', en: 'primality test' },
+    sqrt: { vi: 'căn bậc hai', en: 'square root' },
+    nthRoot: { vi: 'căn bậc n', en: 'nth root' },
+    exp: { vi: 'hàm mũ', en: 'exponential' },
+    ln: { vi: 'logarit tự nhiên', en: 'natural logarithm' },
+    log10: { vi: 'logarit cơ số 10', en: 'base-10 logarithm' },
+    pmt: { vi: 'tính khoản trả mỗi kỳ', en: 'periodic payment' },
+    fv: { vi: 'tính giá trị tương lai', en: 'future value' },
+    pv: { vi: 'tính giá trị hiện tại', en: 'present value' },
+    nper: { vi: 'tính số kỳ', en: 'number of periods' },
+    rate: { vi: 'tính lãi suất', en: 'interest rate' },
+    npv: { vi: 'giá trị hiện tại ròng', en: 'net present value' },
+    irr: { vi: 'tỉ suất hoàn vốn nội bộ', en: 'internal rate of return' },
+    xirr: { vi: 'tỉ suất hoàn vốn nội bộ theo ngày', en: 'internal rate of return for dated cash flows' },
+    effectiveRate: { vi: 'quy đổi lãi suất thực', en: 'effective rate conversion' },
+    nominalRate: { vi: 'quy đổi lãi suất danh nghĩa', en: 'nominal rate conversion' },
+    amortizationSchedule: { vi: 'lập lịch trả nợ', en: 'amortization schedule' },
+    sum: { vi: 'tính tổng', en: 'sum' },
+    mean: { vi: 'tính trung bình', en: 'mean' },
+    median: { vi: 'tính trung vị', en: 'median' },
+    mode: { vi: 'tính yếu vị', en: 'mode' },
+    variance: { vi: 'tính phương sai', en: 'variance' },
+    stddev: { vi: 'tính độ lệch chuẩn', en: 'standard deviation' },
+    percentile: { vi: 'tính phân vị', en: 'percentile' },
+    weightedAverage: { vi: 'tính trung bình có trọng số', en: 'weighted average' },
+    min: { vi: 'tìm giá trị nhỏ nhất', en: 'minimum' },
+    max: { vi: 'tìm giá trị lớn nhất', en: 'maximum' },
+    convert: { vi: 'đổi cơ số', en: 'radix conversion' },
+    and: { vi: 'phép AND theo bit', en: 'bitwise AND' },
+    or: { vi: 'phép OR theo bit', en: 'bitwise OR' },
+    xor: { vi: 'phép XOR theo bit', en: 'bitwise XOR' },
+    not: { vi: 'phép NOT theo bit', en: 'bitwise NOT' },
+    shiftLeft: { vi: 'phép dịch trái', en: 'left shift' },
+    shiftRight: { vi: 'phép dịch phải', en: 'right shift' }
+};
+
+/**
+ * Mô tả ngắn gọn một toán hạng để đưa vào thông báo lỗi
+ * @param {any} operand - Toán hạng
+ * @returns {string} Mô tả, chuỗi được đặt trong dấu nháy
+ */
+function describeOperand(operand) {
+    if (typeof operand === 'string') return `"${operand}"`;
+    if (typeof operand === 'bigint') return `${operand}n`;
+    if (Array.isArray(operand)) return operand.map(describeOperand).join(', ');
+    return String(operand);
+}
+
+/**
+ * Lỗi gốc của CalculatorService
+ */
+export class CalculatorError extends Error {
+    /**
+     * @param {string} code - Mã lỗi cố định, ví dụ 'DIVISION_BY_ZERO'
+     * @param {{vi: string, en: string}} messages - Nội dung lỗi theo ngôn ngữ
+     * @param {Object} [context] - Ngữ cảnh lỗi
+     * @param {string} [context.operation] - Phép toán gây lỗi, ví dụ 'divide'
+     * @param {any} [context.operand] - Toán hạng gây lỗi
+     * @param {string} [context.language='vi'] - Ngôn ngữ của `message`
+     * @param {Error} [context.cause] - Lỗi gốc
+     */
+    constructor(code, messages, { operation, operand, language = 'vi', cause } = {}) {
+        super(messages.vi, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.code = code;
+        this.messages = messages;
+        this.operation = operation;
+        if (operand !== undefined) {
+            this.operand = operand;
+        }
+        this.message = this.getMessage(language);
+    }
+
+    /**
+     * Thông báo lỗi theo ngôn ngữ, kèm tên phép toán nếu có
+     * @param {string} [language='vi'] - 'vi' hoặc 'en'
+     * @returns {string}
+     */
+    getMessage(language = 'vi') {
+        const lang = this.messages[language] ? language : 'vi';
+        const label = OPERATION_LABELS[this.operation]?.[lang] ?? this.operation;
+        return label ? `${this.messages[lang]} (${label})` : this.messages[lang];
+    }
+
+    /**
+     * Bổ sung phép toán/toán hạng còn thiếu và đặt lại ngôn ngữ của `message`
+     * @param {Object} context - { operation, operand, language }
+     * @returns {CalculatorError} Chính lỗi này
+     */
+    withContext({ operation, operand, language = 'vi' }) {
+        this.operation = this.operation ?? operation;
+        if (this.operand === undefined && operand !== undefined) {
+            this.operand = operand;
+        }
+        this.message = this.getMessage(language);
+        return this;
+    }
+
+    /**
+     * @returns {Object} Dữ liệu lỗi để trả về qua API
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            operation: this.operation,
+            operand: this.operand === undefined ? undefined : describeOperand(this.operand),
+            message: this.message,
+            messages: this.messages
+        };
+    }
+}
+
+/**
+ * Lỗi chia cho 0
+ */
+export class DivisionByZeroError extends CalculatorError {
+    /**
+     * @param {Object} [context] - Ngữ cảnh lỗi (xem CalculatorError)
+     */
+    constructor(context = {}) {
+        super('DIVISION_BY_ZERO', { vi: 'Không thể chia cho 0', en: 'Cannot divide by zero' }, context);
+    }
+}
+
+/**
+ * Lỗi toán hạng không hợp lệ: không phải số, NaN/Infinity, sai kiểu...
+ */
+export class InvalidOperandError extends CalculatorError {
+    /**
+     * @param {any} operand - Toán hạng không hợp lệ
+     * @param {{vi: string, en: string}} [reason] - Lý do
+     * @param {Object} [context] - Ngữ cảnh lỗi, có thể ghi đè `code` (mặc định 'INVALID_OPERAND')
+     */
+    constructor(operand, reason = { vi: 'Toán hạng không hợp lệ', en: 'Invalid operand' }, { code = 'INVALID_OPERAND', ...context } = {}) {
+        const described = describeOperand(operand);
+        super(code, { vi: `${reason.vi}: ${described}`, en: `${reason.en}: ${described}` }, { ...context, operand });
+    }
+}
+
+/**
+ * Lỗi kết quả hoặc giá trị trung gian vượt quá giới hạn biểu diễn
+ */
+export class OverflowError extends CalculatorError {
+    /**
+     * @param {Object} [context] - Ngữ cảnh lỗi (xem CalculatorError)
+     * @param {{vi: string, en: string}} [detail] - Mô tả chi tiết
+     */
+    constructor(context = {}, detail = { vi: 'Kết quả vượt quá giới hạn biểu diễn', en: 'Result exceeds the representable range' }) {
+        super('OVERFLOW', detail, context);
+    }
+}
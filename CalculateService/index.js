@@ -1,200 +1,490 @@
 /**
  * Calculator Service - Service tính toán toán học
- * Hỗ trợ: cộng, trừ, nhân, chia, làm tròn decimal, big integer
+ * Hỗ trợ: cộng, trừ, nhân, chia, làm tròn decimal, big integer, decimal chính xác, số học số nguyên,
+ * căn, mũ và logarit với độ chính xác tùy chọn, thống kê chính xác trên mảng và luồng bất đồng bộ,
+ * đổi cơ số 2–36 và phép toán bit bù hai
  */
 
+import BigInteger from './BigInteger.js';
+import CalculationChain from './CalculationChain.js';
+import { DECIMAL_PATTERN, MAX_EXPONENT } from './decimal.js';
+import { CalculatorError, DivisionByZeroError, InvalidOperandError, OverflowError } from './errors.js';
+import ExpressionParser from './ExpressionParser.js';
+import Fraction from './Fraction.js';
+import { resolveLocale } from './locales.js';
+import { BIG_INTEGERS, SMALL_INTEGERS } from './numberTheory.js';
+import Numeric from './Numeric.js';
+import { RADIX_LITERAL, formatRadix, parseRadix, wrapToWidth } from './radix.js';
+import { ROUNDING_MODES, shouldRoundAway, validateRoundingMode } from './rounding.js';
+import { REDUCERS, terminatingScale } from './statistics.js';
+import { expApproximation, lnApproximation, log10Approximation, powerApproximation } from './transcendental.js';
+
+// Quy ước dấu của phép chia lấy dư
+const MODULO_MODES = Object.freeze({
+    TRUNCATED: 'truncated',   // Cùng dấu với số bị chia (như toán tử % của JS)
+    FLOORED: 'floored',       // Cùng dấu với số chia (như Python)
+    EUCLIDEAN: 'euclidean'    // Luôn không âm
+});
+
+// Phép toán tương ứng với toán tử trong biểu thức
+const BINARY_OPERATIONS = {
+    '+': 'add',
+    '-': 'subtract',
+    '*': 'multiply',
+    '/': 'divide',
+    '^': 'power'
+};
+
+// Số mũ hữu tỉ p/q được tính chính xác bằng căn nguyên khi q và kích thước của x^p đủ nhỏ
+const MAX_EXACT_ROOT_DEGREE = 100n;
+const MAX_EXACT_POWER_BITS = 100000n;
+
+// Số lần tính lại tối đa khi làm tròn đúng hàm siêu việt, quá số lần này thì báo lỗi;
+// mỗi lần thêm gấp đôi số chữ số bảo vệ, bắt đầu từ ZIV_GUARD_DIGITS
+const ZIV_ATTEMPTS = 8;
+const ZIV_GUARD_DIGITS = 16;
+
+// Số bit dịch trái tối đa khi không giới hạn độ rộng, tương ứng kết quả khoảng MAX_EXPONENT chữ số
+const MAX_SHIFT = Math.floor(MAX_EXPONENT * Math.log2(10));
+
 class CalculatorService {
-    constructor() {
+    static RoundingMode = ROUNDING_MODES;
+    static ModuloMode = MODULO_MODES;
+
+    /**
+     * @param {Object} [options] - Tùy chọn cấu hình
+     * @param {number} [options.precision=2] - Số chữ số thập phân mặc định khi làm tròn
+     * @param {string} [options.roundingMode='HALF_UP'] - Chế độ làm tròn mặc định (xem CalculatorService.RoundingMode)
+     * @param {boolean} [options.decimal=false] - Bật chế độ decimal chính xác (không đi qua Number)
+     * @param {number} [options.divisionScale=20] - Số chữ số thập phân của phép chia ở chế độ decimal
+     * @param {string} [options.locale='vi-VN'] - Locale mặc định cho parse/format và ngôn ngữ của thông báo lỗi
+     * @param {boolean} [options.strict=false] - Từ chối toán hạng không phải số, NaN, Infinity và trộn kiểu dữ liệu
+     * @param {boolean} [options.primitives=false] - Trả về Number/chuỗi/BigInt như phiên bản cũ thay vì Numeric
+     */
+    constructor(options = {}) {
         // Độ chính xác mặc định cho decimal
-        this.defaultPrecision = 2;
+        this.defaultPrecision = options.precision ?? 2;
+        // Chế độ làm tròn mặc định
+        this.roundingMode = validateRoundingMode(options.roundingMode ?? ROUNDING_MODES.HALF_UP);
+        // Chế độ decimal: mọi số thập phân đều được tính chính xác trên chuỗi
+        this.decimalMode = options.decimal === true;
+        // Số chữ số thập phân giữ lại khi chia ở chế độ decimal
+        this.divisionScale = options.divisionScale ?? 20;
+        // Locale mặc định khi đọc và định dạng số
+        this.locale = options.locale ?? 'vi-VN';
+        resolveLocale(this.locale);
+        // Chế độ kiểm tra đầu vào nghiêm ngặt
+        this.strict = options.strict === true;
+        // Trả về giá trị nguyên thủy thay vì Numeric (tương thích ngược)
+        this.primitives = options.primitives === true;
     }
 
     /**
      * Phép cộng
      * @param {number|string|BigInt} a - Số thứ nhất
      * @param {number|string|BigInt} b - Số thứ hai
-     * @param {boolean} useBigInt - Sử dụng BigInt cho số lớn
-     * @returns {number|BigInt} Kết quả phép cộng
+     * @param {string} mode - Chế độ tính: 'number', 'bigint', 'decimal' hoặc 'fraction'
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } cho lần gọi này
+     * @returns {number|string} Kết quả phép cộng
      */
-    #addNumber(a, b, useBigInt = false) {
+    #addNumber(a, b, mode = 'number', options = {}) {
         try {
-            if (useBigInt) {
+            if (mode === 'fraction') {
+                return Fraction.from(a).add(b);
+            }
+            if (mode === 'decimal') {
+                return this.#applyScale(this.#addNumberDecimal(a, b), options);
+            }
+            if (mode === 'bigint') {
                 return this.#addNumberBigInteger(a, b);
             }
 
             const result = Number(a) + Number(b);
-            return Number(result.toFixed(this.defaultPrecision));
+            return this.#roundNumber(result, options);
         } catch (error) {
-            throw new Error(`Lỗi phép cộng: ${error.message}`);
+            throw this.#toCalculatorError(error, 'add');
+        }
+    }
+
+    /**
+     * Chuẩn hóa chuỗi số nguyên lớn có dấu: bỏ dấu '+', số 0 ở đầu và '-0'
+     * @param {number|string|BigInt} value - Giá trị cần chuẩn hóa
+     * @returns {string} Chuỗi số nguyên chuẩn, ví dụ '-123', '0', '5'
+     */
+    #normalizeBigIntStr(value) {
+        const match = /^([+-]?)0*(\d+)$/.exec(String(value).trim());
+        if (!match) {
+            throw new InvalidOperandError(value, { vi: 'Số nguyên không hợp lệ', en: 'Invalid integer' });
         }
+        const [, sign, digits] = match;
+        return sign === '-' && digits !== '0' ? '-' + digits : digits;
     }
 
     /**
-     * Cộng hai số nguyên lớn dạng chuỗi
+     * Tách dấu và phần trị tuyệt đối của chuỗi số nguyên lớn
+     * @param {number|string|BigInt} value - Giá trị cần tách
+     * @returns {{negative: boolean, magnitude: string}} Dấu và trị tuyệt đối
+     */
+    #splitSign(value) {
+        const normalized = this.#normalizeBigIntStr(value);
+        const negative = normalized.startsWith('-');
+        return { negative, magnitude: negative ? normalized.slice(1) : normalized };
+    }
+
+    /**
+     * Ghép dấu vào trị tuyệt đối, không bao giờ tạo ra '-0'
+     * @param {boolean} negative - Có phải số âm không
+     * @param {string} magnitude - Trị tuyệt đối đã chuẩn hóa
+     * @returns {string} Chuỗi số nguyên có dấu
+     */
+    #withSign(negative, magnitude) {
+        return negative && magnitude !== '0' ? '-' + magnitude : magnitude;
+    }
+
+    /**
+     * Cộng hai số nguyên lớn có dấu dạng chuỗi
      * @param {string} a - Chuỗi số thứ nhất
      * @param {string} b - Chuỗi số thứ hai
      * @returns {string} Kết quả phép cộng dưới dạng chuỗi
      */
     #addNumberBigInteger(a, b) {
-        let num1 = a.replace(/^0+/, '');
-        let num2 = b.replace(/^0+/, '');
-        if (num1.length < num2.length) [num1, num2] = [num2, num1];
-        num1 = num1.split('').reverse();
-        num2 = num2.split('').reverse();
-        const result = [];
-        let carry = 0;
-        for (let i = 0; i < num1.length; i++) {
-            const digit1 = parseInt(num1[i], 10);
-            const digit2 = i < num2.length ? parseInt(num2[i], 10) : 0;
-            const sum = digit1 + digit2 + carry;
-            result.push(sum % 10);
-            carry = Math.floor(sum / 10);
-        }
-        if (carry) result.push(carry);
-        return result.reverse().join('');
+        return BigInteger.parse(a).add(BigInteger.parse(b)).toString();
     }
 
     /**
      * Phép trừ
      * @param {number|string|BigInt} a - Số bị trừ
      * @param {number|string|BigInt} b - Số trừ
-     * @param {boolean} useBigInt - Sử dụng BigInt cho số lớn
-     * @returns {number|BigInt} Kết quả phép trừ
+     * @param {string} mode - Chế độ tính: 'number', 'bigint', 'decimal' hoặc 'fraction'
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } cho lần gọi này
+     * @returns {number|string} Kết quả phép trừ
      */
-    #subtractNumber(a, b, useBigInt = false) {
+    #subtractNumber(a, b, mode = 'number', options = {}) {
         try {
-            if (useBigInt) {
+            if (mode === 'fraction') {
+                return Fraction.from(a).subtract(b);
+            }
+            if (mode === 'decimal') {
+                return this.#applyScale(this.#subtractNumberDecimal(a, b), options);
+            }
+            if (mode === 'bigint') {
                 return this.#subtractNumberBigInteger(a, b);
             }
-            return Number(a) - Number(b);
+            return this.#roundNumber(Number(a) - Number(b), options);
         } catch (error) {
-            throw new Error(`Lỗi phép trừ: ${error.message}`);
+            throw this.#toCalculatorError(error, 'subtract');
         }
     }
 
     /**
-     * Trừ hai số nguyên lớn dạng chuỗi
+     * Trừ hai số nguyên lớn có dấu dạng chuỗi
      * @param {string} a - Chuỗi số bị trừ
      * @param {string} b - Chuỗi số trừ
      * @returns {string} Kết quả phép trừ dưới dạng chuỗi
      */
     #subtractNumberBigInteger(a, b) {
-        let num1 = a.replace(/^0+/, '');
-        let num2 = b.replace(/^0+/, '');
-        // Kiểm tra nếu a < b thì trả về số âm
-        let negative = false;
-        if (num1.length < num2.length || (num1.length === num2.length && num1 < num2)) {
-            [num1, num2] = [num2, num1];
-            negative = true;
-        }
-        num1 = num1.split('').reverse();
-        num2 = num2.split('').reverse();
-        const result = [];
-        let borrow = 0;
-        for (let i = 0; i < num1.length; i++) {
-            let digit1 = parseInt(num1[i], 10) - borrow;
-            const digit2 = i < num2.length ? parseInt(num2[i], 10) : 0;
-            if (digit1 < digit2) {
-                digit1 += 10;
-                borrow = 1;
-            } else {
-                borrow = 0;
-            }
-            result.push(digit1 - digit2);
-        }
-        // Loại bỏ số 0 ở đầu
-        while (result.length > 1 && result[result.length - 1] === 0) {
-            result.pop();
-        }
-        let resStr = result.reverse().join('');
-        return negative ? '-' + resStr : resStr;
+        return BigInteger.parse(a).subtract(BigInteger.parse(b)).toString();
     }
 
     /**
-     * Nhân hai số nguyên lớn dạng chuỗi
+     * Nhân hai số nguyên lớn có dấu dạng chuỗi (Karatsuba khi số đủ lớn)
      * @param {string} a - Chuỗi số thứ nhất
      * @param {string} b - Chuỗi số thứ hai
      * @returns {string} Kết quả phép nhân dưới dạng chuỗi
      */
     #multiplyNumberBigInteger(a, b) {
-        let num1 = a.replace(/^0+/, '');
-        let num2 = b.replace(/^0+/, '');
-        if (num1 === '0' || num2 === '0') return '0';
-        const res = Array(num1.length + num2.length).fill(0);
-        for (let i = num1.length - 1; i >= 0; i--) {
-            for (let j = num2.length - 1; j >= 0; j--) {
-                const mul = parseInt(num1[i], 10) * parseInt(num2[j], 10);
-                const sum = mul + res[i + j + 1];
-                res[i + j + 1] = sum % 10;
-                res[i + j] += Math.floor(sum / 10);
-            }
-        }
-        // Loại bỏ số 0 ở đầu
-        while (res[0] === 0) res.shift();
-        return res.join('');
+        return BigInteger.parse(a).multiply(BigInteger.parse(b)).toString();
     }
 
     /**
-     * Chia hai số nguyên lớn dạng chuỗi (chia lấy phần nguyên)
+     * Chia hai số nguyên lớn có dấu dạng chuỗi (chia lấy phần nguyên, làm tròn về 0)
      * @param {string} a - Chuỗi số bị chia
      * @param {string} b - Chuỗi số chia
      * @returns {string} Kết quả phép chia dưới dạng chuỗi
      */
     #divideNumberBigInteger(a, b) {
-        let num1 = a.replace(/^0+/, '');
-        let num2 = b.replace(/^0+/, '');
-        if (num2 === '0') throw new Error('Không thể chia cho 0');
-        if (num1 === '0') return '0';
-        if (num2.length > num1.length || (num2.length === num1.length && num2 > num1)) return '0';
-        let result = '';
-        let temp = '';
-        for (let i = 0; i < num1.length; i++) {
-            temp += num1[i];
-            temp = temp.replace(/^0+/, '');
-            let count = 0;
-            while (this.#compareBigIntStr(temp, num2) >= 0) {
-                temp = this.#subtractNumberBigInteger(temp, num2);
-                temp = temp.replace(/^0+/, '');
-                count++;
-            }
-            result += count;
-        }
-        // Loại bỏ số 0 ở đầu
-        result = result.replace(/^0+/, '');
-        return result === '' ? '0' : result;
-    }
-
-    /**
-     * So sánh hai chuỗi số nguyên lớn
+        return BigInteger.parse(a).divmod(BigInteger.parse(b)).quotient.toString();
+    }
+
+    /**
+     * Chia lấy thương và số dư hai số nguyên lớn dạng chuỗi (thương làm tròn về 0)
+     * @param {string} a - Chuỗi số bị chia
+     * @param {string} b - Chuỗi số chia
+     * @returns {{quotient: string, remainder: string}} Thương và số dư (cùng dấu với số bị chia)
+     */
+    #divmodBigInteger(a, b) {
+        const { quotient, remainder } = BigInteger.parse(a).divmod(BigInteger.parse(b));
+        return { quotient: quotient.toString(), remainder: remainder.toString() };
+    }
+
+    /**
+     * So sánh hai chuỗi số nguyên lớn có dấu
      * @param {string} a
      * @param {string} b
      * @returns {number} 1 nếu a > b, 0 nếu a == b, -1 nếu a < b
      */
     #compareBigIntStr(a, b) {
-        a = a.replace(/^0+/, '');
-        b = b.replace(/^0+/, '');
-        if (a.length > b.length) return 1;
-        if (a.length < b.length) return -1;
-        if (a > b) return 1;
-        if (a < b) return -1;
-        return 0;
+        return BigInteger.parse(a).compare(BigInteger.parse(b));
+    }
+
+    /**
+     * Phân tích một giá trị thành dạng decimal chính xác
+     * @param {number|string|BigInt} value - Giá trị cần phân tích
+     * @returns {{unscaled: string, scale: number}} unscaled là số nguyên có dấu, giá trị = unscaled / 10^scale
+     */
+    #parseDecimal(value) {
+        const str = String(value).trim();
+        const match = DECIMAL_PATTERN.exec(str);
+        if (!match) {
+            throw new InvalidOperandError(value, { vi: 'Không phải là số', en: 'Not a number' });
+        }
+        const [, sign, intPart, fracPart = '', exponent = '0'] = match;
+        if (Math.abs(parseInt(exponent, 10)) > MAX_EXPONENT) {
+            throw new OverflowError({ operand: value }, {
+                vi: `Số mũ vượt quá giới hạn ${MAX_EXPONENT}`,
+                en: `Exponent exceeds the limit of ${MAX_EXPONENT}`
+            });
+        }
+        let digits = (intPart + fracPart).replace(/^0+/, '') || '0';
+        let scale = fracPart.length - parseInt(exponent, 10);
+        if (scale < 0) {
+            digits = digits === '0' ? '0' : digits + '0'.repeat(-scale);
+            scale = 0;
+        }
+        return { unscaled: this.#withSign(sign === '-', digits), scale };
+    }
+
+    /**
+     * Chuyển dạng decimal nội bộ thành chuỗi số, bỏ các số 0 thừa ở phần thập phân
+     * @param {{unscaled: string, scale: number}} decimal - Giá trị decimal
+     * @returns {string} Chuỗi số thập phân
+     */
+    #formatDecimal({ unscaled, scale }) {
+        const { negative, magnitude } = this.#splitSign(unscaled);
+        let result = magnitude;
+        if (scale > 0 && magnitude !== '0') {
+            const padded = magnitude.padStart(scale + 1, '0');
+            const intPart = padded.slice(0, padded.length - scale);
+            const fracPart = padded.slice(padded.length - scale).replace(/0+$/, '');
+            result = fracPart ? `${intPart}.${fracPart}` : intPart;
+        }
+        return this.#withSign(negative, result);
+    }
+
+    /**
+     * Đưa hai giá trị decimal về cùng số chữ số thập phân
+     * @param {Object} x - Decimal thứ nhất
+     * @param {Object} y - Decimal thứ hai
+     * @returns {Array<Object>} Hai decimal có cùng scale
+     */
+    #alignDecimals(x, y) {
+        const scale = Math.max(x.scale, y.scale);
+        const align = d => ({
+            unscaled: d.unscaled === '0' ? '0' : d.unscaled + '0'.repeat(scale - d.scale),
+            scale
+        });
+        return [align(x), align(y)];
+    }
+
+    /**
+     * Cộng hai số thập phân chính xác
+     * @param {number|string} a - Số thứ nhất
+     * @param {number|string} b - Số thứ hai
+     * @returns {string} Kết quả phép cộng dưới dạng chuỗi
+     */
+    #addNumberDecimal(a, b) {
+        const [x, y] = this.#alignDecimals(this.#parseDecimal(a), this.#parseDecimal(b));
+        return this.#formatDecimal({ unscaled: this.#addNumberBigInteger(x.unscaled, y.unscaled), scale: x.scale });
+    }
+
+    /**
+     * Trừ hai số thập phân chính xác
+     * @param {number|string} a - Số bị trừ
+     * @param {number|string} b - Số trừ
+     * @returns {string} Kết quả phép trừ dưới dạng chuỗi
+     */
+    #subtractNumberDecimal(a, b) {
+        const [x, y] = this.#alignDecimals(this.#parseDecimal(a), this.#parseDecimal(b));
+        return this.#formatDecimal({ unscaled: this.#subtractNumberBigInteger(x.unscaled, y.unscaled), scale: x.scale });
+    }
+
+    /**
+     * Nhân hai số thập phân chính xác
+     * @param {number|string} a - Số thứ nhất
+     * @param {number|string} b - Số thứ hai
+     * @returns {string} Kết quả phép nhân dưới dạng chuỗi
+     */
+    #multiplyNumberDecimal(a, b) {
+        const x = this.#parseDecimal(a);
+        const y = this.#parseDecimal(b);
+        return this.#formatDecimal({
+            unscaled: this.#multiplyNumberBigInteger(x.unscaled, y.unscaled),
+            scale: x.scale + y.scale
+        });
+    }
+
+    /**
+     * Chia hai số thập phân, làm tròn tại chữ số thập phân thứ `scale`
+     * @param {number|string} a - Số bị chia
+     * @param {number|string} b - Số chia
+     * @param {number} scale - Số chữ số thập phân của kết quả
+     * @param {string} [roundingMode] - Chế độ làm tròn
+     * @returns {string} Kết quả phép chia dưới dạng chuỗi
+     */
+    #divideNumberDecimal(a, b, scale, roundingMode = this.roundingMode) {
+        const x = this.#parseDecimal(a);
+        const y = this.#parseDecimal(b);
+        if (y.unscaled === '0') {
+            throw new DivisionByZeroError({ operand: b });
+        }
+        // Tính thêm một chữ số, nếu phép chia còn dư thì thêm chữ số '1' làm bit dính
+        // để phân biệt trường hợp đúng nửa với trường hợp lớn hơn nửa khi làm tròn
+        const shift = scale + 1 + y.scale - x.scale;
+        const numerator = shift > 0 && x.unscaled !== '0' ? x.unscaled + '0'.repeat(shift) : x.unscaled;
+        const denominator = shift < 0 ? y.unscaled + '0'.repeat(-shift) : y.unscaled;
+        const quotient = this.#divideNumberBigInteger(numerator, denominator);
+        let truncated = { unscaled: quotient, scale: scale + 1 };
+        if (this.#multiplyNumberBigInteger(quotient, denominator) !== numerator) {
+            const negative = x.unscaled.startsWith('-') !== y.unscaled.startsWith('-');
+            const { magnitude } = this.#splitSign(quotient);
+            truncated = { unscaled: this.#withSign(negative, magnitude + '1'), scale: scale + 2 };
+        }
+        return this.#formatDecimal(this.#roundDecimal(truncated, scale, roundingMode));
+    }
+
+    /**
+     * Lũy thừa số thập phân với số mũ nguyên
+     * @param {number|string} base - Cơ số
+     * @param {number|string} exponent - Số mũ (số nguyên)
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } cho phép chia khi số mũ âm
+     * @returns {string} Kết quả lũy thừa dưới dạng chuỗi
+     */
+    #powerNumberDecimal(base, exponent, options = {}) {
+        const exp = this.#parseDecimal(exponent);
+        if (exp.scale > 0) {
+            throw new InvalidOperandError(exponent, {
+                vi: 'Chế độ decimal chỉ hỗ trợ số mũ nguyên',
+                en: 'Decimal mode only supports integer exponents'
+            });
+        }
+        const { negative, magnitude } = this.#splitSign(exp.unscaled);
+        let remaining = BigInt(magnitude);
+        let result = '1';
+        let factor = this.#formatDecimal(this.#parseDecimal(base));
+        // Bình phương và nhân
+        while (remaining > 0n) {
+            if (remaining & 1n) {
+                result = this.#multiplyNumberDecimal(result, factor);
+            }
+            remaining >>= 1n;
+            if (remaining > 0n) {
+                factor = this.#multiplyNumberDecimal(factor, factor);
+            }
+        }
+        if (negative) {
+            return this.#divideNumberDecimal('1', result, options.scale ?? this.divisionScale, this.#roundingModeOf(options));
+        }
+        return result;
+    }
+
+    /**
+     * Lấy chế độ làm tròn của lần gọi, mặc định theo cấu hình của service
+     * @param {Object} options - Tùy chọn của lần gọi
+     * @returns {string} Chế độ làm tròn
+     */
+    #roundingModeOf(options) {
+        return validateRoundingMode(options.roundingMode ?? this.roundingMode);
+    }
+
+    /**
+     * Làm tròn một giá trị decimal về số chữ số thập phân cho trước
+     * @param {{unscaled: string, scale: number}} decimal - Giá trị cần làm tròn
+     * @param {number} targetScale - Số chữ số thập phân cần giữ lại, âm để làm tròn đến hàng chục, hàng trăm...
+     * @param {string} roundingMode - Chế độ làm tròn
+     * @returns {{unscaled: string, scale: number}} Giá trị đã làm tròn
+     */
+    #roundDecimal({ unscaled, scale }, targetScale, roundingMode) {
+        if (targetScale < 0) {
+            // Làm tròn đến hàng chục, hàng trăm...: làm tròn giá trị đã chia cho 10^-targetScale rồi nhân lại
+            const shifted = this.#roundDecimal({ unscaled, scale: scale - targetScale }, 0, roundingMode);
+            return { unscaled: shifted.unscaled === '0' ? '0' : shifted.unscaled + '0'.repeat(-targetScale), scale: 0 };
+        }
+        if (scale <= targetScale) {
+            return { unscaled, scale };
+        }
+        const { negative, magnitude } = this.#splitSign(unscaled);
+        const dropped = scale - targetScale;
+        const padded = magnitude.padStart(dropped + 1, '0');
+        const kept = padded.slice(0, padded.length - dropped);
+        const discarded = padded.slice(padded.length - dropped);
+
+        if (/^0*$/.test(discarded)) {
+            return { unscaled: this.#withSign(negative, this.#normalizeBigIntStr(kept)), scale: targetScale };
+        }
+
+        // So sánh phần bị bỏ với một nửa đơn vị cuối cùng
+        const half = '5'.padEnd(dropped, '0');
+        const vsHalf = discarded > half ? 1 : (discarded < half ? -1 : 0);
+        const isOdd = parseInt(kept[kept.length - 1], 10) % 2 === 1;
+        const roundAway = shouldRoundAway(roundingMode, negative, vsHalf, isOdd);
+
+        const normalized = this.#normalizeBigIntStr(kept);
+        const result = roundAway ? this.#addNumberBigInteger(normalized, '1') : normalized;
+        return { unscaled: this.#withSign(negative, result), scale: targetScale };
+    }
+
+    /**
+     * Làm tròn kết quả của phép tính trên Number theo tùy chọn của lần gọi
+     * Làm tròn trên biểu diễn thập phân ngắn nhất của số để tránh lỗi nhị phân của toFixed (1.005 -> 1.01)
+     * @param {number} value - Kết quả cần làm tròn
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @returns {number} Kết quả đã làm tròn
+     */
+    #roundNumber(value, options) {
+        if (!Number.isFinite(value)) {
+            return value;
+        }
+        const scale = options.scale ?? this.defaultPrecision;
+        const rounded = this.#roundDecimal(this.#parseDecimal(value), scale, this.#roundingModeOf(options));
+        return Number(this.#formatDecimal(rounded));
+    }
+
+    /**
+     * Làm tròn kết quả chính xác (chuỗi) khi lần gọi có chỉ định scale
+     * @param {string} value - Kết quả dạng chuỗi
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @returns {string} Kết quả, đã làm tròn nếu có scale
+     */
+    #applyScale(value, options) {
+        if (options.scale === undefined) {
+            return value;
+        }
+        const rounded = this.#roundDecimal(this.#parseDecimal(value), options.scale, this.#roundingModeOf(options));
+        return this.#formatDecimal(rounded);
     }
 
     /**
      * Phép nhân
      * @param {number|string|BigInt} a - Số thứ nhất
      * @param {number|string|BigInt} b - Số thứ hai
-     * @param {boolean} useBigInt - Sử dụng BigInt cho số lớn
-     * @returns {number|BigInt} Kết quả phép nhân
+     * @param {string} mode - Chế độ tính: 'number', 'bigint', 'decimal' hoặc 'fraction'
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } cho lần gọi này
+     * @returns {number|string} Kết quả phép nhân
      */
-    #multiplyNumber(a, b, useBigInt = false) {
+    #multiplyNumber(a, b, mode = 'number', options = {}) {
         try {
-            if (useBigInt) {
+            if (mode === 'fraction') {
+                return Fraction.from(a).multiply(b);
+            }
+            if (mode === 'decimal') {
+                return this.#applyScale(this.#multiplyNumberDecimal(a, b), options);
+            }
+            if (mode === 'bigint') {
                 return this.#multiplyNumberBigInteger(a, b);
             }
-            return Number((Number(a) * Number(b)).toFixed(this.defaultPrecision));
+            return this.#roundNumber(Number(a) * Number(b), options);
         } catch (error) {
-            throw new Error(`Lỗi phép nhân: ${error.message}`);
+            throw this.#toCalculatorError(error, 'multiply');
         }
     }
 
@@ -202,21 +492,59 @@ class CalculatorService {
      * Phép chia
      * @param {number|string|BigInt} a - Số bị chia
      * @param {number|string|BigInt} b - Số chia
-     * @param {boolean} useBigInt - Sử dụng BigInt cho số lớn
-     * @returns {number|BigInt} Kết quả phép chia
+     * @param {string} mode - Chế độ tính: 'number', 'bigint', 'decimal' hoặc 'fraction'
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } cho lần gọi này
+     * @returns {number|string} Kết quả phép chia
      */
-    #divideNumber(a, b, useBigInt = false) {
+    #divideNumber(a, b, mode = 'number', options = {}) {
         try {
             if (Number(b) === 0) {
-                throw new Error('Không thể chia cho 0');
+                throw new DivisionByZeroError({ operand: b });
+            }
+
+            if (mode === 'fraction') {
+                return Fraction.from(a).divide(b);
             }
+            if (mode === 'decimal') {
+                const scale = options.scale ?? this.divisionScale;
+                return this.#divideNumberDecimal(a, b, scale, this.#roundingModeOf(options));
+            }
+            if (mode === 'bigint') {
+                return this.#divideNumberDecimal(a, b, options.scale ?? this.defaultPrecision, this.#roundingModeOf(options));
+            }
+            return this.#roundNumber(Number(a) / Number(b), options);
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'divide');
+        }
+    }
 
-            if (useBigInt) {
-                return this.#divideNumberBigInteger(a, b);
+    /**
+     * Phép chia lấy thương và số dư (chỉ cho số nguyên)
+     * @param {number|string|BigInt} a - Số bị chia
+     * @param {number|string|BigInt} b - Số chia
+     * @param {string} mode - Chế độ tính: 'number', 'bigint', 'decimal' hoặc 'fraction'
+     * @returns {{quotient: number|string, remainder: number|string}} Thương làm tròn về 0 và số dư cùng dấu với số bị chia
+     */
+    #divmodNumber(a, b, mode = 'number') {
+        try {
+            if (mode === 'number') {
+                const x = Number(a);
+                const y = Number(b);
+                if (!Number.isInteger(x) || !Number.isInteger(y)) {
+                    throw new InvalidOperandError(Number.isInteger(x) ? b : a, {
+                        vi: 'Chỉ hỗ trợ số nguyên',
+                        en: 'Only integers are supported'
+                    });
+                }
+                if (y === 0) {
+                    throw new DivisionByZeroError({ operand: b });
+                }
+                // `|| 0` để không trả về -0
+                return { quotient: Math.trunc(x / y) || 0, remainder: x % y || 0 };
             }
-            return +(Number(a) / Number(b)).toFixed(this.defaultPrecision);
+            return this.#divmodBigInteger(a, b);
         } catch (error) {
-            throw new Error(`Lỗi phép chia: ${error.message}`);
+            throw this.#toCalculatorError(error, 'divmod');
         }
     }
 
@@ -224,18 +552,330 @@ class CalculatorService {
      * Tính lũy thừa
      * @param {number|BigInt} base - Cơ số
      * @param {number|BigInt} exponent - Số mũ
-     * @param {boolean} useBigInt - Sử dụng BigInt
-     * @returns {number|BigInt} Kết quả lũy thừa
+     * @param {string} mode - Chế độ tính: 'number', 'bigint', 'decimal' hoặc 'fraction'
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } cho lần gọi này
+     * @returns {number|string|BigInt|Fraction} Kết quả lũy thừa
+     */
+    #powerNumber(base, exponent, mode = 'number', options = {}) {
+        try {
+            const exact = Fraction.from(exponent);
+            // Number với số mũ không âm giữ cách tính nhanh bằng Math.pow (có scale thì chỉ với số mũ nguyên);
+            // số mũ âm là phép chia nên đi đường chính xác như khi có scale: power(10, -3) là 0.001 chứ không phải 0
+            if (mode === 'number' && !exact.numerator.negative && (options.scale === undefined || exact.isInteger())) {
+                return this.#powerFloat(base, exponent, exact, options);
+            }
+            const negativeInteger = exact.numerator.negative && (mode === 'number' || mode === 'bigint');
+            if (!exact.isInteger() || negativeInteger) {
+                return this.#powerReal(base, exact, options);
+            }
+            if (mode === 'fraction') {
+                return Fraction.from(base).power(exact.toString());
+            }
+            if (mode === 'decimal') {
+                return this.#applyScale(this.#powerNumberDecimal(base, exact.toString(), options), options);
+            }
+            return BigInt(base) ** BigInt(exact.toString());
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'power');
+        }
+    }
+
+    /**
+     * Lũy thừa bằng Math.pow với số mũ không âm, làm tròn như các phép tính Number khác
+     * Double không giữ đủ chữ số của số nguyên lớn hơn MAX_SAFE_INTEGER (2^100), khi đó tính lại chính xác
+     * @param {number|string} base - Cơ số
+     * @param {number|string} exponent - Số mũ
+     * @param {Fraction} exact - Số mũ dạng phân số chính xác
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @returns {number|string} Kết quả, dạng chuỗi khi phải tính lại chính xác
+     */
+    #powerFloat(base, exponent, exact, options) {
+        const result = Math.pow(Number(base), Number(exponent));
+        if (!Number.isFinite(result) || !Number.isInteger(result) || Math.abs(result) <= Number.MAX_SAFE_INTEGER) {
+            return this.#roundNumber(result, options);
+        }
+        const target = { ...options, scale: options.scale ?? this.defaultPrecision };
+        if (!exact.isInteger()) {
+            return this.#powerReal(base, exact, target);
+        }
+        return this.#applyScale(this.#powerNumberDecimal(base, exact.toString()), target);
+    }
+
+    /**
+     * Lũy thừa với số mũ âm hoặc không nguyên, làm tròn đúng đến `scale` chữ số thập phân
+     * @param {any} base - Cơ số
+     * @param {Fraction} exponent - Số mũ dạng phân số chính xác
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @returns {string} Kết quả dạng chuỗi
+     */
+    #powerReal(base, exponent, options) {
+        const target = { scale: options.scale ?? this.divisionScale };
+        const roundingMode = this.#roundingModeOf(options);
+        const x = Fraction.from(base);
+        let num = BigInt(x.numerator.toString());
+        let den = BigInt(x.denominator.toString());
+        let p = BigInt(exponent.numerator.toString());
+        const q = BigInt(exponent.denominator.toString());
+        if (num === 0n) {
+            if (p < 0n) {
+                throw new DivisionByZeroError({ operand: base });
+            }
+            return '0';
+        }
+        // Cơ số âm chỉ có lũy thừa thực khi mẫu của số mũ lẻ, dấu theo tính chẵn lẻ của tử
+        if (num < 0n && q % 2n === 0n) {
+            throw new InvalidOperandError(base, {
+                vi: `Số âm không có lũy thừa thực với số mũ ${exponent}`,
+                en: `A negative base has no real power with exponent ${exponent}`
+            });
+        }
+        const negative = num < 0n && p % 2n !== 0n;
+        num = num < 0n ? -num : num;
+        if (p < 0n) {
+            [num, den, p] = [den, num, -p];
+        }
+
+        // x^(p/q) = căn bậc q của x^p, tính chính xác khi số mũ là phân số đơn giản như 1/2, 3/4, 1/12
+        const bits = BigInt(Math.max(num.toString(2).length, den.toString(2).length));
+        if (q <= MAX_EXACT_ROOT_DEGREE && p * bits <= MAX_EXACT_POWER_BITS) {
+            return this.#rootToTarget(num ** p, den ** p, q, negative, target, roundingMode);
+        }
+        // Số chữ số phần nguyên của kết quả ≈ (p/q)·log10(x); chỉ đếm chữ số thì cơ số 2..9 có log10 bằng 0
+        // và precision ban đầu quá nhỏ so với kết quả
+        const log10 = n => n.toString().length + Math.log10(Number(`0.${n.toString().slice(0, 15)}`));
+        const magnitude = Number(p) / Number(q) * (log10(num) - log10(den));
+        this.#assertMagnitude(magnitude, base);
+        return this.#roundCorrectly(precision => {
+            const approximation = powerApproximation(num, den, p, q, precision);
+            return negative ? { ...approximation, value: -approximation.value } : approximation;
+        }, target, roundingMode, target.scale + Math.max(0, Math.ceil(magnitude)) + 10);
+    }
+
+    /**
+     * Báo lỗi nếu kết quả có quá nhiều chữ số để khai triển
+     * @param {number} magnitude - Số chữ số phần nguyên ước lượng của kết quả
+     * @param {any} operand - Toán hạng gây lỗi
+     */
+    #assertMagnitude(magnitude, operand) {
+        if (magnitude > MAX_EXPONENT) {
+            throw new OverflowError({ operand }, {
+                vi: `Kết quả có hơn ${MAX_EXPONENT} chữ số`,
+                en: `The result has more than ${MAX_EXPONENT} digits`
+            });
+        }
+    }
+
+    /**
+     * Làm tròn decimal theo số chữ số có nghĩa hoặc số chữ số thập phân
+     * @param {{unscaled: string, scale: number}} decimal - Giá trị cần làm tròn
+     * @param {{digits?: number, scale?: number}} target - `digits` chữ số có nghĩa hoặc `scale` chữ số thập phân
+     * @param {string} roundingMode - Chế độ làm tròn
+     * @returns {string} Kết quả dạng chuỗi
+     */
+    #roundToTarget(decimal, { digits, scale }, roundingMode) {
+        let targetScale = scale;
+        if (digits !== undefined) {
+            const { magnitude } = this.#splitSign(decimal.unscaled);
+            targetScale = digits - (magnitude.length - decimal.scale);
+        }
+        return this.#formatDecimal(this.#roundDecimal(decimal, targetScale, roundingMode));
+    }
+
+    /**
+     * Làm tròn đúng theo chiến lược Ziv: thêm chữ số bảo vệ (gấp đôi mỗi lần) cho đến khi cả khoảng sai số
+     * của ước lượng làm tròn ra cùng một kết quả. Chữ số bảo vệ được cộng thêm chứ không nhân precision lên,
+     * để kết quả có hàng chục nghìn chữ số không phải tính lại với precision gấp nhiều lần
+     * @param {Function} approximate - precision => { value, scale, error } (xem transcendental.js)
+     * @param {{digits?: number, scale?: number}} target - Độ chính xác của kết quả
+     * @param {string} roundingMode - Chế độ làm tròn
+     * @param {number} precision - Precision ban đầu
+     * @returns {string} Kết quả dạng chuỗi
+     * @throws {CalculatorError} PRECISION_LIMIT khi sau ZIV_ATTEMPTS lần vẫn chưa chắc chắn được chữ số cuối
+     */
+    #roundCorrectly(approximate, target, roundingMode, precision) {
+        for (let attempt = 1, guard = 0; ; attempt++, guard = Math.max(ZIV_GUARD_DIGITS, guard * 2)) {
+            const { value, scale, error } = approximate(precision + guard);
+            const round = unscaled => this.#roundToTarget({ unscaled: unscaled.toString(), scale }, target, roundingMode);
+            const low = round(value - error);
+            if (low === round(value + error)) {
+                return low;
+            }
+            // Chỉ xảy ra khi kết quả rất gần (hoặc đúng bằng) một điểm làm tròn; không trả về chữ số cuối có thể sai
+            if (attempt === ZIV_ATTEMPTS) {
+                throw new CalculatorError('PRECISION_LIMIT', {
+                    vi: `Không làm tròn đúng được sau ${ZIV_ATTEMPTS} lần tăng độ chính xác, kết quả quá gần điểm làm tròn`,
+                    en: `Could not round correctly after ${ZIV_ATTEMPTS} precision increases, the result is too close to a rounding boundary`
+                });
+            }
+        }
+    }
+
+    /**
+     * Căn bậc q của num / den, làm tròn đúng nhờ thêm một chữ số đánh dấu khi căn không chính xác
+     * @param {BigInt} num - Tử số không âm
+     * @param {BigInt} den - Mẫu số dương
+     * @param {BigInt} q - Bậc căn
+     * @param {boolean} negative - Kết quả có âm không
+     * @param {{digits?: number, scale?: number}} target - Độ chính xác của kết quả
+     * @param {string} roundingMode - Chế độ làm tròn
+     * @returns {string} Kết quả dạng chuỗi
+     */
+    #rootToTarget(num, den, q, negative, target, roundingMode) {
+        // Giữ ít nhất một chữ số sau chữ số cuối cần làm tròn
+        const integerDigits = Math.floor((num.toString().length - den.toString().length) / Number(q));
+        const scale = Math.max(0, target.digits !== undefined ? target.digits - integerDigits + 2 : target.scale + 1);
+        const scaled = num * 10n ** (q * BigInt(scale));
+        const quotient = scaled / den;
+        const root = BIG_INTEGERS.integerNthRoot(quotient, q);
+        const exact = quotient * den === scaled && root ** q === quotient;
+        // Chữ số 1 thêm vào cuối đánh dấu phần bị bỏ khác 0, giống phép chia decimal
+        const digits = (root * 10n + (exact ? 0n : 1n)).toString();
+        return this.#roundToTarget({ unscaled: this.#withSign(negative, digits), scale: scale + 1 }, target, roundingMode);
+    }
+
+    /**
+     * Tính một hàm số thực với `digits` chữ số có nghĩa
+     * @param {string} operation - Phép toán đang thực hiện
+     * @param {Array<any>} operands - Các toán hạng
+     * @param {Object} options - Tùy chọn { digits, roundingMode, primitives }
+     * @param {Function} compute - (toán hạng dạng Fraction, target, roundingMode) => chuỗi kết quả
+     * @returns {Numeric|string} Kết quả
      */
-    #powerNumber(base, exponent, useBigInt = false) {
+    #realFunction(operation, operands, options, compute) {
+        this.#assertOperands(operation, operands);
+        let result;
         try {
-            if (useBigInt) {
-                return BigInt(base) ** BigInt(exponent);
+            const digits = options.digits ?? this.divisionScale;
+            if (!Number.isInteger(digits) || digits < 1) {
+                throw new CalculatorError('INVALID_OPTION', {
+                    vi: `Số chữ số có nghĩa không hợp lệ: ${digits}`,
+                    en: `Invalid number of significant digits: ${digits}`
+                });
             }
-            return +(Math.pow(Number(base), Number(exponent))).toFixed(this.defaultPrecision);
+            const values = operands.map(operand => Fraction.from(this.#unwrap(operand)));
+            result = compute(values, { digits }, this.#roundingModeOf(options));
         } catch (error) {
-            throw new Error(`Lỗi tính lũy thừa: ${error.message}`);
+            throw this.#toCalculatorError(error, operation);
+        }
+        return this.#output(operation, result, options);
+    }
+
+    /**
+     * Tách phân số thành tử và mẫu dạng BigInt, yêu cầu giá trị dương
+     * @param {Fraction} value - Giá trị
+     * @returns {{num: BigInt, den: BigInt}}
+     */
+    #positiveRatio(value) {
+        if (value.numerator.negative || value.numerator.isZero()) {
+            throw new InvalidOperandError(value.toString(), { vi: 'Chỉ nhận số dương', en: 'Only positive numbers are accepted' });
+        }
+        return { num: BigInt(value.numerator.toString()), den: BigInt(value.denominator.toString()) };
+    }
+
+    /**
+     * Chạy một bộ tích lũy thống kê trên mảng, iterable hoặc async iterable
+     * @param {string} operation - Tên hàm thống kê
+     * @param {Iterable<any>|AsyncIterable<any>} source - Nguồn dữ liệu
+     * @param {Object} options - Tùy chọn cho lần gọi
+     * @param {Object} reducer - Bộ tích lũy tạo từ REDUCERS
+     * @param {Object} [settings] - Tùy chọn riêng
+     * @param {Function} [settings.entry] - Tách một phần tử thành danh sách đối số của push()
+     * @param {boolean} [settings.root] - Lấy căn bậc hai của kết quả (độ lệch chuẩn)
+     * @returns {Numeric|Promise<Numeric>} Kết quả, là Promise nếu nguồn là async iterable
+     */
+    #aggregate(operation, source, options, reducer, { entry = value => [value], root = false } = {}) {
+        const state = { exact: this.decimalMode };
+        const push = item => {
+            try {
+                reducer.push(...entry(item).map(value => this.#toFraction(value, state)));
+            } catch (error) {
+                throw this.#toCalculatorError(error, operation);
+            }
+        };
+        const finish = () => {
+            let result;
+            try {
+                result = this.#fractionResult(reducer.result(), state.exact, options, root);
+            } catch (error) {
+                throw this.#toCalculatorError(error, operation);
+            }
+            return this.#output(operation, result, options);
+        };
+
+        if (source !== null && typeof source === 'object' && typeof source[Symbol.asyncIterator] === 'function') {
+            return (async () => {
+                for await (const item of source) {
+                    push(item);
+                }
+                return finish();
+            })();
+        }
+        if (source === null || typeof source !== 'object' || typeof source[Symbol.iterator] !== 'function') {
+            throw new InvalidOperandError(source, { vi: 'Cần một mảng hoặc iterable', en: 'An array or iterable is required' }, {
+                operation,
+                language: this.#language()
+            });
         }
+        for (const item of source) {
+            push(item);
+        }
+        return finish();
+    }
+
+    /**
+     * Chuyển một giá trị thành phân số chính xác, ghi nhận nếu cần tính chính xác như chế độ bigint/decimal
+     * Mỗi toán hạng chỉ được đọc một lần: số chữ số có nghĩa lấy luôn từ kết quả đọc
+     * @param {any} value - Giá trị
+     * @param {{exact: boolean}} state - Trạng thái của lần tổng hợp
+     * @returns {Fraction}
+     */
+    #toFraction(value, state) {
+        value = this.#unwrap(value);
+        if (value instanceof Fraction || typeof value === 'bigint') {
+            state.exact = true;
+            return Fraction.from(value);
+        }
+        const { unscaled, scale } = this.#parseDecimal(value);
+        // Hơn 15 chữ số có nghĩa thì Number không giữ đủ, giống #isBigInteger và #isBigDecimal
+        if (unscaled.replace('-', '').length > 15) {
+            state.exact = true;
+        }
+        return new Fraction(unscaled, `1${'0'.repeat(scale)}`);
+    }
+
+    /**
+     * Làm tròn kết quả thống kê một lần duy nhất
+     * Dữ liệu Number thông thường làm tròn về `scale` (mặc định precision) như các phép toán Number;
+     * dữ liệu lớn giữ kết quả chính xác, số thập phân vô hạn làm tròn về divisionScale
+     * @param {Fraction} value - Kết quả chính xác
+     * @param {boolean} exact - Có dữ liệu BigInt, số lớn hoặc đang ở chế độ decimal
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @param {boolean} root - Trả về căn bậc hai của kết quả
+     * @returns {number|string} Number với dữ liệu Number thông thường, chuỗi chính xác với dữ liệu lớn
+     */
+    #fractionResult(value, exact, options, root) {
+        const roundingMode = this.#roundingModeOf(options);
+        const integer = value.isInteger() && !root;
+        const big = exact || (integer && !Number.isSafeInteger(Number(value.numerator.toString())));
+        let scale = options.scale ?? this.defaultPrecision;
+        if (big && options.scale === undefined) {
+            scale = (root ? undefined : terminatingScale(value)) ?? this.divisionScale;
+        }
+        let result;
+        if (root) {
+            if (value.numerator.negative) {
+                throw new InvalidOperandError(value.toString(), {
+                    vi: 'Không thể lấy căn bậc hai của số âm',
+                    en: 'Cannot take the square root of a negative number'
+                });
+            }
+            const num = BigInt(value.numerator.toString());
+            const den = BigInt(value.denominator.toString());
+            result = Numeric.from(this.#rootToTarget(num, den, 2n, false, { scale }, roundingMode)).toString();
+        } else {
+            result = value.toDecimal(scale, roundingMode);
+        }
+        return big ? result : Number(result);
     }
 
     /**
@@ -253,7 +893,7 @@ class CalculatorService {
         const str = String(value);
 
         // Kiểm tra nếu là số nguyên hợp lệ
-        if (!/^-?\d+$/.test(str)) {
+        if (!/^[+-]?\d+$/.test(str)) {
             return false;
         }
 
@@ -270,7 +910,7 @@ class CalculatorService {
             }
 
             // Kiểm tra độ dài chuỗi (nếu > 15 chữ số thì có thể cần BigInt)
-            const numStr = str.replace('-', '');
+            const numStr = str.replace(/^[+-]?0*/, '');
             if (numStr.length > 15) {
                 return true;
             }
@@ -292,60 +932,1125 @@ class CalculatorService {
     }
 
     /**
-     * Phép cộng với auto-detect BigInt
-     * @param {number|string|BigInt} a - Số thứ nhất
-     * @param {number|string|BigInt} b - Số thứ hai
-     * @returns {number|BigInt} Kết quả phép cộng
+     * Kiểm tra xem một giá trị có phải là số thập phân (có phần lẻ hoặc dạng mũ) không
+     * @param {any} value - Giá trị cần kiểm tra
+     * @returns {boolean} True nếu là số thập phân hợp lệ
      */
-    add(a, b) {
-        const useBigInt = this.#shouldUseBigInt(a, b);
-        return this.#addNumber(a, b, useBigInt);
+    #isDecimalLiteral(value) {
+        if (typeof value !== 'number' && typeof value !== 'string') {
+            return false;
+        }
+        const str = String(value).trim();
+        return DECIMAL_PATTERN.test(str) && /[.eE]/.test(str);
     }
 
     /**
-     * Phép trừ với auto-detect BigInt
-     * @param {number|string|BigInt} a - Số bị trừ
-     * @param {number|string|BigInt} b - Số trừ
-     * @returns {number|BigInt} Kết quả phép trừ
+     * Kiểm tra xem số thập phân có quá nhiều chữ số để tính bằng Number không
+     * Dạng mũ được khai triển trước khi đếm, nên "1.2e30" cũng đi theo đường tính chính xác
+     * @param {any} value - Giá trị cần kiểm tra
+     * @returns {boolean} True nếu số chữ số có nghĩa vượt quá 15
      */
-    subtract(a, b) {
-        const useBigInt = this.#shouldUseBigInt(a, b);
-        return this.#subtractNumber(a, b, useBigInt);
+    #isBigDecimal(value) {
+        if (!this.#isDecimalLiteral(value)) {
+            return false;
+        }
+        try {
+            const { unscaled } = this.#parseDecimal(value);
+            return unscaled.replace('-', '').length > 15;
+        } catch (error) {
+            // Số mũ quá lớn: để đường tính chính xác báo lỗi kèm tên phép toán
+            return true;
+        }
     }
 
     /**
-     * Phép nhân với auto-detect BigInt
-     * @param {number|string|BigInt} a - Số thứ nhất
-     * @param {number|string|BigInt} b - Số thứ hai
-     * @returns {number|BigInt} Kết quả phép nhân
+     * Quyết định chế độ tính cho hai toán hạng
+     * @param {any} a - Toán hạng thứ nhất
+     * @param {any} b - Toán hạng thứ hai
+     * @returns {string} 'fraction', 'decimal', 'bigint' hoặc 'number'
      */
-    multiply(a, b) {
+    #resolveMode(a, b) {
+        if (a instanceof Fraction || b instanceof Fraction) {
+            return 'fraction';
+        }
+        if (this.decimalMode) {
+            return 'decimal';
+        }
         const useBigInt = this.#shouldUseBigInt(a, b);
-        return this.#multiplyNumber(a, b, useBigInt);
+        if (this.#isDecimalLiteral(a) || this.#isDecimalLiteral(b)) {
+            if (useBigInt || this.#isBigDecimal(a) || this.#isBigDecimal(b)) {
+                return 'decimal';
+            }
+        }
+        return useBigInt ? 'bigint' : 'number';
     }
 
     /**
-     * Phép chia với auto-detect BigInt
-     * @param {number|string|BigInt} a - Số bị chia
-     * @param {number|string|BigInt} b - Số chia
-     * @returns {number|BigInt} Kết quả phép chia
+     * Ngôn ngữ của thông báo lỗi theo locale của service
+     * @returns {string} 'vi' hoặc 'en'
      */
-    divide(a, b) {
-        const useBigInt = this.#shouldUseBigInt(a, b);
-        return this.#divideNumber(a, b, useBigInt);
+    #language() {
+        return this.locale.startsWith('en') ? 'en' : 'vi';
     }
 
     /**
-     * Tính lũy thừa với auto-detect BigInt
-     * @param {number|BigInt} base - Cơ số
-     * @param {number|BigInt} exponent - Số mũ
-     * @returns {number|BigInt} Kết quả lũy thừa
+     * Chuyển lỗi bất kỳ thành CalculatorError kèm tên phép toán
+     * @param {Error} error - Lỗi gốc
+     * @param {string} operation - Phép toán đang thực hiện
+     * @returns {CalculatorError}
+     */
+    #toCalculatorError(error, operation) {
+        const language = this.#language();
+        if (error instanceof CalculatorError) {
+            return error.withContext({ operation, language });
+        }
+        // BigInt báo RangeError khi kết quả vượt quá kích thước tối đa
+        if (error instanceof RangeError) {
+            return new OverflowError({ operation, language, cause: error });
+        }
+        return new CalculatorError('CALCULATION_FAILED', { vi: error.message, en: error.message }, { operation, language, cause: error });
+    }
+
+    /**
+     * Ở chế độ strict, từ chối toán hạng không phải số, NaN, Infinity và việc trộn kiểu dữ liệu
+     * @param {string} operation - Phép toán đang thực hiện
+     * @param {Array<any>} operands - Các toán hạng
+     * @param {Object} [options] - Tùy chọn kiểm tra
+     * @param {boolean} [options.sameType=true] - Yêu cầu các toán hạng cùng kiểu (trừ Fraction và Numeric)
      */
-    power(base, exponent) {
-        const useBigInt = this.#shouldUseBigInt(base, exponent);
-        return this.#powerNumber(base, exponent, useBigInt);
+    #assertOperands(operation, operands, { sameType = true } = {}) {
+        if (!this.strict) {
+            return;
+        }
+        const context = { operation, language: this.#language() };
+        for (const operand of operands) {
+            if (operand instanceof Fraction || operand instanceof Numeric || typeof operand === 'bigint') {
+                continue;
+            }
+            if (typeof operand === 'number') {
+                if (!Number.isFinite(operand)) {
+                    throw new InvalidOperandError(operand, { vi: 'Số không hữu hạn', en: 'Non-finite number' }, context);
+                }
+                continue;
+            }
+            if (typeof operand === 'string') {
+                if (!DECIMAL_PATTERN.test(operand.trim()) && !RADIX_LITERAL.test(operand.trim())) {
+                    throw new InvalidOperandError(operand, { vi: 'Không phải là số', en: 'Not a number' }, context);
+                }
+                continue;
+            }
+            throw new InvalidOperandError(operand, { vi: 'Kiểu dữ liệu không được hỗ trợ', en: 'Unsupported type' }, context);
+        }
+        // Fraction và Numeric dùng được với mọi kiểu toán hạng
+        const types = new Set(operands
+            .filter(operand => !(operand instanceof Fraction) && !(operand instanceof Numeric))
+            .map(operand => typeof operand));
+        if (sameType && types.size > 1) {
+            throw new InvalidOperandError(operands, {
+                vi: 'Không được trộn kiểu dữ liệu',
+                en: 'Mixed operand types'
+            }, { ...context, code: 'MIXED_OPERAND_TYPES' });
+        }
     }
-}
 
-// Tạo instance mặc định
-const calculator = new CalculatorService();
\ No newline at end of file
+    /**
+     * Thực hiện một phép toán hai ngôi với auto-detect chế độ tính
+     * @param {string} operation - 'add', 'subtract', 'multiply', 'divide' hoặc 'power'
+     * @param {any} a - Toán hạng thứ nhất
+     * @param {any} b - Toán hạng thứ hai
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @returns {number|string|BigInt|Fraction} Kết quả dạng nguyên thủy
+     */
+    #compute(operation, a, b, options = {}) {
+        try {
+            a = this.#fromRadixLiteral(this.#unwrap(a));
+            b = this.#fromRadixLiteral(this.#unwrap(b));
+        } catch (error) {
+            throw this.#toCalculatorError(error, operation);
+        }
+        const mode = this.#resolveMode(a, b);
+        let result;
+        switch (operation) {
+            case 'add': result = this.#addNumber(a, b, mode, options); break;
+            case 'subtract': result = this.#subtractNumber(a, b, mode, options); break;
+            case 'multiply': result = this.#multiplyNumber(a, b, mode, options); break;
+            case 'divide': result = this.#divideNumber(a, b, mode, options); break;
+            case 'power': result = this.#powerNumber(a, b, mode, options); break;
+        }
+        // Toán hạng hữu hạn mà kết quả Number là Infinity thì đã tràn số
+        if (this.strict && typeof result === 'number' && !Number.isFinite(result)) {
+            throw new OverflowError({ operation, operand: [a, b], language: this.#language() });
+        }
+        return result;
+    }
+
+    /**
+     * Lấy giá trị nguyên thủy của toán hạng Numeric để tính toán
+     * @param {any} value - Toán hạng
+     * @returns {any} Chuỗi thập phân chính xác nếu là Numeric, ngược lại giữ nguyên
+     */
+    #unwrap(value) {
+        return value instanceof Numeric ? value.toString() : value;
+    }
+
+    /**
+     * Số đối chính xác: chỉ đổi dấu, không đi qua phép trừ nên không bị làm tròn
+     * @param {any} value - Toán hạng
+     * @returns {number|string|BigInt|Fraction} Số đối cùng kiểu với toán hạng
+     */
+    #negate(value) {
+        value = this.#fromRadixLiteral(this.#unwrap(value));
+        if (value instanceof Fraction) {
+            return value.negate();
+        }
+        if (typeof value === 'bigint') {
+            return -value;
+        }
+        if (typeof value === 'number') {
+            return value === 0 ? 0 : -value;
+        }
+        const text = String(value).trim();
+        if (/^[+-]?0*\.?0*(?:e[+-]?\d+)?$/i.test(text)) {
+            return text.replace(/^[+-]/, '');
+        }
+        return text.startsWith('-') ? text.slice(1) : `-${text.replace(/^\+/, '')}`;
+    }
+
+    /**
+     * Đổi số nguyên có tiền tố cơ số ("0xff", "0b1010") thành chuỗi thập phân, giá trị khác giữ nguyên
+     * @param {any} value - Toán hạng
+     * @returns {any}
+     */
+    #fromRadixLiteral(value) {
+        if (typeof value === 'string' && RADIX_LITERAL.test(value.trim())) {
+            return parseRadix(value).toString();
+        }
+        return value;
+    }
+
+    /**
+     * Đọc một toán hạng số nguyên thành BigInt
+     * @param {any} value - Số nguyên: Number, BigInt, chuỗi thập phân, chuỗi có tiền tố cơ số, Numeric
+     * @param {number} [radix] - Đọc chuỗi chữ số ở cơ số này
+     * @returns {BigInt}
+     */
+    #integerValue(value, radix) {
+        value = this.#unwrap(value);
+        if (radix !== undefined || (typeof value === 'string' && RADIX_LITERAL.test(value.trim()))) {
+            return parseRadix(String(value), radix);
+        }
+        if (typeof value === 'bigint') {
+            return value;
+        }
+        const exact = value instanceof Fraction ? value : Numeric.from(value);
+        if (!exact.isInteger()) {
+            throw new InvalidOperandError(value, { vi: 'Chỉ hỗ trợ số nguyên', en: 'Only integers are supported' });
+        }
+        return BigInt(value instanceof Fraction ? value.numerator.toString() : exact.toString());
+    }
+
+    /**
+     * Thực hiện một phép toán bit trên các toán hạng đã quy về `width` bit
+     * @param {string} operation - Tên phép toán
+     * @param {Array<any>} operands - Các toán hạng nguyên
+     * @param {Object} options - Tùy chọn { width, signed, primitives }
+     * @param {Function} compute - (...BigInt) => BigInt
+     * @returns {Numeric|number|string} Kết quả, Number khi mọi toán hạng và kết quả đều nhỏ (chế độ primitives)
+     */
+    #bitwise(operation, operands, options, compute) {
+        this.#assertOperands(operation, operands, { sameType: false });
+        const { width, signed = true } = options;
+        let result;
+        try {
+            const values = operands.map(operand => wrapToWidth(this.#integerValue(operand), width, signed));
+            const value = wrapToWidth(compute(...values), width, signed);
+            const big = operands.some(operand => typeof operand === 'bigint')
+                || [...values, value].some(item => !Number.isSafeInteger(Number(item)));
+            result = big ? value.toString() : Number(value);
+        } catch (error) {
+            throw this.#toCalculatorError(error, operation);
+        }
+        return this.#output(operation, result, options);
+    }
+
+    /**
+     * Kiểm tra số bit cần dịch
+     * @param {any} bits - Số bit
+     * @param {number} [width] - Độ rộng bit
+     * @returns {BigInt}
+     */
+    #shiftCount(bits, width) {
+        const count = this.#integerValue(bits);
+        if (count < 0n) {
+            throw new InvalidOperandError(bits, { vi: 'Số bit dịch phải không âm', en: 'Shift count must be non-negative' });
+        }
+        if (width === undefined && count > BigInt(MAX_SHIFT)) {
+            throw new OverflowError({ operand: bits }, {
+                vi: `Không thể dịch quá ${MAX_SHIFT} bit khi không giới hạn độ rộng`,
+                en: `Cannot shift by more than ${MAX_SHIFT} bits without a width`
+            });
+        }
+        // Với độ rộng cố định, dịch từ width bit trở lên cho kết quả như dịch đúng width bit
+        return width === undefined || count <= BigInt(width) ? count : BigInt(width);
+    }
+
+    /**
+     * Đóng gói kết quả thành Numeric, trừ khi dùng chế độ primitives
+     * @param {string} operation - Phép toán vừa thực hiện
+     * @param {number|string|BigInt|Fraction} result - Kết quả dạng nguyên thủy
+     * @param {Object} [options] - Tùy chọn cho lần gọi, `primitives` ghi đè cấu hình của service
+     * @returns {Numeric|Fraction|number|string|BigInt} Kết quả
+     */
+    #output(operation, result, options = {}) {
+        if ((options.primitives ?? this.primitives) || result instanceof Fraction) {
+            return result;
+        }
+        try {
+            return Numeric.from(result);
+        } catch (error) {
+            throw this.#toCalculatorError(error, operation);
+        }
+    }
+
+    /**
+     * Kiểm tra và chuyển các toán hạng thành số nguyên, chọn Number hay BigInt theo độ lớn
+     * @param {string} operation - Phép toán đang thực hiện
+     * @param {Array<any>} operands - Các toán hạng
+     * @returns {{mode: string, values: Array<number|BigInt>}} mode là 'number' hoặc 'bigint'
+     */
+    #integerOperands(operation, operands) {
+        this.#assertOperands(operation, operands);
+        try {
+            const digits = operands.map(operand => {
+                const value = this.#unwrap(operand);
+                const exact = value instanceof Fraction ? value : Numeric.from(value);
+                if (!exact.isInteger()) {
+                    throw new InvalidOperandError(value, { vi: 'Chỉ hỗ trợ số nguyên', en: 'Only integers are supported' });
+                }
+                return value instanceof Fraction ? value.numerator.toString() : exact.toString();
+            });
+            const mode = digits.some(value => this.#isBigInteger(value)) ? 'bigint' : 'number';
+            return { mode, values: digits.map(mode === 'bigint' ? BigInt : Number) };
+        } catch (error) {
+            throw this.#toCalculatorError(error, operation);
+        }
+    }
+
+    /**
+     * Chạy một hàm số học trên Number khi toán hạng nhỏ, chuyển sang BigInt khi toán hạng
+     * hoặc kết quả vượt MAX_SAFE_INTEGER
+     * @param {string} operation - Tên hàm trong numberTheory.js
+     * @param {Array<any>} operands - Các toán hạng nguyên
+     * @param {Object} options - Tùy chọn cho lần gọi
+     * @param {Array<any>} [settings] - Tham số thêm cho bản BigInt, ví dụ số vòng Miller–Rabin
+     * @returns {Numeric|number|string|boolean} Kết quả
+     */
+    #integerFunction(operation, operands, options = {}, settings = []) {
+        const { mode, values } = this.#integerOperands(operation, operands);
+        let result;
+        try {
+            if (mode === 'number') {
+                result = SMALL_INTEGERS[operation](...values);
+            }
+            if (result === undefined) {
+                result = BIG_INTEGERS[operation](...values.map(BigInt), ...settings);
+            }
+        } catch (error) {
+            throw this.#toCalculatorError(error, operation);
+        }
+        if (typeof result === 'boolean') {
+            return result;
+        }
+        return this.#output(operation, typeof result === 'bigint' ? result.toString() : result, options);
+    }
+
+    /**
+     * Phép cộng với auto-detect BigInt
+     * @param {Numeric|number|string|BigInt} a - Số thứ nhất
+     * @param {Numeric|number|string|BigInt} b - Số thứ hai
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.scale] - Số chữ số thập phân của kết quả
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric|Fraction} Kết quả phép cộng
+     */
+    add(a, b, options = {}) {
+        this.#assertOperands('add', [a, b]);
+        return this.#output('add', this.#compute('add', a, b, options), options);
+    }
+
+    /**
+     * Phép trừ với auto-detect BigInt
+     * @param {Numeric|number|string|BigInt} a - Số bị trừ
+     * @param {Numeric|number|string|BigInt} b - Số trừ
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.scale] - Số chữ số thập phân của kết quả
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric|Fraction} Kết quả phép trừ
+     */
+    subtract(a, b, options = {}) {
+        this.#assertOperands('subtract', [a, b]);
+        return this.#output('subtract', this.#compute('subtract', a, b, options), options);
+    }
+
+    /**
+     * Phép nhân với auto-detect BigInt
+     * @param {Numeric|number|string|BigInt} a - Số thứ nhất
+     * @param {Numeric|number|string|BigInt} b - Số thứ hai
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.scale] - Số chữ số thập phân của kết quả
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric|Fraction} Kết quả phép nhân
+     */
+    multiply(a, b, options = {}) {
+        this.#assertOperands('multiply', [a, b]);
+        return this.#output('multiply', this.#compute('multiply', a, b, options), options);
+    }
+
+    /**
+     * Phép chia với auto-detect BigInt
+     * Với số nguyên lớn, thương được khai triển thập phân và làm tròn như số nhỏ (mặc định defaultPrecision chữ số);
+     * dùng divmod để lấy phần nguyên của thương
+     * @param {Numeric|number|string|BigInt} a - Số bị chia
+     * @param {Numeric|number|string|BigInt} b - Số chia
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.scale] - Số chữ số thập phân của kết quả
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric|Fraction} Kết quả phép chia
+     */
+    divide(a, b, options = {}) {
+        this.#assertOperands('divide', [a, b]);
+        return this.#output('divide', this.#compute('divide', a, b, options), options);
+    }
+
+    /**
+     * Phép chia lấy thương và số dư với auto-detect BigInt
+     * @param {Numeric|number|string|BigInt} a - Số bị chia (số nguyên)
+     * @param {Numeric|number|string|BigInt} b - Số chia (số nguyên)
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {{quotient: Numeric, remainder: Numeric}} Thương làm tròn về 0 và số dư cùng dấu với số bị chia
+     */
+    divmod(a, b, options = {}) {
+        this.#assertOperands('divmod', [a, b]);
+        a = this.#unwrap(a);
+        b = this.#unwrap(b);
+        const { quotient, remainder } = this.#divmodNumber(a, b, this.#resolveMode(a, b));
+        return {
+            quotient: this.#output('divmod', quotient, options),
+            remainder: this.#output('divmod', remainder, options)
+        };
+    }
+
+    /**
+     * Phép chia lấy dư với auto-detect BigInt
+     * @param {Numeric|number|string|BigInt} a - Số bị chia (số nguyên)
+     * @param {Numeric|number|string|BigInt} b - Số chia (số nguyên)
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {string} [options.mode='truncated'] - Quy ước dấu (xem CalculatorService.ModuloMode)
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric} Số dư
+     */
+    mod(a, b, options = {}) {
+        this.#assertOperands('mod', [a, b]);
+        const moduloMode = options.mode ?? MODULO_MODES.TRUNCATED;
+        if (!Object.values(MODULO_MODES).includes(moduloMode)) {
+            throw new CalculatorError('INVALID_OPTION', {
+                vi: `Quy ước chia lấy dư không hợp lệ: ${moduloMode}`,
+                en: `Invalid modulo mode: ${moduloMode}`
+            }, { operation: 'mod', language: this.#language() });
+        }
+        a = this.#unwrap(a);
+        b = this.#unwrap(b);
+        const { remainder } = this.#divmodNumber(a, b, this.#resolveMode(a, b));
+        const remainderSign = Math.sign(this.#compareBigIntStr(String(remainder), '0'));
+        const divisorSign = Math.sign(this.#compareBigIntStr(String(b).trim(), '0'));
+        const shouldAdjust = (moduloMode === MODULO_MODES.FLOORED && remainderSign !== 0 && remainderSign !== divisorSign)
+            || (moduloMode === MODULO_MODES.EUCLIDEAN && remainderSign < 0);
+        if (!shouldAdjust) {
+            return this.#output('mod', remainder, options);
+        }
+        // Dời số dư sang cùng dấu với số chia (floored) hoặc sang số dương (euclidean)
+        const shift = moduloMode === MODULO_MODES.EUCLIDEAN && divisorSign < 0 ? this.#negate(b) : b;
+        const adjusted = typeof remainder === 'number' ? remainder + Number(shift) : this.#addNumberBigInteger(remainder, String(shift));
+        return this.#output('mod', adjusted, options);
+    }
+
+    /**
+     * Tính lũy thừa với auto-detect BigInt
+     * Số mũ âm hoặc không nguyên (ví dụ `power('1.05', new Fraction(1, 12), { scale: 25 })`) cho kết quả
+     * làm tròn đúng đến `scale` chữ số thập phân (mặc định divisionScale); riêng Number không có scale với
+     * số mũ không âm vẫn tính nhanh bằng Math.pow, trừ khi kết quả là số nguyên vượt MAX_SAFE_INTEGER
+     * @param {Numeric|number|string|BigInt|Fraction} base - Cơ số
+     * @param {Numeric|number|string|BigInt|Fraction} exponent - Số mũ
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.scale] - Số chữ số thập phân của kết quả
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric|Fraction} Kết quả lũy thừa
+     */
+    power(base, exponent, options = {}) {
+        this.#assertOperands('power', [base, exponent]);
+        return this.#output('power', this.#compute('power', base, exponent, options), options);
+    }
+
+    /**
+     * Làm tròn một giá trị về số chữ số thập phân cho trước
+     * @param {Numeric|number|string|BigInt|Fraction} value - Giá trị cần làm tròn
+     * @param {number} [scale] - Số chữ số thập phân, mặc định là precision của service
+     * @param {string} [roundingMode] - Chế độ làm tròn, mặc định là roundingMode của service
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {boolean} [options.primitives] - Trả về Number nếu đầu vào là Number, ngược lại là chuỗi chính xác
+     * @returns {Numeric} Giá trị đã làm tròn
+     */
+    round(value, scale = this.defaultPrecision, roundingMode = this.roundingMode, options = {}) {
+        this.#assertOperands('round', [value]);
+        value = this.#unwrap(value);
+        let result;
+        try {
+            validateRoundingMode(roundingMode);
+            if (value instanceof Fraction) {
+                result = value.toDecimal(scale, roundingMode);
+            } else {
+                const rounded = this.#formatDecimal(this.#roundDecimal(this.#parseDecimal(value), scale, roundingMode));
+                result = typeof value === 'number' ? Number(rounded) : rounded;
+            }
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'round');
+        }
+        return this.#output('round', result, options);
+    }
+
+    /**
+     * Ước chung lớn nhất (luôn không âm)
+     * @param {Numeric|number|string|BigInt} a - Số nguyên thứ nhất
+     * @param {Numeric|number|string|BigInt} b - Số nguyên thứ hai
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric}
+     */
+    gcd(a, b, options = {}) {
+        return this.#integerFunction('gcd', [a, b], options);
+    }
+
+    /**
+     * Bội chung nhỏ nhất (luôn không âm)
+     * @param {Numeric|number|string|BigInt} a - Số nguyên thứ nhất
+     * @param {Numeric|number|string|BigInt} b - Số nguyên thứ hai
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric}
+     */
+    lcm(a, b, options = {}) {
+        return this.#integerFunction('lcm', [a, b], options);
+    }
+
+    /**
+     * Lũy thừa modulo: base^exponent mod modulus, số mũ âm dùng nghịch đảo modulo
+     * @param {Numeric|number|string|BigInt} base - Cơ số
+     * @param {Numeric|number|string|BigInt} exponent - Số mũ nguyên
+     * @param {Numeric|number|string|BigInt} modulus - Modulo dương
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric} Kết quả trong [0, modulus)
+     */
+    modPow(base, exponent, modulus, options = {}) {
+        return this.#integerFunction('modPow', [base, exponent, modulus], options);
+    }
+
+    /**
+     * Nghịch đảo modulo: x sao cho a * x ≡ 1 (mod modulus)
+     * @param {Numeric|number|string|BigInt} a - Số cần nghịch đảo
+     * @param {Numeric|number|string|BigInt} modulus - Modulo dương
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric} Kết quả trong [0, modulus)
+     * @throws {CalculatorError} NOT_INVERTIBLE khi a và modulus không nguyên tố cùng nhau
+     */
+    modInverse(a, modulus, options = {}) {
+        return this.#integerFunction('modInverse', [a, modulus], options);
+    }
+
+    /**
+     * Phần nguyên của căn bậc hai
+     * @param {Numeric|number|string|BigInt} n - Số nguyên không âm
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric} Số nguyên lớn nhất x với x^2 <= n
+     */
+    integerSqrt(n, options = {}) {
+        return this.#integerFunction('integerSqrt', [n], options);
+    }
+
+    /**
+     * Phần nguyên của căn bậc k (làm tròn về 0 với số âm và k lẻ)
+     * @param {Numeric|number|string|BigInt} n - Số nguyên
+     * @param {Numeric|number|string|BigInt} k - Bậc căn nguyên dương
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric}
+     */
+    integerNthRoot(n, k, options = {}) {
+        return this.#integerFunction('integerNthRoot', [n, k], options);
+    }
+
+    /**
+     * Giai thừa n!
+     * @param {Numeric|number|string|BigInt} n - Số nguyên không âm
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric}
+     * @throws {OverflowError} Khi kết quả có hơn MAX_EXPONENT chữ số
+     */
+    factorial(n, options = {}) {
+        return this.#integerFunction('factorial', [n], options);
+    }
+
+    /**
+     * Tổ hợp chập k của n, bằng 0 khi k < 0 hoặc k > n
+     * @param {Numeric|number|string|BigInt} n - Số nguyên không âm
+     * @param {Numeric|number|string|BigInt} k - Số nguyên
+     * @param {Object} [options] - Tùy chọn { primitives }
+     * @returns {Numeric}
+     * @throws {OverflowError} Khi kết quả có hơn MAX_EXPONENT chữ số
+     */
+    binomial(n, k, options = {}) {
+        return this.#integerFunction('binomial', [n, k], options);
+    }
+
+    /**
+     * Kiểm tra số nguyên tố bằng Miller–Rabin: chắc chắn đúng với số 64-bit,
+     * với số lớn hơn thì xác suất sai tối đa 4^-rounds
+     * @param {Numeric|number|string|BigInt} n - Số nguyên
+     * @param {Object} [options] - Tùy chọn
+     * @param {number} [options.rounds=20] - Số cơ số ngẫu nhiên thêm vào với số trên 64-bit
+     * @returns {boolean}
+     */
+    isProbablePrime(n, options = {}) {
+        return this.#integerFunction('isProbablePrime', [n], options, [options.rounds ?? 20]);
+    }
+
+    /**
+     * Căn bậc hai, làm tròn đúng đến `digits` chữ số có nghĩa
+     * @param {Numeric|number|string|BigInt|Fraction} value - Số không âm
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.digits] - Số chữ số có nghĩa, mặc định là divisionScale của service
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về chuỗi thay vì Numeric
+     * @returns {Numeric}
+     */
+    sqrt(value, options = {}) {
+        return this.#realFunction('sqrt', [value], options, ([x], target, roundingMode) => {
+            if (x.numerator.negative) {
+                throw new InvalidOperandError(x.toString(), { vi: 'Không thể lấy căn bậc hai của số âm', en: 'Cannot take the square root of a negative number' });
+            }
+            return this.#rootToTarget(BigInt(x.numerator.toString()), BigInt(x.denominator.toString()), 2n, false, target, roundingMode);
+        });
+    }
+
+    /**
+     * Căn bậc n, làm tròn đúng đến `digits` chữ số có nghĩa (số âm chỉ nhận n lẻ)
+     * @param {Numeric|number|string|BigInt|Fraction} value - Số cần lấy căn
+     * @param {Numeric|number|string|BigInt} n - Bậc căn nguyên dương
+     * @param {Object} [options] - Tùy chọn { digits, roundingMode, primitives } (xem sqrt)
+     * @returns {Numeric}
+     */
+    nthRoot(value, n, options = {}) {
+        return this.#realFunction('nthRoot', [value, n], options, ([x, degree], target, roundingMode) => {
+            if (!degree.isInteger() || degree.numerator.negative || degree.numerator.isZero()) {
+                throw new InvalidOperandError(degree.toString(), { vi: 'Bậc căn phải là số nguyên dương', en: 'Root degree must be a positive integer' });
+            }
+            const k = BigInt(degree.numerator.toString());
+            const num = BigInt(x.numerator.toString());
+            if (num < 0n && k % 2n === 0n) {
+                throw new InvalidOperandError(x.toString(), { vi: 'Không thể lấy căn bậc chẵn của số âm', en: 'Cannot take an even root of a negative number' });
+            }
+            return this.#rootToTarget(num < 0n ? -num : num, BigInt(x.denominator.toString()), k, num < 0n, target, roundingMode);
+        });
+    }
+
+    /**
+     * Hàm mũ e^x, làm tròn đúng đến `digits` chữ số có nghĩa
+     * @param {Numeric|number|string|BigInt|Fraction} value - Số mũ
+     * @param {Object} [options] - Tùy chọn { digits, roundingMode, primitives } (xem sqrt)
+     * @returns {Numeric}
+     */
+    exp(value, options = {}) {
+        return this.#realFunction('exp', [value], options, ([x], target, roundingMode) => {
+            if (x.numerator.isZero()) {
+                return '1';
+            }
+            this.#assertMagnitude(Math.abs(x.toNumber()) / Math.LN10, value);
+            const num = BigInt(x.numerator.toString());
+            const den = BigInt(x.denominator.toString());
+            return this.#roundCorrectly(precision => expApproximation(num, den, precision), target, roundingMode, target.digits + 10);
+        });
+    }
+
+    /**
+     * Logarit tự nhiên, làm tròn đúng đến `digits` chữ số có nghĩa
+     * @param {Numeric|number|string|BigInt|Fraction} value - Số dương
+     * @param {Object} [options] - Tùy chọn { digits, roundingMode, primitives } (xem sqrt)
+     * @returns {Numeric}
+     */
+    ln(value, options = {}) {
+        return this.#realFunction('ln', [value], options, ([x], target, roundingMode) => {
+            const { num, den } = this.#positiveRatio(x);
+            if (num === den) {
+                return '0';
+            }
+            return this.#roundCorrectly(precision => lnApproximation(num, den, precision), target, roundingMode, target.digits + 10);
+        });
+    }
+
+    /**
+     * Logarit cơ số 10, làm tròn đúng đến `digits` chữ số có nghĩa
+     * @param {Numeric|number|string|BigInt|Fraction} value - Số dương
+     * @param {Object} [options] - Tùy chọn { digits, roundingMode, primitives } (xem sqrt)
+     * @returns {Numeric}
+     */
+    log10(value, options = {}) {
+        return this.#realFunction('log10', [value], options, ([x], target, roundingMode) => {
+            const { num, den } = this.#positiveRatio(x);
+            // Lũy thừa của 10 cho kết quả nguyên chính xác
+            if (den === 1n && /^10*$/.test(num.toString())) {
+                return String(num.toString().length - 1);
+            }
+            if (num === 1n && /^10*$/.test(den.toString())) {
+                return String(1 - den.toString().length);
+            }
+            return this.#roundCorrectly(precision => log10Approximation(num, den, precision), target, roundingMode, target.digits + 10);
+        });
+    }
+
+    /**
+     * Tổng chính xác của các giá trị, không làm tròn ở từng bước cộng
+     * Dữ liệu có thể trộn Number, chuỗi, BigInt và Numeric; nếu có số lớn thì kết quả được tính chính xác
+     * như chế độ bigint/decimal, ngược lại làm tròn một lần về `scale` như phép cộng Number
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.scale] - Số chữ số thập phân của kết quả
+     * @param {string} [options.roundingMode] - Chế độ làm tròn
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric|Promise<Numeric>} Kết quả, là Promise nếu `values` là async iterable
+     */
+    sum(values, options = {}) {
+        return this.#aggregate('sum', values, options, REDUCERS.sum());
+    }
+
+    /**
+     * Trung bình cộng
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    mean(values, options = {}) {
+        return this.#aggregate('mean', values, options, REDUCERS.mean());
+    }
+
+    /**
+     * Trung vị, với số phần tử chẵn là trung bình của hai phần tử giữa
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    median(values, options = {}) {
+        return this.#aggregate('median', values, options, REDUCERS.median());
+    }
+
+    /**
+     * Giá trị xuất hiện nhiều nhất (so sánh theo giá trị: 1, "1.0" và 1n là một), hòa thì lấy giá trị gặp trước
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    mode(values, options = {}) {
+        return this.#aggregate('mode', values, options, REDUCERS.mode());
+    }
+
+    /**
+     * Phương sai
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @param {boolean} [options.sample=false] - Phương sai mẫu (chia n - 1) thay vì phương sai tổng thể (chia n)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    variance(values, options = {}) {
+        return this.#aggregate('variance', values, options, REDUCERS.variance({ sample: options.sample }));
+    }
+
+    /**
+     * Độ lệch chuẩn, căn bậc hai của phương sai chính xác được làm tròn đúng một lần
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { sample, scale, roundingMode, primitives } (xem variance)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    stddev(values, options = {}) {
+        return this.#aggregate('stddev', values, options, REDUCERS.variance({ sample: options.sample }), { root: true });
+    }
+
+    /**
+     * Phân vị theo nội suy tuyến tính giữa hai hạng gần nhất (như PERCENTILE.INC của bảng tính)
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Numeric|number|string} p - Phân vị trong khoảng [0, 1], ví dụ 0.95
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    percentile(values, p, options = {}) {
+        let rank;
+        try {
+            rank = this.#toFraction(p, {});
+            if (rank.numerator.negative || rank.compare(1) > 0) {
+                throw new InvalidOperandError(p, { vi: 'Phân vị phải nằm trong khoảng [0, 1]', en: 'Percentile must be between 0 and 1' });
+            }
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'percentile');
+        }
+        return this.#aggregate('percentile', values, options, REDUCERS.percentile({ p: rank }));
+    }
+
+    /**
+     * Trung bình có trọng số Σ(x·w) / Σw
+     * @param {Iterable<any>|AsyncIterable<any>} values - Các giá trị; hoặc các cặp [value, weight] / { value, weight }
+     *   khi bỏ qua `weights` (cách duy nhất với async iterable)
+     * @param {Array<any>} [weights] - Trọng số tương ứng với từng giá trị
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>} Promise bị từ chối với InvalidOperandError nếu truyền `weights` cùng async iterable
+     */
+    weightedAverage(values, weights, options = {}) {
+        const entry = pair => Array.isArray(pair) ? pair.slice(0, 2) : [pair?.value, pair?.weight];
+        if (!Array.isArray(weights)) {
+            return this.#aggregate('weightedAverage', values, weights ?? options, REDUCERS.weightedAverage(), { entry });
+        }
+        if (values !== null && typeof values === 'object' && typeof values[Symbol.asyncIterator] === 'function') {
+            return Promise.reject(new InvalidOperandError(values, {
+                vi: 'Nguồn async phải trả về các cặp [value, weight] thay vì dùng mảng trọng số riêng',
+                en: 'An async source must yield [value, weight] pairs instead of taking a separate weights array'
+            }, { operation: 'weightedAverage', language: this.#language() }));
+        }
+        const list = Array.isArray(values) ? values : [...values];
+        if (list.length !== weights.length) {
+            throw new InvalidOperandError(weights, { vi: 'Số trọng số phải bằng số giá trị', en: 'There must be one weight per value' }, {
+                operation: 'weightedAverage',
+                language: this.#language()
+            });
+        }
+        return this.#aggregate('weightedAverage', list.map((value, i) => [value, weights[i]]), options, REDUCERS.weightedAverage(), { entry });
+    }
+
+    /**
+     * Giá trị nhỏ nhất
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    min(values, options = {}) {
+        return this.#aggregate('min', values, options, REDUCERS.min());
+    }
+
+    /**
+     * Giá trị lớn nhất
+     * @param {Iterable<any>|AsyncIterable<any>} values - Mảng, iterable hoặc async iterable
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode, primitives } (xem sum)
+     * @returns {Numeric|Promise<Numeric>}
+     */
+    max(values, options = {}) {
+        return this.#aggregate('max', values, options, REDUCERS.max());
+    }
+
+    /**
+     * Đổi số nguyên sang cơ số khác
+     * Ví dụ: convert('0xff', { to: 2 }) === '11111111', convert('zz', { from: 36 }) === '1295'
+     * @param {Numeric|number|string|BigInt} value - Số nguyên; chuỗi có tiền tố 0x/0b/0o tự nhận cơ số
+     * @param {Object} [options] - Tùy chọn
+     * @param {number} [options.from] - Cơ số của chuỗi đầu vào (2–36), mặc định theo tiền tố hoặc 10
+     * @param {number} [options.to=10] - Cơ số của kết quả (2–36)
+     * @param {number} [options.width] - Quy giá trị về số bù hai `width` bit trước khi đổi
+     * @param {boolean} [options.signed=true] - Với `width`: đọc bit cao nhất là bit dấu; false để lấy dạng không dấu
+     * @param {boolean} [options.prefix=false] - Thêm tiền tố 0x/0b/0o vào kết quả
+     * @param {boolean} [options.uppercase=false] - Viết hoa chữ số a–z
+     * @returns {string} Ví dụ convert(-1, { to: 16, width: 8, signed: false }) === 'ff'
+     */
+    convert(value, { from, to = 10, width, signed = true, prefix = false, uppercase = false } = {}) {
+        this.#assertOperands('convert', [value]);
+        try {
+            const integer = wrapToWidth(this.#integerValue(value, from), width, signed);
+            return formatRadix(integer, to, { prefix, uppercase });
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'convert');
+        }
+    }
+
+    /**
+     * Phép AND theo bit
+     * Không có `width` thì dùng bù hai vô hạn như BigInt; có `width` thì toán hạng và kết quả được quy về
+     * `width` bit (ví dụ and('0xff', -2, { width: 8, signed: false }) là 254)
+     * @param {Numeric|number|string|BigInt} a - Số nguyên, chấp nhận "0x..", "0b..", "0o.."
+     * @param {Numeric|number|string|BigInt} b - Số nguyên
+     * @param {Object} [options] - Tùy chọn cho lần gọi
+     * @param {number} [options.width] - Độ rộng bit
+     * @param {boolean} [options.signed=true] - Đọc bit cao nhất là bit dấu
+     * @param {boolean} [options.primitives] - Trả về giá trị nguyên thủy thay vì Numeric
+     * @returns {Numeric}
+     */
+    and(a, b, options = {}) {
+        return this.#bitwise('and', [a, b], options, (x, y) => x & y);
+    }
+
+    /**
+     * Phép OR theo bit
+     * @param {Numeric|number|string|BigInt} a - Số nguyên
+     * @param {Numeric|number|string|BigInt} b - Số nguyên
+     * @param {Object} [options] - Tùy chọn { width, signed, primitives } (xem and)
+     * @returns {Numeric}
+     */
+    or(a, b, options = {}) {
+        return this.#bitwise('or', [a, b], options, (x, y) => x | y);
+    }
+
+    /**
+     * Phép XOR theo bit
+     * @param {Numeric|number|string|BigInt} a - Số nguyên
+     * @param {Numeric|number|string|BigInt} b - Số nguyên
+     * @param {Object} [options] - Tùy chọn { width, signed, primitives } (xem and)
+     * @returns {Numeric}
+     */
+    xor(a, b, options = {}) {
+        return this.#bitwise('xor', [a, b], options, (x, y) => x ^ y);
+    }
+
+    /**
+     * Phép NOT theo bit (not(x) = -x - 1 khi không có `width`)
+     * @param {Numeric|number|string|BigInt} value - Số nguyên
+     * @param {Object} [options] - Tùy chọn { width, signed, primitives } (xem and)
+     * @returns {Numeric}
+     */
+    not(value, options = {}) {
+        return this.#bitwise('not', [value], options, x => ~x);
+    }
+
+    /**
+     * Dịch trái, các bit vượt quá `width` bị bỏ
+     * @param {Numeric|number|string|BigInt} value - Số nguyên
+     * @param {Numeric|number|string|BigInt} bits - Số bit cần dịch (không âm)
+     * @param {Object} [options] - Tùy chọn { width, signed, primitives } (xem and)
+     * @returns {Numeric}
+     */
+    shiftLeft(value, bits, options = {}) {
+        return this.#bitwise('shiftLeft', [value], options, x => x << this.#shiftCount(bits, options.width));
+    }
+
+    /**
+     * Dịch phải số học: giữ bit dấu, dùng `signed: false` để dịch phải logic trên `width` bit
+     * @param {Numeric|number|string|BigInt} value - Số nguyên
+     * @param {Numeric|number|string|BigInt} bits - Số bit cần dịch (không âm)
+     * @param {Object} [options] - Tùy chọn { width, signed, primitives } (xem and)
+     * @returns {Numeric}
+     */
+    shiftRight(value, bits, options = {}) {
+        return this.#bitwise('shiftRight', [value], options, x => x >> this.#shiftCount(bits, options.width));
+    }
+
+    /**
+     * Đọc chuỗi số theo quy ước của locale thành chuỗi số chuẩn (không đi qua Number)
+     * Hỗ trợ dấu phân cách hàng nghìn, số âm trong ngoặc kiểu kế toán và dạng mũ ("1,2e30" với vi-VN)
+     * @param {string} str - Chuỗi cần đọc, ví dụ "1.234.567,89" (vi-VN) hoặc "1,234" (en-US)
+     * @param {Object} [options] - Tùy chọn
+     * @param {string} [options.locale] - Locale, mặc định là locale của service
+     * @param {boolean} [options.primitives] - Trả về chuỗi số chuẩn, ví dụ "1234567.89", thay vì Numeric
+     * @returns {Numeric} Giá trị đã đọc
+     */
+    parse(str, { locale = this.locale, primitives } = {}) {
+        const { group, decimal } = resolveLocale(locale);
+        const error = new InvalidOperandError(str, {
+            vi: `Không thể đọc số theo locale ${locale}`,
+            en: `Cannot parse number for locale ${locale}`
+        }, { operation: 'parse', language: this.#language() });
+        // Bỏ khoảng trắng, kể cả khoảng trắng không ngắt dòng
+        let text = String(str).replace(/[\s\u00A0\u202F]/g, '');
+
+        let negative = false;
+        const accounting = /^\((.*)\)$/.exec(text);
+        if (accounting) {
+            text = accounting[1];
+            negative = true;
+        }
+        const sign = /^([+-]?)(.*)$/.exec(text);
+        negative = negative !== (sign[1] === '-');
+        text = sign[2];
+
+        const [mantissa, exponent, ...rest] = text.split(/e/i);
+        if (rest.length > 0 || (exponent !== undefined && !/^[+-]?\d+$/.test(exponent))) {
+            throw error;
+        }
+        const [intPart, fracPart, ...extra] = mantissa.split(decimal);
+        if (extra.length > 0 || (fracPart !== undefined && !/^\d*$/.test(fracPart))) {
+            throw error;
+        }
+        // Dấu phân cách hàng nghìn phải chia phần nguyên thành nhóm 3 chữ số
+        const groups = intPart.split(group);
+        const validGroups = groups.length === 1
+            ? /^\d*$/.test(intPart)
+            : /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(part => /^\d{3}$/.test(part));
+        if (!validGroups || !/\d/.test(groups.join('') + (fracPart ?? ''))) {
+            throw error;
+        }
+
+        const canonical = `${negative ? '-' : ''}${groups.join('')}.${fracPart ?? ''}e${exponent ?? 0}`;
+        const parsed = this.#formatDecimal(this.#parseDecimal(canonical.replace(/^(-?)\./, '$10.')));
+        return this.#output('parse', parsed, { primitives });
+    }
+
+    /**
+     * Định dạng số theo locale, làm việc trực tiếp trên chuỗi nên không mất chính xác với số lớn
+     * @param {Numeric|number|string|BigInt|Fraction} value - Giá trị cần định dạng
+     * @param {Object} [options] - Tùy chọn định dạng
+     * @param {string} [options.locale] - Locale, mặc định là locale của service
+     * @param {boolean} [options.grouping=true] - Có dùng dấu phân cách hàng nghìn không
+     * @param {number} [options.scale] - Số chữ số thập phân cố định (làm tròn và thêm số 0)
+     * @param {string} [options.roundingMode] - Chế độ làm tròn khi có scale
+     * @param {string} [options.notation='standard'] - 'standard', 'scientific', 'compact' hoặc 'accounting'
+     * @returns {string} Chuỗi đã định dạng, ví dụ "1.234.567,89" hoặc "1,2 triệu"
+     */
+    format(value, { locale = this.locale, grouping = true, scale, roundingMode = this.roundingMode, notation = 'standard' } = {}) {
+        this.#assertOperands('format', [value]);
+        value = this.#unwrap(value);
+        let conventions;
+        let decimal;
+        try {
+            conventions = resolveLocale(locale);
+            decimal = value instanceof Fraction
+                ? this.#parseDecimal(value.toDecimal(scale ?? this.divisionScale, roundingMode))
+                : this.#parseDecimal(value);
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'format');
+        }
+        let suffix = '';
+
+        if (notation === 'scientific') {
+            // Đưa về dạng d.ddd × 10^exponent
+            const { magnitude } = this.#splitSign(decimal.unscaled);
+            const exponent = magnitude === '0' ? 0 : magnitude.length - 1 - decimal.scale;
+            decimal = { unscaled: decimal.unscaled, scale: decimal.scale + exponent };
+            suffix = `e${exponent}`;
+        } else if (notation === 'compact') {
+            const { magnitude } = this.#splitSign(decimal.unscaled);
+            const integerDigits = magnitude.length - decimal.scale;
+            const unit = conventions.compact.find(([power]) => integerDigits > power);
+            if (unit) {
+                decimal = { unscaled: decimal.unscaled, scale: decimal.scale + unit[0] };
+                suffix = unit[1];
+            }
+            scale = scale ?? 1;
+        } else if (notation !== 'standard' && notation !== 'accounting') {
+            throw new CalculatorError('INVALID_OPTION', {
+                vi: `Kiểu định dạng không hợp lệ: ${notation}`,
+                en: `Invalid notation: ${notation}`
+            }, { operation: 'format', language: this.#language() });
+        }
+
+        if (scale !== undefined) {
+            decimal = this.#roundDecimal(decimal, scale, roundingMode);
+        }
+        const formatted = this.#formatDecimal(decimal);
+        const negative = formatted.startsWith('-');
+        let [intPart, fracPart = ''] = (negative ? formatted.slice(1) : formatted).split('.');
+        // Scale cố định thì giữ đủ số chữ số, riêng compact thì bỏ số 0 thừa
+        if (scale !== undefined && notation !== 'compact') {
+            fracPart = fracPart.padEnd(scale, '0');
+        }
+        if (grouping) {
+            intPart = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, conventions.group);
+        }
+
+        const body = (fracPart ? `${intPart}${conventions.decimal}${fracPart}` : intPart) + suffix;
+        if (negative) {
+            return notation === 'accounting' ? `(${body})` : `-${body}`;
+        }
+        return body;
+    }
+
+    /**
+     * Cho biết chế độ tính sẽ được dùng cho hai toán hạng
+     * @param {Numeric|number|string|BigInt|Fraction} a - Toán hạng thứ nhất
+     * @param {Numeric|number|string|BigInt|Fraction} b - Toán hạng thứ hai
+     * @returns {string} 'fraction', 'decimal', 'bigint' hoặc 'number'
+     */
+    modeOf(a, b) {
+        return this.#resolveMode(this.#unwrap(a), this.#unwrap(b));
+    }
+
+    /**
+     * Bắt đầu chuỗi phép tính có ghi lịch sử
+     * Ví dụ: calculator.chain("100").add("2.5").multiply(3).divide(7).round(2).value()
+     * @param {Numeric|number|string|BigInt|Fraction} value - Giá trị khởi tạo
+     * @returns {CalculationChain}
+     */
+    chain(value) {
+        return CalculationChain.start(this, value);
+    }
+
+    /**
+     * Chạy lại chuỗi phép tính đã lưu bằng chain.toJSON(), kiểm tra từng kết quả trung gian
+     * @param {Object|string} json - Lịch sử đã lưu
+     * @returns {CalculationChain}
+     * @throws {CalculatorError} REPLAY_MISMATCH khi kết quả khác với bản ghi (ví dụ cấu hình service khác)
+     */
+    replay(json) {
+        return CalculationChain.replay(this, json);
+    }
+
+    /**
+     * Tính giá trị biểu thức, mỗi phép toán đi qua add/subtract/multiply/divide/power
+     * @param {string} expression - Biểu thức, ví dụ "(price + fee) * qty / 3"
+     * @param {Object} [variables] - Giá trị của các biến trong biểu thức
+     * @param {Object} [options] - Tùy chọn { scale, roundingMode } áp dụng cho từng phép toán, `primitives` cho kết quả
+     * @returns {Numeric|Fraction} Kết quả biểu thức
+     * @throws {ExpressionSyntaxError} Khi biểu thức sai cú pháp (kèm vị trí)
+     * @throws {CalculatorError} Khi biến chưa được gán giá trị hoặc phép toán bị lỗi
+     */
+    evaluate(expression, variables = {}, options = {}) {
+        try {
+            const ast = ExpressionParser.parse(expression);
+            return this.#output('evaluate', this.#evaluateNode(ast, variables, options), options);
+        } catch (error) {
+            throw this.#toCalculatorError(error, 'evaluate');
+        }
+    }
+
+    /**
+     * Tính giá trị một nút của cây cú pháp
+     * @param {Object} node - Nút cây cú pháp
+     * @param {Object} variables - Giá trị của các biến
+     * @param {Object} options - Tùy chọn { scale, roundingMode }
+     * @returns {number|string|BigInt} Giá trị của nút
+     */
+    #evaluateNode(node, variables, options) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+                    throw new CalculatorError('UNDEFINED_VARIABLE', {
+                        vi: `Biến '${node.name}' chưa được gán giá trị tại vị trí ${node.position}`,
+                        en: `Variable '${node.name}' is not defined at position ${node.position}`
+                    }, { operation: 'evaluate', language: this.#language() });
+                }
+                this.#assertOperands('evaluate', [variables[node.name]], { sameType: false });
+                return this.#unwrap(variables[node.name]);
+            case 'unary':
+                return this.#negate(this.#evaluateNode(node.argument, variables, options));
+            case 'binary': {
+                const left = this.#evaluateNode(node.left, variables, options);
+                const right = this.#evaluateNode(node.right, variables, options);
+                return this.#compute(BINARY_OPERATIONS[node.operator], left, right, options);
+            }
+        }
+        throw new CalculatorError('INVALID_EXPRESSION', {
+            vi: `Nút biểu thức không hợp lệ: ${node.type}`,
+            en: `Invalid expression node: ${node.type}`
+        }, { operation: 'evaluate', language: this.#language() });
+    }
+}
+
+// Tạo instance mặc định
+const calculator = new CalculatorService();
+
+export { calculator };
+export default CalculatorService;
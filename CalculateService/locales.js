@@ -0,0 +1,41 @@
+/**
+ * Locales - Quy ước định dạng số theo locale cho CalculatorService
+ */
+
+import { CalculatorError } from './errors.js';
+
+// Dấu phân cách và hậu tố rút gọn (compact) theo từng locale, hậu tố xếp từ lớn đến nhỏ
+export const LOCALES = {
+    'vi-VN': {
+        group: '.',
+        decimal: ',',
+        compact: [[12, ' nghìn tỷ'], [9, ' tỷ'], [6, ' triệu'], [3, ' nghìn']]
+    },
+    'en-US': {
+        group: ',',
+        decimal: '.',
+        compact: [[12, 'T'], [9, 'B'], [6, 'M'], [3, 'K']]
+    }
+};
+
+// Tên viết tắt của locale
+const ALIASES = {
+    vi: 'vi-VN',
+    en: 'en-US'
+};
+
+/**
+ * Lấy quy ước định dạng của locale
+ * @param {string} locale - Ví dụ 'vi-VN', 'en-US', 'vi', 'en'
+ * @returns {{group: string, decimal: string, compact: Array}} Quy ước định dạng
+ */
+export function resolveLocale(locale) {
+    const conventions = LOCALES[ALIASES[locale] ?? locale];
+    if (!conventions) {
+        throw new CalculatorError('INVALID_OPTION', {
+            vi: `Locale không được hỗ trợ: ${locale}`,
+            en: `Unsupported locale: ${locale}`
+        });
+    }
+    return conventions;
+}
@@ -0,0 +1,391 @@
+/**
+ * Number Theory - Các hàm số học cho số nguyên: ước chung, lũy thừa modulo, căn nguyên, giai thừa, kiểm tra nguyên tố
+ * Mỗi hàm có hai bản: SMALL_INTEGERS chạy trên Number (nhanh, trả về undefined nếu kết quả vượt
+ * MAX_SAFE_INTEGER) và BIG_INTEGERS chạy trên BigInt (chính xác với mọi độ lớn)
+ */
+
+import { MAX_EXPONENT } from './decimal.js';
+import { CalculatorError, DivisionByZeroError, InvalidOperandError, OverflowError } from './errors.js';
+
+// Căn bậc hai của 2^53: tích hai số nhỏ hơn giá trị này vẫn chính xác trên Number
+const SAFE_PRODUCT_LIMIT = 94906265;
+
+// Dưới 2^32 thì chia thử nhanh hơn Miller–Rabin
+const TRIAL_DIVISION_LIMIT = 2 ** 32;
+
+// Các cơ số Miller–Rabin cho kết quả chắc chắn với n < 3.317 × 10^24 (bao trùm mọi số 64-bit)
+const DETERMINISTIC_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+const DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+
+/**
+ * Báo lỗi nếu toán hạng âm
+ * @param {number|BigInt} value - Toán hạng
+ * @param {{vi: string, en: string}} [reason] - Lý do
+ */
+function assertNonNegative(value, reason = { vi: 'Phải là số nguyên không âm', en: 'Must be a non-negative integer' }) {
+    if (value < 0) {
+        throw new InvalidOperandError(value, reason);
+    }
+}
+
+/**
+ * Báo lỗi nếu modulo không dương
+ * @param {number|BigInt} modulus - Modulo
+ */
+function assertModulus(modulus) {
+    if (Number(modulus) === 0) {
+        throw new DivisionByZeroError({ operand: modulus });
+    }
+    assertNonNegative(modulus, { vi: 'Modulo phải dương', en: 'Modulus must be positive' });
+}
+
+/**
+ * Báo lỗi nếu bậc căn không phải số nguyên dương, hoặc lấy căn bậc chẵn của số âm
+ * @param {number|BigInt} n - Số cần lấy căn
+ * @param {number|BigInt} k - Bậc căn
+ */
+function assertRoot(n, k) {
+    if (k < 1) {
+        throw new InvalidOperandError(k, { vi: 'Bậc căn phải là số nguyên dương', en: 'Root degree must be a positive integer' });
+    }
+    if (n < 0 && BigInt(k) % 2n === 0n) {
+        throw new InvalidOperandError(n, { vi: 'Không thể lấy căn bậc chẵn của số âm', en: 'Cannot take an even root of a negative number' });
+    }
+}
+
+/**
+ * Lỗi không tồn tại nghịch đảo modulo
+ * @param {number|BigInt} a - Số cần nghịch đảo
+ * @param {number|BigInt} modulus - Modulo
+ * @returns {CalculatorError}
+ */
+function notInvertible(a, modulus) {
+    return new CalculatorError('NOT_INVERTIBLE', {
+        vi: `${a} không có nghịch đảo modulo ${modulus}`,
+        en: `${a} has no inverse modulo ${modulus}`
+    }, { operand: a });
+}
+
+/**
+ * Số bit của một BigInt dương
+ * @param {BigInt} n
+ * @returns {number}
+ */
+function bitLength(n) {
+    return n.toString(2).length;
+}
+
+/**
+ * Logarit tự nhiên của một BigInt dương, kể cả khi số vượt phạm vi của Number
+ * @param {BigInt} n
+ * @returns {number}
+ */
+function logBigInt(n) {
+    const bits = bitLength(n);
+    if (bits <= 1000) return Math.log(Number(n));
+    return Math.log(Number(n >> BigInt(bits - 64))) + (bits - 64) * Math.LN2;
+}
+
+/**
+ * Báo lỗi nếu kết quả có hơn MAX_EXPONENT chữ số, giống giới hạn của power và shiftLeft
+ * @param {number} digits - log10 ước lượng của kết quả
+ * @param {BigInt} operand - Toán hạng gây lỗi
+ */
+function assertDigits(digits, operand) {
+    if (!(digits <= MAX_EXPONENT)) {
+        throw new OverflowError({ operand }, {
+            vi: `Kết quả có hơn ${MAX_EXPONENT} chữ số`,
+            en: `The result has more than ${MAX_EXPONENT} digits`
+        });
+    }
+}
+
+/**
+ * log10(n!) theo công thức Stirling, sai số dưới 1/(12n) trước khi chia cho ln 10
+ * @param {number} n - Số nguyên không âm
+ * @returns {number}
+ */
+function log10Factorial(n) {
+    if (n < 2) return 0;
+    return (n * (Math.log(n) - 1) + 0.5 * Math.log(2 * Math.PI * n)) / Math.LN10;
+}
+
+/**
+ * log10 của tổ hợp chập m của n với m <= n / 2, tính theo Stirling ở dạng không bị triệt tiêu khi m rất nhỏ so với n:
+ * ln C(n, m) ≈ m·(q + ln((n - m) / m)) - ln(2πm) / 2 với q = -ln(1 - m/n)·(n + 1/2) / m
+ * @param {BigInt} n
+ * @param {number} m - Nhỏ hơn 2^53
+ * @returns {number}
+ */
+function log10Binomial(n, m) {
+    if (m === 0) return 0;
+    const ratio = Math.exp(Math.log(m) - logBigInt(n));
+    const q = (ratio === 0 ? 1 : -Math.log1p(-ratio) / ratio) * (1 + 0.5 / Number(n));
+    return (m * (q + logBigInt(n - BigInt(m)) - Math.log(m)) - 0.5 * Math.log(2 * Math.PI * m)) / Math.LN10;
+}
+
+/**
+ * Tích các số nguyên trong [low, high] bằng cách chia đôi, để các phép nhân lớn có kích thước cân bằng
+ * @param {BigInt} low
+ * @param {BigInt} high
+ * @returns {BigInt}
+ */
+function productRange(low, high) {
+    if (low > high) return 1n;
+    if (high - low < 8n) {
+        let result = low;
+        for (let i = low + 1n; i <= high; i++) result *= i;
+        return result;
+    }
+    const middle = (low + high) / 2n;
+    return productRange(low, middle) * productRange(middle + 1n, high);
+}
+
+/**
+ * BigInt ngẫu nhiên trong [low, high]
+ * @param {BigInt} low
+ * @param {BigInt} high
+ * @returns {BigInt}
+ */
+function randomBigInt(low, high) {
+    const range = high - low + 1n;
+    let value = 0n;
+    // Lấy dư 64 bit so với range để phân bố gần đều
+    for (let bits = 0; bits < bitLength(range) + 64; bits += 30) {
+        value = (value << 30n) | BigInt(Math.floor(Math.random() * 2 ** 30));
+    }
+    return low + value % range;
+}
+
+/**
+ * Một vòng kiểm tra Miller–Rabin với cơ số `base`
+ * @param {BigInt} n - Số lẻ > 3
+ * @param {BigInt} base - Cơ số
+ * @param {BigInt} d - Phần lẻ của n - 1
+ * @param {number} s - Số mũ của 2 trong n - 1
+ * @returns {boolean} false nếu chắc chắn n là hợp số
+ */
+function millerRabinRound(n, base, d, s) {
+    let x = BIG_INTEGERS.modPow(base % n, d, n);
+    if (x === 1n || x === n - 1n) return true;
+    for (let i = 1; i < s; i++) {
+        x = x * x % n;
+        if (x === n - 1n) return true;
+    }
+    return false;
+}
+
+// Bản chạy trên Number cho số nhỏ, trả về undefined khi kết quả không biểu diễn chính xác được
+export const SMALL_INTEGERS = Object.freeze({
+    gcd(a, b) {
+        let x = Math.abs(a);
+        let y = Math.abs(b);
+        while (y !== 0) {
+            [x, y] = [y, x % y];
+        }
+        return x;
+    },
+
+    lcm(a, b) {
+        if (a === 0 || b === 0) return 0;
+        const result = Math.abs(a / SMALL_INTEGERS.gcd(a, b) * b);
+        return Number.isSafeInteger(result) ? result : undefined;
+    },
+
+    modPow(base, exponent, modulus) {
+        assertModulus(modulus);
+        if (modulus > SAFE_PRODUCT_LIMIT) return undefined;
+        if (exponent < 0) {
+            return SMALL_INTEGERS.modPow(SMALL_INTEGERS.modInverse(base, modulus), -exponent, modulus);
+        }
+        let result = 1 % modulus;
+        let b = ((base % modulus) + modulus) % modulus;
+        let e = exponent;
+        while (e > 0) {
+            if (e % 2 === 1) result = result * b % modulus;
+            b = b * b % modulus;
+            e = Math.floor(e / 2);
+        }
+        return result;
+    },
+
+    modInverse(a, modulus) {
+        assertModulus(modulus);
+        // Thuật toán Euclid mở rộng, các hệ số luôn nhỏ hơn modulo nên không tràn
+        let [oldR, r] = [((a % modulus) + modulus) % modulus, modulus];
+        let [oldS, s] = [1, 0];
+        while (r !== 0) {
+            const q = Math.floor(oldR / r);
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        if (oldR !== 1) {
+            if (modulus === 1) return 0;
+            throw notInvertible(a, modulus);
+        }
+        return ((oldS % modulus) + modulus) % modulus;
+    },
+
+    integerSqrt(n) {
+        assertNonNegative(n);
+        let x = Math.floor(Math.sqrt(n));
+        // Math.sqrt có thể lệch 1 đơn vị với số gần 2^53
+        while (x * x > n) x--;
+        while ((x + 1) * (x + 1) <= n) x++;
+        return x;
+    },
+
+    integerNthRoot(n, k) {
+        assertRoot(n, k);
+        if (Math.abs(n) > 2 ** 52) return undefined;
+        if (n < 0) return -SMALL_INTEGERS.integerNthRoot(-n, k);
+        let x = Math.round(Math.pow(n, 1 / k));
+        while (x > 0 && x ** k > n) x--;
+        while ((x + 1) ** k <= n) x++;
+        return x;
+    },
+
+    factorial(n) {
+        assertNonNegative(n);
+        // 18! là giai thừa lớn nhất không vượt MAX_SAFE_INTEGER
+        if (n > 18) return undefined;
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    },
+
+    binomial(n, k) {
+        assertNonNegative(n);
+        if (k < 0 || k > n) return 0;
+        const m = Math.min(k, n - k);
+        let result = 1;
+        for (let i = 1; i <= m; i++) {
+            const product = result * (n - m + i);
+            if (!Number.isSafeInteger(product)) return undefined;
+            // Tích i số liên tiếp luôn chia hết cho i!
+            result = product / i;
+        }
+        return result;
+    },
+
+    isProbablePrime(n) {
+        if (n >= TRIAL_DIVISION_LIMIT) return undefined;
+        if (n < 2) return false;
+        if (n % 2 === 0) return n === 2;
+        if (n % 3 === 0) return n === 3;
+        for (let i = 5; i * i <= n; i += 6) {
+            if (n % i === 0 || n % (i + 2) === 0) return false;
+        }
+        return true;
+    }
+});
+
+// Bản chạy trên BigInt cho số nguyên lớn
+export const BIG_INTEGERS = Object.freeze({
+    gcd(a, b) {
+        let x = a < 0n ? -a : a;
+        let y = b < 0n ? -b : b;
+        while (y !== 0n) {
+            [x, y] = [y, x % y];
+        }
+        return x;
+    },
+
+    lcm(a, b) {
+        if (a === 0n || b === 0n) return 0n;
+        const result = a / BIG_INTEGERS.gcd(a, b) * b;
+        return result < 0n ? -result : result;
+    },
+
+    modPow(base, exponent, modulus) {
+        assertModulus(modulus);
+        if (exponent < 0n) {
+            return BIG_INTEGERS.modPow(BIG_INTEGERS.modInverse(base, modulus), -exponent, modulus);
+        }
+        let result = 1n % modulus;
+        let b = ((base % modulus) + modulus) % modulus;
+        let e = exponent;
+        while (e > 0n) {
+            if (e & 1n) result = result * b % modulus;
+            b = b * b % modulus;
+            e >>= 1n;
+        }
+        return result;
+    },
+
+    modInverse(a, modulus) {
+        assertModulus(modulus);
+        let [oldR, r] = [((a % modulus) + modulus) % modulus, modulus];
+        let [oldS, s] = [1n, 0n];
+        while (r !== 0n) {
+            const q = oldR / r;
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        if (oldR !== 1n) {
+            if (modulus === 1n) return 0n;
+            throw notInvertible(a, modulus);
+        }
+        return ((oldS % modulus) + modulus) % modulus;
+    },
+
+    integerSqrt(n) {
+        assertNonNegative(n);
+        return BIG_INTEGERS.integerNthRoot(n, 2n);
+    },
+
+    integerNthRoot(n, k) {
+        assertRoot(n, k);
+        if (n < 0n) return -BIG_INTEGERS.integerNthRoot(-n, k);
+        if (n < 2n) return n;
+        // Newton bắt đầu từ một giá trị >= căn thật, dãy giảm dần cho đến phần nguyên của căn
+        let x = 1n << BigInt(Math.ceil(bitLength(n) / Number(k)));
+        while (true) {
+            const y = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+            if (y >= x) return x;
+            x = y;
+        }
+    },
+
+    factorial(n) {
+        assertNonNegative(n);
+        // Ước lượng số chữ số trước khi nhân, n lớn hơn 10^6 thì n! chắc chắn quá giới hạn
+        assertDigits(n > 1000000n ? Infinity : log10Factorial(Number(n)), n);
+        return productRange(2n, n);
+    },
+
+    binomial(n, k) {
+        assertNonNegative(n);
+        if (k < 0n || k > n) return 0n;
+        const m = k < n - k ? k : n - k;
+        // C(n, m) >= 2^m nên m lớn hơn MAX_EXPONENT·log2(10) thì chắc chắn quá giới hạn
+        assertDigits(m > BigInt(Math.ceil(MAX_EXPONENT * Math.log2(10))) ? Infinity : log10Binomial(n, Number(m)), n);
+        return productRange(n - m + 1n, n) / productRange(2n, m);
+    },
+
+    isProbablePrime(n, rounds = 20) {
+        if (n < 2n) return false;
+        for (const prime of DETERMINISTIC_BASES) {
+            if (n % prime === 0n) return n === prime;
+        }
+        let d = n - 1n;
+        let s = 0;
+        while ((d & 1n) === 0n) {
+            d >>= 1n;
+            s++;
+        }
+        if (!DETERMINISTIC_BASES.every(base => millerRabinRound(n, base, d, s))) {
+            return false;
+        }
+        if (n < DETERMINISTIC_LIMIT) {
+            return true;
+        }
+        // Trên giới hạn 64-bit thì thêm các cơ số ngẫu nhiên, xác suất sai tối đa 4^-rounds
+        for (let i = 0; i < rounds; i++) {
+            if (!millerRabinRound(n, randomBigInt(2n, n - 2n), d, s)) {
+                return false;
+            }
+        }
+        return true;
+    }
+});
@@ -0,0 +1,123 @@
+/**
+ * Radix - Đọc và viết số nguyên ở cơ số 2–36, có tiền tố 0x/0b/0o, và quy về số bù hai n bit
+ */
+
+import { CalculatorError, InvalidOperandError } from './errors.js';
+
+// Cơ số tương ứng với tiền tố
+const PREFIXES = { x: 16, b: 2, o: 8 };
+
+// Tiền tố khi viết số ở cơ số tương ứng
+const PREFIX_OF_RADIX = { 16: '0x', 2: '0b', 8: '0o' };
+
+// Số nguyên có tiền tố cơ số, ví dụ "0xFF", "-0b1010", "0o755"
+export const RADIX_LITERAL = /^[+-]?0[xbo][0-9a-z]+$/i;
+
+/**
+ * Báo lỗi nếu cơ số không nằm trong khoảng 2–36
+ * @param {number} radix
+ * @returns {number}
+ */
+export function validateRadix(radix) {
+    if (!Number.isInteger(radix) || radix < 2 || radix > 36) {
+        throw new CalculatorError('INVALID_OPTION', {
+            vi: `Cơ số phải là số nguyên từ 2 đến 36: ${radix}`,
+            en: `Radix must be an integer from 2 to 36: ${radix}`
+        });
+    }
+    return radix;
+}
+
+/**
+ * Báo lỗi nếu độ rộng bit không phải số nguyên dương
+ * @param {number} width
+ * @returns {number}
+ */
+export function validateWidth(width) {
+    if (!Number.isInteger(width) || width < 1) {
+        throw new CalculatorError('INVALID_OPTION', {
+            vi: `Độ rộng bit phải là số nguyên dương: ${width}`,
+            en: `Bit width must be a positive integer: ${width}`
+        });
+    }
+    return width;
+}
+
+/**
+ * Đọc số nguyên viết ở cơ số `radix`; tiền tố 0x/0b/0o (nếu có) quyết định cơ số khi không chỉ định `radix`
+ * @param {string} value - Chuỗi số, có thể có dấu và tiền tố
+ * @param {number} [radix] - Cơ số, mặc định theo tiền tố hoặc 10
+ * @returns {BigInt}
+ */
+export function parseRadix(value, radix) {
+    let [, sign, prefix, body] = /^([+-]?)(0[xbo](?=[0-9a-z]))?(.*)$/is.exec(String(value).trim());
+    if (prefix) {
+        const prefixRadix = PREFIXES[prefix[1].toLowerCase()];
+        // Với cơ số khác, "0b"/"0x" là chữ số bình thường (ví dụ "0b12" ở cơ số 16)
+        if (radix === undefined || radix === prefixRadix) {
+            radix = prefixRadix;
+        } else {
+            body = prefix + body;
+        }
+    }
+    radix = validateRadix(radix ?? 10);
+    const digits = body.toLowerCase();
+    const valid = digits.length > 0 && [...digits].every(digit => {
+        const code = parseInt(digit, 36);
+        return !Number.isNaN(code) && code < radix;
+    });
+    if (!valid) {
+        throw new InvalidOperandError(value, {
+            vi: `Không phải số nguyên hợp lệ ở cơ số ${radix}`,
+            en: `Not a valid integer in radix ${radix}`
+        });
+    }
+    let result;
+    if (PREFIX_OF_RADIX[radix] || radix === 10) {
+        // BigInt đọc trực tiếp được các cơ số 2, 8, 10, 16
+        result = BigInt(radix === 10 ? digits : PREFIX_OF_RADIX[radix] + digits);
+    } else {
+        // Đọc từng nhóm chữ số sao cho giá trị của nhóm vẫn chính xác trên Number
+        const chunk = Math.floor(53 / Math.log2(radix));
+        result = 0n;
+        for (let start = 0; start < digits.length; start += chunk) {
+            const part = digits.slice(start, start + chunk);
+            result = result * BigInt(radix) ** BigInt(part.length) + BigInt(parseInt(part, radix));
+        }
+    }
+    return sign === '-' ? -result : result;
+}
+
+/**
+ * Viết số nguyên ở cơ số `radix`
+ * @param {BigInt} value
+ * @param {number} radix - Cơ số 2–36
+ * @param {Object} [options] - Tùy chọn
+ * @param {boolean} [options.prefix=false] - Thêm tiền tố 0x/0b/0o với cơ số 16/2/8
+ * @param {boolean} [options.uppercase=false] - Viết hoa chữ số a–z
+ * @returns {string}
+ */
+export function formatRadix(value, radix, { prefix = false, uppercase = false } = {}) {
+    validateRadix(radix);
+    const negative = value < 0n;
+    let digits = (negative ? -value : value).toString(radix);
+    if (uppercase) {
+        digits = digits.toUpperCase();
+    }
+    return `${negative ? '-' : ''}${prefix ? PREFIX_OF_RADIX[radix] ?? '' : ''}${digits}`;
+}
+
+/**
+ * Quy số nguyên về `width` bit theo bù hai
+ * @param {BigInt} value
+ * @param {number} [width] - Độ rộng bit, không có thì giữ nguyên (bù hai vô hạn như BigInt)
+ * @param {boolean} [signed=true] - Đọc bit cao nhất là bit dấu
+ * @returns {BigInt}
+ */
+export function wrapToWidth(value, width, signed = true) {
+    if (width === undefined) {
+        return value;
+    }
+    validateWidth(width);
+    return signed ? BigInt.asIntN(width, value) : BigInt.asUintN(width, value);
+}
@@ -0,0 +1,51 @@
+/**
+ * Rounding - Các chế độ làm tròn dùng chung cho CalculatorService và các kiểu giá trị
+ */
+
+import { CalculatorError } from './errors.js';
+
+// Các chế độ làm tròn được hỗ trợ
+export const ROUNDING_MODES = Object.freeze({
+    HALF_UP: 'HALF_UP',       // 0.5 làm tròn ra xa số 0
+    HALF_EVEN: 'HALF_EVEN',   // 0.5 làm tròn về số chẵn gần nhất (banker's rounding)
+    HALF_DOWN: 'HALF_DOWN',   // 0.5 làm tròn về phía số 0
+    UP: 'UP',                 // Luôn làm tròn ra xa số 0
+    DOWN: 'DOWN',             // Luôn cắt bỏ (về phía số 0)
+    CEILING: 'CEILING',       // Luôn làm tròn lên (về +∞)
+    FLOOR: 'FLOOR'            // Luôn làm tròn xuống (về -∞)
+});
+
+/**
+ * Kiểm tra chế độ làm tròn có được hỗ trợ không
+ * @param {string} roundingMode - Chế độ làm tròn
+ * @returns {string} Chế độ làm tròn hợp lệ
+ */
+export function validateRoundingMode(roundingMode) {
+    if (!Object.prototype.hasOwnProperty.call(ROUNDING_MODES, roundingMode)) {
+        throw new CalculatorError('INVALID_OPTION', {
+            vi: `Chế độ làm tròn không hợp lệ: ${roundingMode}`,
+            en: `Invalid rounding mode: ${roundingMode}`
+        });
+    }
+    return roundingMode;
+}
+
+/**
+ * Quyết định có tăng trị tuyệt đối thêm một đơn vị khi bỏ đi phần lẻ khác 0 hay không
+ * @param {string} roundingMode - Chế độ làm tròn
+ * @param {boolean} negative - Giá trị cần làm tròn có âm không
+ * @param {number} vsHalf - Phần bị bỏ so với một nửa đơn vị: 1 (lớn hơn), 0 (bằng), -1 (nhỏ hơn)
+ * @param {boolean} isOdd - Chữ số cuối cùng được giữ lại có lẻ không
+ * @returns {boolean} True nếu làm tròn ra xa số 0
+ */
+export function shouldRoundAway(roundingMode, negative, vsHalf, isOdd) {
+    switch (validateRoundingMode(roundingMode)) {
+        case ROUNDING_MODES.UP: return true;
+        case ROUNDING_MODES.DOWN: return false;
+        case ROUNDING_MODES.CEILING: return !negative;
+        case ROUNDING_MODES.FLOOR: return negative;
+        case ROUNDING_MODES.HALF_UP: return vsHalf >= 0;
+        case ROUNDING_MODES.HALF_DOWN: return vsHalf > 0;
+        case ROUNDING_MODES.HALF_EVEN: return vsHalf > 0 || (vsHalf === 0 && isOdd);
+    }
+}
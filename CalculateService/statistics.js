@@ -0,0 +1,248 @@
+/**
+ * Statistics - Các bộ tích lũy thống kê chính xác trên Fraction
+ * Mỗi bộ tích lũy nhận từng giá trị qua push() nên dùng được cho cả mảng lẫn luồng bất đồng bộ,
+ * không làm tròn ở bước trung gian; CalculatorService chỉ làm tròn một lần khi trả kết quả
+ */
+
+import { CalculatorError } from './errors.js';
+import Fraction from './Fraction.js';
+
+const ZERO = new Fraction(0);
+
+/**
+ * Số chữ số thập phân cần để viết chính xác một phân số
+ * @param {Fraction} value
+ * @returns {number|undefined} undefined nếu là số thập phân vô hạn
+ */
+export function terminatingScale(value) {
+    let den = BigInt(value.denominator.toString());
+    let twos = 0;
+    let fives = 0;
+    while (den % 2n === 0n) {
+        den /= 2n;
+        twos++;
+    }
+    while (den % 5n === 0n) {
+        den /= 5n;
+        fives++;
+    }
+    return den === 1n ? Math.max(twos, fives) : undefined;
+}
+
+/**
+ * Tổng chính xác, cộng dồn tử số theo từng mẫu số và chỉ quy đồng khi lấy kết quả
+ * Số thập phân cùng số chữ số lẻ có chung mẫu số nên phần lớn các lần cộng là cộng số nguyên, không cần rút gọn
+ * @returns {{add: Function, value: Function}} add(value, factor) cộng value (nhân factor nếu có), value() trả về tổng
+ */
+function createTotal() {
+    const numerators = new Map();
+    return {
+        add(value, factor) {
+            const numerator = factor ? value.numerator.multiply(factor.numerator) : value.numerator;
+            const denominator = factor ? value.denominator.multiply(factor.denominator) : value.denominator;
+            const key = denominator.toString();
+            const entry = numerators.get(key);
+            if (entry) {
+                entry.numerator = entry.numerator.add(numerator);
+            } else {
+                numerators.set(key, { numerator, denominator });
+            }
+        },
+        value() {
+            let total = ZERO;
+            for (const { numerator, denominator } of numerators.values()) {
+                total = total.add(new Fraction(numerator, denominator));
+            }
+            return total;
+        }
+    };
+}
+
+/**
+ * Lỗi khi cần ít nhất `minimum` giá trị
+ * @param {number} minimum
+ * @returns {CalculatorError}
+ */
+function notEnoughData(minimum) {
+    return new CalculatorError('EMPTY_DATA', {
+        vi: `Cần ít nhất ${minimum} giá trị`,
+        en: `At least ${minimum} value${minimum > 1 ? 's are' : ' is'} required`
+    });
+}
+
+/**
+ * Sắp xếp tăng dần và kiểm tra số lượng
+ * Mỗi phần tử được tính giá trị gần đúng một lần; chỉ so sánh chính xác khi hai giá trị gần đúng quá sát nhau
+ * @param {Array<Fraction>} values
+ * @returns {Array<Fraction>}
+ */
+function sorted(values) {
+    if (values.length === 0) {
+        throw notEnoughData(1);
+    }
+    return values
+        .map(value => ({ value, approximation: Number(value.numerator.toString()) / Number(value.denominator.toString()) }))
+        .sort((a, b) => {
+            const difference = a.approximation - b.approximation;
+            // Sai số của giá trị gần đúng chỉ vài ulp; Infinity hoặc NaN (số quá lớn) luôn rơi vào so sánh chính xác
+            if (Math.abs(difference) > Math.abs(a.approximation + b.approximation) * 1e-12) {
+                return difference;
+            }
+            return a.value.compare(b.value);
+        })
+        .map(entry => entry.value);
+}
+
+/**
+ * Các bộ tích lũy, mỗi hàm tạo một bộ { push(value, weight), result() } mới trên các giá trị Fraction
+ */
+export const REDUCERS = Object.freeze({
+    sum() {
+        const total = createTotal();
+        return {
+            push(value) {
+                total.add(value);
+            },
+            result: () => total.value()
+        };
+    },
+
+    mean() {
+        const total = createTotal();
+        let count = 0;
+        return {
+            push(value) {
+                total.add(value);
+                count++;
+            },
+            result() {
+                if (count === 0) throw notEnoughData(1);
+                return total.value().divide(count);
+            }
+        };
+    },
+
+    // Phương sai tổng thể (chia n) hoặc mẫu (chia n - 1) từ tổng và tổng bình phương chính xác
+    variance({ sample = false } = {}) {
+        const total = createTotal();
+        const squares = createTotal();
+        let count = 0;
+        return {
+            push(value) {
+                total.add(value);
+                squares.add(value, value);
+                count++;
+            },
+            result() {
+                const minimum = sample ? 2 : 1;
+                if (count < minimum) throw notEnoughData(minimum);
+                // Σ(x - x̄)² = Σx² - (Σx)² / n
+                const sum = total.value();
+                const deviations = squares.value().subtract(sum.multiply(sum).divide(count));
+                return deviations.divide(sample ? count - 1 : count);
+            }
+        };
+    },
+
+    min() {
+        let best;
+        return {
+            push(value) {
+                if (best === undefined || value.compare(best) < 0) best = value;
+            },
+            result() {
+                if (best === undefined) throw notEnoughData(1);
+                return best;
+            }
+        };
+    },
+
+    max() {
+        let best;
+        return {
+            push(value) {
+                if (best === undefined || value.compare(best) > 0) best = value;
+            },
+            result() {
+                if (best === undefined) throw notEnoughData(1);
+                return best;
+            }
+        };
+    },
+
+    median() {
+        const values = [];
+        return {
+            push(value) {
+                values.push(value);
+            },
+            result() {
+                const list = sorted(values);
+                const middle = Math.floor(list.length / 2);
+                return list.length % 2 === 1 ? list[middle] : list[middle - 1].add(list[middle]).divide(2);
+            }
+        };
+    },
+
+    // Giá trị xuất hiện nhiều nhất, nếu nhiều giá trị cùng số lần thì lấy giá trị gặp trước
+    mode() {
+        const counts = new Map();
+        return {
+            push(value) {
+                // Fraction luôn tối giản nên mỗi giá trị chỉ có một dạng chuỗi
+                const key = value.toString();
+                const entry = counts.get(key);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    counts.set(key, { value, count: 1 });
+                }
+            },
+            result() {
+                let best;
+                for (const entry of counts.values()) {
+                    if (best === undefined || entry.count > best.count) best = entry;
+                }
+                if (best === undefined) throw notEnoughData(1);
+                return best.value;
+            }
+        };
+    },
+
+    // Nội suy tuyến tính giữa hai hạng gần nhất (giống PERCENTILE.INC của bảng tính), p trong [0, 1]
+    percentile({ p }) {
+        const values = [];
+        return {
+            push(value) {
+                values.push(value);
+            },
+            result() {
+                const list = sorted(values);
+                // Hạng h = (n - 1)·p, kết quả = x[⌊h⌋] + (h - ⌊h⌋)·(x[⌊h⌋ + 1] - x[⌊h⌋])
+                const rank = p.multiply(list.length - 1);
+                const lower = rank.numerator.divmod(rank.denominator).quotient;
+                const fraction = rank.subtract(new Fraction(lower));
+                const base = list[Number(lower.toString())];
+                if (fraction.numerator.isZero()) return base;
+                return base.add(fraction.multiply(list[Number(lower.toString()) + 1].subtract(base)));
+            }
+        };
+    },
+
+    weightedAverage() {
+        const total = createTotal();
+        const weights = createTotal();
+        let count = 0;
+        return {
+            push(value, weight) {
+                total.add(value, weight);
+                weights.add(weight);
+                count++;
+            },
+            result() {
+                if (count === 0) throw notEnoughData(1);
+                return total.value().divide(weights.value());
+            }
+        };
+    }
+});
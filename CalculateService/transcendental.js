@@ -0,0 +1,189 @@
+/**
+ * Transcendental - Ước lượng ln, log10, exp và lũy thừa số thực với độ chính xác tùy ý trên BigInt
+ * Mỗi hàm nhận số hữu tỉ num/den và trả về { value, scale, error }: giá trị thật nằm trong
+ * [(value - error) / 10^scale, (value + error) / 10^scale]. CalculatorService tăng dần `precision`
+ * cho đến khi cả khoảng làm tròn ra cùng một kết quả (chiến lược Ziv), nên chữ số cuối luôn đúng; nếu sau số lần
+ * tăng tối đa vẫn chưa chắc chắn thì báo lỗi PRECISION_LIMIT chứ không trả về kết quả có thể sai
+ */
+
+// Hằng số ln 2 đã tính, theo precision
+const LN2_CACHE = new Map();
+
+/**
+ * 10^n dạng BigInt
+ * @param {number} n
+ * @returns {BigInt}
+ */
+function pow10(n) {
+    return 10n ** BigInt(n);
+}
+
+/**
+ * Trị tuyệt đối của BigInt
+ * @param {BigInt} n
+ * @returns {BigInt}
+ */
+function abs(n) {
+    return n < 0n ? -n : n;
+}
+
+/**
+ * Số chữ số của trị tuyệt đối
+ * @param {BigInt} n
+ * @returns {number}
+ */
+function digitCount(n) {
+    return abs(n).toString().length;
+}
+
+/**
+ * atanh(z) = z + z^3/3 + z^5/5 + ... trên số cố định với `one` = 10^precision, yêu cầu |z| <= 1/3
+ * @param {BigInt} z - Đối số dạng số cố định
+ * @param {BigInt} zError - Sai số của z (đơn vị cuối)
+ * @param {BigInt} one - 10^precision
+ * @returns {{value: BigInt, error: BigInt}}
+ */
+function atanh(z, zError, one) {
+    const z2 = z * z / one;
+    let power = z;
+    let sum = 0n;
+    let terms = 0n;
+    for (let n = 1n; power !== 0n; n += 2n) {
+        sum += power / n;
+        power = power * z2 / one;
+        terms++;
+    }
+    // Mỗi số hạng lệch tối đa 4 đơn vị cuối, phần đuôi bị bỏ nhỏ hơn 4 đơn vị, đạo hàm của atanh <= 9/8
+    return { value: sum, error: 4n * terms + 4n + 2n * zError };
+}
+
+/**
+ * ln 2 = 2 * atanh(1/3)
+ * @param {number} precision - Số chữ số thập phân
+ * @returns {{value: BigInt, error: BigInt}}
+ */
+function ln2(precision) {
+    if (!LN2_CACHE.has(precision)) {
+        const series = atanh(pow10(precision) / 3n, 1n, pow10(precision));
+        LN2_CACHE.set(precision, { value: 2n * series.value, error: 2n * series.error });
+    }
+    return LN2_CACHE.get(precision);
+}
+
+/**
+ * e^t với t là số cố định có sai số
+ * @param {{value: BigInt, error: BigInt}} t - Số mũ ở scale `precision`
+ * @param {number} precision - Số chữ số thập phân
+ * @returns {{value: BigInt, scale: number, error: BigInt}}
+ */
+function expFixed(t, precision) {
+    if (t.value < 0n) {
+        return reciprocal(expFixed({ value: -t.value, error: t.error }, precision), precision);
+    }
+    const one = pow10(precision);
+    // t = k * ln 2 + r với 0 <= r < ln 2, e^t = 2^k * e^r
+    const log2 = ln2(precision);
+    const k = t.value / log2.value;
+    const r = t.value - k * log2.value;
+    const rError = k * log2.error + t.error;
+
+    let sum = one;
+    let term = one;
+    let terms = 0n;
+    for (let n = 1n; term !== 0n; n++) {
+        term = term * r / one / n;
+        sum += term;
+        terms++;
+    }
+    // e^r < 2.1 nên sai số của r bị khuếch đại không quá 3 lần
+    const error = 3n * terms + 3n + 3n * rError;
+    return { value: sum << k, scale: precision, error: error << k };
+}
+
+/**
+ * 1 / y, giữ khoảng `precision` chữ số có nghĩa
+ * @param {{value: BigInt, scale: number, error: BigInt}} y - Số dương có sai số
+ * @param {number} precision - Số chữ số có nghĩa tối thiểu
+ * @returns {{value: BigInt, scale: number, error: BigInt}}
+ */
+function reciprocal({ value, scale, error }, precision) {
+    const outScale = precision + digitCount(value) - scale;
+    const numerator = pow10(scale + outScale);
+    const result = numerator / value;
+    if (value <= error) {
+        // Khoảng chứa 0: sai số không xác định, buộc bên gọi tăng precision
+        return { value: result, scale: outScale, error: abs(result) + 1n };
+    }
+    return { value: result, scale: outScale, error: numerator * error / (value * (value - error)) + 2n };
+}
+
+/**
+ * ln(num / den) với num, den > 0
+ * @param {BigInt} num - Tử số
+ * @param {BigInt} den - Mẫu số
+ * @param {number} precision - Số chữ số thập phân
+ * @returns {{value: BigInt, scale: number, error: BigInt}}
+ */
+export function lnApproximation(num, den, precision) {
+    const one = pow10(precision);
+    // x = 2^k * f với f trong [1/2, 1), ln x = k * ln 2 + ln f
+    const scaled = k => k >= 0 ? num * one / (den << BigInt(k)) : (num * one << BigInt(-k)) / den;
+    let k = Math.floor((digitCount(num) - digitCount(den)) * Math.log2(10));
+    let f = scaled(k);
+    while (f >= one) f = scaled(++k);
+    while (f < one / 2n) f = scaled(--k);
+
+    // ln f = 2 * atanh((f - 1) / (f + 1)), với f trong [1/2, 1) thì |z| <= 1/3
+    const z = (f - one) * one / (f + one);
+    const series = atanh(z, 2n, one);
+    const log2 = ln2(precision);
+    return {
+        value: 2n * series.value + BigInt(k) * log2.value,
+        scale: precision,
+        error: 2n * series.error + abs(BigInt(k)) * log2.error
+    };
+}
+
+/**
+ * log10(num / den) = ln(x) / ln(10)
+ * @param {BigInt} num - Tử số dương
+ * @param {BigInt} den - Mẫu số dương
+ * @param {number} precision - Số chữ số thập phân
+ * @returns {{value: BigInt, scale: number, error: BigInt}}
+ */
+export function log10Approximation(num, den, precision) {
+    const one = pow10(precision);
+    const lnX = lnApproximation(num, den, precision);
+    const lnTen = lnApproximation(10n, 1n, precision);
+    const divisor = lnTen.value - lnTen.error;
+    return {
+        value: lnX.value * one / lnTen.value,
+        scale: precision,
+        error: (lnX.error * one + abs(lnX.value) * lnTen.error * one / divisor) / divisor + 2n
+    };
+}
+
+/**
+ * e^(num / den)
+ * @param {BigInt} num - Tử số
+ * @param {BigInt} den - Mẫu số dương
+ * @param {number} precision - Số chữ số thập phân
+ * @returns {{value: BigInt, scale: number, error: BigInt}}
+ */
+export function expApproximation(num, den, precision) {
+    return expFixed({ value: num * pow10(precision) / den, error: 1n }, precision);
+}
+
+/**
+ * (num / den)^(p / q) = e^((p / q) * ln(num / den))
+ * @param {BigInt} num - Tử số dương của cơ số
+ * @param {BigInt} den - Mẫu số dương của cơ số
+ * @param {BigInt} p - Tử số của số mũ
+ * @param {BigInt} q - Mẫu số dương của số mũ
+ * @param {number} precision - Số chữ số thập phân
+ * @returns {{value: BigInt, scale: number, error: BigInt}}
+ */
+export function powerApproximation(num, den, p, q, precision) {
+    const lnX = lnApproximation(num, den, precision);
+    return expFixed({ value: lnX.value * p / q, error: lnX.error * abs(p) / q + 1n }, precision);
+}
@@ -3,27 +3,98 @@
  * This implementation provides a way to match URLs against patterns with path parameters and wildcards.
  */
 
+import {
+	DEFAULT_OPTIONS,
+	FULL_WILDCARD,
+	PATHNAME_OPTIONS,
+	SPECIAL_SCHEMES,
+	comparePartLists,
+	escapePatternString,
+	escapeRegexString,
+	generatePatternString,
+	generateRegex,
+	matchesSpecialScheme,
+	parseConstructorString,
+	parsePattern,
+	partToPattern,
+	segmentWildcard
+} from './parser.js';
+import { ParamError, coerceParam, compileSchema, constrainParts, formatParam } from './params.js';
+
 class URLPattern {
+	/**
+	 * URL components in the order they appear in a URL
+	 * @type {Array<string>}
+	 */
+	static COMPONENTS = ['protocol', 'username', 'password', 'hostname', 'port', 'pathname', 'search', 'hash'];
+
+	/**
+	 * Default port of each special scheme, written as an empty port by URL parsing
+	 * @type {Object<string, string>}
+	 */
+	static DEFAULT_PORTS = { ftp: '21', http: '80', https: '443', ws: '80', wss: '443' };
+
+	/**
+	 * Components that `ignoreCase` applies to, protocol and hostname are always lowercased by URL parsing
+	 * @type {Array<string>}
+	 */
+	static CASE_FOLDED_COMPONENTS = ['pathname', 'search', 'hash'];
+
 	/**
 	 * Creates a new URLPattern instance
-	 * @param {Object|string} input - Input pattern as a string or object with protocol, username, password, hostname, port, pathname, search, hash properties
-	 * @param {string} [baseURL] - Optional base URL to resolve against
+	 * @param {Object|string} input - Input pattern as a string or object with protocol, username, password, hostname, port, pathname, search, hash
+	 *   and baseURL properties
+	 * @param {string|Object} [baseURL] - Optional base URL, or the options. Like the native API, a relative pattern takes the components
+	 *   it leaves out from the base URL (see _inheritBaseURL), relative URLs passed to exec() and test() are resolved against it.
+	 * @param {Object} [options] - Pattern options
+	 * @param {boolean} [options.ignoreCase=false] - Match pathname, search and hash case-insensitively
+	 * @param {boolean} [options.strictTrailingSlash=true] - When false, a pathname matches with or without a trailing '/'
+	 * @param {boolean} [options.decodeGroups=false] - Percent-decode group values, e.g. '%E1%BA%A1' becomes 'ạ'
+	 * @param {boolean} [options.normalizeUnicode=false] - Compare pathname, search and hash in Unicode NFC form.
+	 *   Hostnames are always compared in their punycode form, so 'café.com' and 'xn--caf-dma.com' are the same host
+	 * @param {Object<string, string|Array|Function>} [options.params] - Parameter types, e.g.
+	 *   `{ id: 'int', status: ['open', 'closed'], from: 'date' }`. Built-in types are int, float, uuid, slug, date
+	 *   and boolean, an array lists the allowed values and a function `(value, name) => typed` is a custom coercer.
+	 *   Typed groups only match valid text and come back converted, names that are not groups are read from the query.
+	 * @param {Object} [options.logger] - Receives debug output through `logger.debug(message, details)`
+	 * @param {boolean} [options.debug=false] - Log debug output to the console when no logger is given
 	 */
-	constructor(input, baseURL) {
+	constructor(input, baseURL, options = {}) {
+		// Like the native API, the options may take the place of the base URL
+		if (baseURL !== null && typeof baseURL === 'object') {
+			options = baseURL;
+			baseURL = undefined;
+		}
+		this.options = {
+			ignoreCase: options.ignoreCase === true,
+			strictTrailingSlash: options.strictTrailingSlash !== false,
+			decodeGroups: options.decodeGroups === true,
+			normalizeUnicode: options.normalizeUnicode === true
+		};
+		this.logger = options.logger || (options.debug ? console : null);
+		this.schema = compileSchema(options.params);
+
 		if (typeof input === 'string') {
 			this.pattern = input;
-			this.patternObj = this._parsePatternString(input);
+			this.patternObj = this._parsePatternString(input, baseURL);
 		} else if (typeof input === 'object') {
-			this.patternObj = {
-				protocol: input.protocol || '*',
-				username: input.username || '*',
-				password: input.password || '*',
-				hostname: input.hostname || '*',
-				port: input.port || '*',
-				pathname: input.pathname || '*',
-				search: input.search || '*',
-				hash: input.hash || '*'
-			};
+			baseURL = input.baseURL ?? baseURL;
+			const init = {};
+			for (const component of URLPattern.COMPONENTS) {
+				if (input[component] !== undefined) {
+					init[component] = input[component];
+				}
+			}
+			// Separators are not part of the component value
+			init.protocol = init.protocol?.replace(/:$/, '');
+			init.search = init.search?.replace(/^\?/, '');
+			init.hash = init.hash?.replace(/^#/, '');
+			const inherited = baseURL === undefined ? init : this._inheritBaseURL(init, baseURL);
+			// Like the native API, a missing component matches anything while '' only matches an empty value
+			this.patternObj = {};
+			for (const component of URLPattern.COMPONENTS) {
+				this.patternObj[component] = inherited[component] ?? '*';
+			}
 			this.pattern = this._buildPatternString(this.patternObj);
 		}
 
@@ -31,39 +102,133 @@ class URLPattern {
 		this._compileRegexPattern();
 	}
 
+	/**
+	 * Normalized pattern string of a component, what the native API returns from `pattern.pathname` and the like
+	 * @param {string} component - Component name
+	 * @returns {string} The pattern string
+	 * @private
+	 */
+	_componentPattern(component) {
+		const { parts, options } = this.components[component];
+		return generatePatternString(parts, options);
+	}
+
+	/** @type {string} Normalized protocol pattern */
+	get protocol() {
+		return this._componentPattern('protocol');
+	}
+
+	/** @type {string} Normalized username pattern */
+	get username() {
+		return this._componentPattern('username');
+	}
+
+	/** @type {string} Normalized password pattern */
+	get password() {
+		return this._componentPattern('password');
+	}
+
+	/** @type {string} Normalized hostname pattern */
+	get hostname() {
+		return this._componentPattern('hostname');
+	}
+
+	/** @type {string} Normalized port pattern */
+	get port() {
+		return this._componentPattern('port');
+	}
+
+	/** @type {string} Normalized pathname pattern */
+	get pathname() {
+		return this._componentPattern('pathname');
+	}
+
+	/** @type {string} Normalized search pattern */
+	get search() {
+		return this._componentPattern('search');
+	}
+
+	/** @type {string} Normalized hash pattern */
+	get hash() {
+		return this._componentPattern('hash');
+	}
+
 	/**
 	 * Parse a pattern string into components
+	 * The string is split with the URLPattern constructor string grammar, so groups and regexps
+	 * in any component (`https://*.example.com/users/:id(\d+)`) survive intact.
+	 * A string without a protocol is relative: with a base URL it takes the components it leaves out from the base URL,
+	 * without one it is a pathname pattern that matches any origin.
 	 * @param {string} patternString - The pattern string to parse
+	 * @param {string} [baseURL] - Base URL for a relative pattern
 	 * @returns {Object} An object containing pattern components
 	 * @private
 	 */
-	_parsePatternString(patternString) {
+	_parsePatternString(patternString, baseURL) {
+		let parsed = parseConstructorString(patternString);
+		if (parsed.protocol === undefined && baseURL !== undefined) {
+			parsed = this._inheritBaseURL(parsed, baseURL);
+		}
+		const patternObj = {};
+		for (const component of URLPattern.COMPONENTS) {
+			patternObj[component] = parsed[component] ?? '*';
+		}
+
+		// For simple path patterns
+		if (parsed.protocol === undefined && parsed.pathname !== undefined && !this._isAbsolutePathname(parsed.pathname)) {
+			patternObj.pathname = `/${parsed.pathname}`;
+		}
+		return patternObj;
+	}
+
+	/**
+	 * Fill in the components a relative pattern leaves out from its base URL, as the native API does
+	 * A component is only taken from the base URL when the pattern gives no component before it in the URL, so
+	 * `/foo` inherits the protocol, hostname and port but not the search or hash, which stay wildcards.
+	 * Username and password are never inherited, and a pathname without a leading '/' is resolved against the base path.
+	 * @param {Object} init - Components given by the pattern
+	 * @param {string} baseURL - The base URL
+	 * @returns {Object} The components with the inherited ones added, escaped so they match literally
+	 * @throws {TypeError} If the base URL is not a valid URL
+	 * @private
+	 */
+	_inheritBaseURL(init, baseURL) {
+		let base;
 		try {
-			const url = new URL(patternString);
-			return {
-				protocol: url.protocol.replace(':', ''),
-				username: url.username || '*',
-				password: url.password || '*',
-				hostname: url.hostname,
-				port: url.port || '*',
-				pathname: url.pathname,
-				search: url.search || '*',
-				hash: url.hash || '*'
-			};
-		} catch (e) {
-			// Handle cases where the pattern is not a complete URL
-			// For simple path patterns
-			return {
-				protocol: '*',
-				username: '*',
-				password: '*',
-				hostname: '*',
-				port: '*',
-				pathname: patternString.startsWith('/') ? patternString : `/${patternString}`,
-				search: '*',
-				hash: '*'
-			};
+			base = new URL(baseURL);
+		} catch {
+			throw new TypeError(`Invalid base URL: '${baseURL}'`);
+		}
+		const values = {
+			protocol: base.protocol.slice(0, -1),
+			hostname: base.hostname,
+			port: base.port,
+			pathname: base.pathname,
+			search: base.search.slice(1),
+			hash: base.hash.slice(1)
+		};
+		const result = { ...init };
+		for (const component of ['protocol', 'hostname', 'port', 'pathname', 'search', 'hash']) {
+			if (init[component] !== undefined) {
+				break;
+			}
+			result[component] = escapePatternString(values[component]);
 		}
+		if (init.pathname !== undefined && !this._isAbsolutePathname(init.pathname) && init.protocol === undefined && base.pathname.startsWith('/')) {
+			const directory = base.pathname.slice(0, base.pathname.lastIndexOf('/') + 1);
+			result.pathname = escapePatternString(directory) + init.pathname;
+		}
+		return result;
+	}
+
+	/**
+	 * Check whether a pathname pattern starts with '/', also when the slash is escaped or opens a group like `{/:id}?`
+	 * @param {string} pathname - Pathname pattern
+	 * @returns {boolean} True if the pathname is absolute
+	 * @private
+	 */
+	_isAbsolutePathname(pathname) {
+		return pathname.startsWith('/') || pathname.startsWith('\\/') || pathname.startsWith('{/');
 	}
 
 	/**
@@ -103,56 +268,153 @@ class URLPattern {
 		pattern += patternObj.pathname;
 
 		if (patternObj.search !== '*' && patternObj.search) {
-			pattern += patternObj.search;
+			pattern += `?${patternObj.search}`;
 		}
 
 		if (patternObj.hash !== '*' && patternObj.hash) {
-			pattern += patternObj.hash;
+			pattern += `#${patternObj.hash}`;
 		}
 
 		return pattern;
 	}
 
 	/**
-	 * Compile the pattern into a regex for matching
+	 * Compile every component pattern into a regex for matching
+	 * Components are parsed with the URLPattern grammar: named groups (`:id`), custom regexp groups (`:id(\d+)`),
+	 * unnamed groups (`(\d+)`, `*`), modifiers (`?`, `*`, `+`), non-capturing groups (`{...}`) and `\` escapes.
 	 * @private
 	 */
 	_compileRegexPattern() {
-		// Convert the pattern to a regex pattern
-		let regexPattern = this.patternObj.pathname;
-
-		// We need to handle parameter replacements before escaping other characters
+		const { protocol, port } = this.patternObj;
+		// A port equal to the default port of a fixed protocol is written as '' by URL parsing
+		if (URLPattern.DEFAULT_PORTS[protocol] === port) {
+			this.patternObj.port = '';
+		}
 
-		// First, temporarily replace the parameters with a marker
-		const params = [];
-		let tempPattern = regexPattern.replace(/:[a-zA-Z0-9_]+/g, match => {
-			params.push(match);
-			return '___PARAM_MARKER___';
-		});
+		const hierarchical = matchesSpecialScheme(protocol);
+		this.components = {};
+		for (const component of URLPattern.COMPONENTS) {
+			const options = {
+				...(component === 'hostname' ? { delimiter: '.', prefix: '' } : component === 'pathname' && hierarchical ? PATHNAME_OPTIONS : DEFAULT_OPTIONS),
+				encodePart: value => this._canonicalizeComponent(component, value, hierarchical)
+			};
+			const parts = constrainParts(parsePattern(this.patternObj[component], options), this.schema);
+			let { source, names } = generateRegex(parts, options);
+			if (component === 'pathname' && hierarchical && !this.options.strictTrailingSlash) {
+				source = this._looseTrailingSlash(parts, options);
+			}
+			const ignoreCase = this.options.ignoreCase && URLPattern.CASE_FOLDED_COMPONENTS.includes(component);
 
-		// Now escape special regex characters
-		tempPattern = tempPattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+			this._log(`Compiled ${component} pattern`, { pattern: this.patternObj[component], regex: source });
+			this.components[component] = { parts, regex: new RegExp(source, ignoreCase ? 'iu' : 'u'), names, options };
+		}
 
-		// Put the parameters back in, but converted to capture groups
-		let paramIndex = 0;
-		regexPattern = tempPattern.replace(/___PARAM_MARKER___/g, () => {
-			return '([^/]+)'; // Each parameter becomes a capture group
-		});
+		// Pathname regex and group names in capture order, unnamed groups are "0", "1"...
+		this.regex = this.components.pathname.regex;
+		this.paramNames = this.components.pathname.names;
 
-		// Replace wildcards * with regex patterns (but not \* escaped ones)
-		regexPattern = regexPattern.replace(/(?<![\\])\*/g, '.*');
+		// Typed names that are not a group of any component are query parameters
+		const groupNames = new Set(URLPattern.COMPONENTS.flatMap(component => this.components[component].names));
+		this.queryParams = [...this.schema.keys()].filter(name => !groupNames.has(name));
+	}
 
-		// Add ^ and $ to match start and end of the string
-		regexPattern = `^${regexPattern}$`;
+	/**
+	 * Regex source for a pathname that matches with or without a trailing slash
+	 * @param {Array<Object>} parts - Pathname parts
+	 * @param {Object} options - Pathname pattern options
+	 * @returns {string} The regex source
+	 * @private
+	 */
+	_looseTrailingSlash(parts, options) {
+		const last = parts[parts.length - 1];
+		if (last && last.type === 'fixed' && last.modifier === 'none' && last.value.endsWith('/')) {
+			// '/users/' also matches '/users'
+			parts = [...parts.slice(0, -1), { ...last, value: last.value.slice(0, -1) }];
+		}
+		const { source } = generateRegex(parts, options);
+		return `${source.slice(0, -1)}(?:\\/)?$`;
+	}
 
-		console.log('Final regex pattern:', regexPattern);
-		// Use 'i' flag to make the regex case-insensitive
-		this.regex = new RegExp(regexPattern, 'i');
+	/**
+	 * Canonicalize fixed text of a component pattern the way URL parsing would canonicalize that component
+	 * @param {string} component - Component name
+	 * @param {string} value - Fixed text from the component pattern
+	 * @param {boolean} hierarchical - Whether the protocol has `/` separated pathnames
+	 * @returns {string} The canonical text
+	 * @throws {TypeError} If the text is not valid in that component
+	 * @private
+	 */
+	_canonicalizeComponent(component, value, hierarchical) {
+		if (value === '') {
+			return value;
+		}
+		const invalid = () => new TypeError(`Invalid ${component} in pattern: '${value}'`);
+		if (this.options.normalizeUnicode && URLPattern.CASE_FOLDED_COMPONENTS.includes(component)) {
+			value = value.normalize('NFC');
+		}
+		const url = new URL('http://dummy.test');
+		switch (component) {
+			case 'protocol':
+				try {
+					return new URL(`${value}://dummy.test`).protocol.slice(0, -1);
+				} catch (e) {
+					throw invalid();
+				}
+			case 'username':
+			case 'password':
+				url[component] = value;
+				return url[component];
+			case 'hostname':
+				if (value.startsWith('[') || value.includes(':')) {
+					// IPv6 address pieces are only lowercased
+					if (!/^[\da-f:[\]]+$/i.test(value)) {
+						throw invalid();
+					}
+					return value.toLowerCase();
+				}
+				// The hostname setter stops at these and keeps only the host before them ('a/b' becomes 'a')
+				if (/[/?#\\]/.test(value)) {
+					throw invalid();
+				}
+				url.hostname = value;
+				// The hostname setter silently ignores invalid hosts
+				if (url.hostname === 'dummy.test' && value.toLowerCase() !== 'dummy.test') {
+					throw invalid();
+				}
+				return url.hostname;
+			case 'port':
+				if (!/^\d+$/.test(value) || Number(value) > 65535) {
+					throw invalid();
+				}
+				return String(Number(value));
+			case 'pathname':
+				if (!hierarchical) {
+					// Opaque paths (`data:`, `mailto:`) only percent-encode control characters
+					return value.replace(/[\x00-\x1F\x7F]/g, encodeURIComponent);
+				}
+				return this._canonicalizePathname(value);
+			case 'search':
+				url.search = value;
+				return url.search.substring(1);
+			case 'hash':
+				url.hash = value;
+				return url.hash.substring(1);
+		}
+		return value;
+	}
 
-		// Extract parameter names for later use
-		this.paramNames = [];
-		const paramMatches = this.patternObj.pathname.match(/:[a-zA-Z0-9_]+/g) || [];
-		this.paramNames = paramMatches.map(param => param.substring(1));
+	/**
+	 * Canonicalize fixed pathname text the way URL parsing would (percent-encoding, dot segments)
+	 * @param {string} value - Fixed text from the pathname pattern
+	 * @returns {string} The canonical text
+	 * @private
+	 */
+	_canonicalizePathname(value) {
+		// Text that does not start a segment is parsed behind a dummy "/-" segment, which is then stripped
+		const leadingSlash = value.startsWith('/');
+		const url = new URL('http://example.com');
+		url.pathname = leadingSlash ? value : `/-${value}`;
+		return leadingSlash ? url.pathname : url.pathname.substring(2);
 	}
 
 	/**
@@ -161,75 +423,239 @@ class URLPattern {
 	 * @returns {boolean} True if the URL matches the pattern
 	 */
 	test(input) {
-		const urlObj = this._normalizeInput(input);
-		const pathToTest = urlObj.pathname;
-
-		// Quick path check - if the pathname doesn't match our regex, then return false
-		if (!this.regex.test(pathToTest)) {
-			return false;
-		}
+		const values = this._componentValues(this._normalizeInput(input));
 
-		// If specific hostname, protocol, etc. were specified, check those too
-		if (this.patternObj.hostname !== '*' && urlObj.hostname !== this.patternObj.hostname) {
-			return false;
+		// Every component has to match, components without a pattern are compiled from '*'
+		const matched = URLPattern.COMPONENTS.every(component => this.components[component].regex.test(values[component]));
+		if (!matched || this.schema.size === 0) {
+			return matched;
 		}
 
-		if (this.patternObj.protocol !== '*' && urlObj.protocol.replace(':', '') !== this.patternObj.protocol) {
-			return false;
+		// Typed parameters also have to convert
+		try {
+			return this.exec(input) !== null;
+		} catch (error) {
+			if (error instanceof ParamError) {
+				return false;
+			}
+			throw error;
 		}
-
-		// Add more component checks here if needed
-
-		return true;
 	}
 
 	/**
 	 * Execute the pattern against a URL and return match groups
 	 * @param {string|URL|Object} input - URL to match against
-	 * @returns {Object|null} Match result object or null if no match
+	 * @returns {Object|null} Match result object or null if no match, with `{ input, groups }` for every component.
+	 *   Typed groups are converted, typed query parameters are in `search.query`.
+	 * @throws {ParamError} If a typed group or query parameter matched but cannot be converted, e.g. '2024-02-30'
 	 */
 	exec(input) {
 		const urlObj = this._normalizeInput(input);
-		const pathToTest = urlObj.pathname;
+		const values = this._componentValues(urlObj);
 
-		console.log('Pattern regex:', this.regex);
-		console.log('Testing path:', pathToTest);
+		this._log('Matching URL', { input, values });
 
-		const match = this.regex.exec(pathToTest);
-		if (!match) {
-			console.log('No regex match found');
-			return null;
-		}
+		const result = {
+			inputs: [input],
+			input: typeof input === 'string' ? input : urlObj.toString()
+		};
 
-		// Check other url components like hostname, protocol, etc. if specified
-		if (this.patternObj.hostname !== '*' && urlObj.hostname !== this.patternObj.hostname) {
-			console.log('Hostname mismatch');
-			return null;
+		for (const component of URLPattern.COMPONENTS) {
+			const { regex } = this.components[component];
+			const match = regex.exec(values[component]);
+			if (!match) {
+				this._log(`No ${component} match`, { pattern: this.patternObj[component], value: values[component], regex: String(regex) });
+				return null;
+			}
+
+			result[component] = { input: values[component], groups: this._groups(component, match) };
+		}
+		if (this.queryParams.length > 0) {
+			result.search.query = this._query(values.search);
 		}
 
-		if (this.patternObj.protocol !== '*' && urlObj.protocol.replace(':', '') !== this.patternObj.protocol) {
-			console.log('Protocol mismatch');
-			return null;
+		this._log('Match result', result);
+		return result;
+	}
+
+	/**
+	 * Explain why a URL does or does not match, component by component
+	 * Every component reports its pattern, the URL value, the compiled regex and whether it matched.
+	 * A pathname that does not match also reports where matching diverged, a typed parameter that does not convert
+	 * reports its `error`.
+	 * @param {string|URL|Object} input - URL to explain
+	 * @returns {{input: string, matched: boolean, components: Object}} The report, safe to serialize as JSON
+	 */
+	explain(input) {
+		const urlObj = this._normalizeInput(input);
+		const values = this._componentValues(urlObj);
+		const components = {};
+		for (const component of URLPattern.COMPONENTS) {
+			const { regex } = this.components[component];
+			const match = regex.exec(values[component]);
+			const report = {
+				pattern: this.patternObj[component],
+				value: values[component],
+				regex: String(regex),
+				matched: match !== null,
+				groups: null
+			};
+			try {
+				if (match) {
+					report.groups = this._groups(component, match);
+				}
+				if (component === 'search' && this.queryParams.length > 0) {
+					report.query = this._query(values.search);
+				}
+			} catch (error) {
+				if (!(error instanceof ParamError)) {
+					throw error;
+				}
+				// The text matched but does not convert to its type
+				report.matched = false;
+				report.error = { param: error.param, value: error.value, reason: error.reason };
+			}
+			if (component === 'pathname') {
+				report.divergence = match ? null : this._pathnameDivergence(values.pathname);
+			}
+			components[component] = report;
 		}
 
-		// Create result object with groups based on parameter names
-		const result = {
+		return {
 			input: typeof input === 'string' ? input : urlObj.toString(),
-			pathname: {
-				input: pathToTest,
-				groups: {}
+			matched: URLPattern.COMPONENTS.every(component => components[component].matched),
+			components
+		};
+	}
+
+	/**
+	 * Find the first pathname part that cannot match, by matching ever longer prefixes of the pattern
+	 * @param {string} pathname - Pathname that does not match
+	 * @returns {{part: string|null, position: number, segmentIndex: number, segment: string}} The part that failed
+	 *   (null if the whole pattern matched but the pathname continues), the offset in the pathname where it failed,
+	 *   and the pathname segment at that offset
+	 * @private
+	 */
+	_pathnameDivergence(pathname) {
+		const { parts, regex, options } = this.components.pathname;
+		const delimiter = escapeRegexString(options.delimiter);
+		let position = 0;
+		let failed = null;
+		for (let count = 1; count <= parts.length; count++) {
+			// Prefixes that end before a new segment have to end on a segment boundary,
+			// unless the last part may be empty and the boundary belongs to the part before it
+			const last = parts[count - 1];
+			const next = parts[count];
+			const start = next ? (next.type === 'fixed' ? next.value : next.prefix) : options.delimiter;
+			const required = last.modifier === 'none' || last.modifier === 'one-or-more';
+			const boundary = delimiter && required && start.startsWith(options.delimiter) ? `(?=${delimiter}|$)` : '';
+			const { source } = generateRegex(parts.slice(0, count), options);
+			const match = new RegExp(`${source.slice(0, -1)}${boundary}`, regex.flags).exec(pathname);
+			if (!match) {
+				failed = last;
+				break;
 			}
+			position = match[0].length;
+		}
+
+		// Report the segment that starts at or contains the failing position
+		const segmentStart = pathname[position] === options.delimiter ? position + 1 : position;
+		const before = pathname.slice(0, segmentStart);
+		const segmentIndex = options.delimiter ? before.split(options.delimiter).length - 1 : 0;
+		const segment = options.delimiter ? pathname.slice(before.lastIndexOf(options.delimiter) + 1).split(options.delimiter)[0] : pathname;
+		return {
+			part: failed && partToPattern(failed, options),
+			position,
+			segmentIndex,
+			segment
+		};
+	}
+
+	/**
+	 * Send debug output to the logger, if any
+	 * @param {string} message - What happened
+	 * @param {Object} [details] - Structured details
+	 * @private
+	 */
+	_log(message, details) {
+		if (this.logger) {
+			this.logger.debug(message, details);
+		}
+	}
+
+	/**
+	 * Read the value of every component from a URL, without the `:`, `?` and `#` separators
+	 * @param {URL} urlObj - The URL
+	 * @returns {Object} Component values keyed by component name
+	 * @private
+	 */
+	_componentValues(urlObj) {
+		const values = {
+			protocol: urlObj.protocol.slice(0, -1),
+			username: urlObj.username,
+			password: urlObj.password,
+			hostname: urlObj.hostname,
+			port: urlObj.port,
+			pathname: urlObj.pathname,
+			search: urlObj.search.substring(1),
+			hash: urlObj.hash.substring(1)
 		};
+		if (this.options.normalizeUnicode) {
+			for (const component of URLPattern.CASE_FOLDED_COMPONENTS) {
+				values[component] = URLPattern.normalizeEncoded(values[component]);
+			}
+		}
+		return values;
+	}
 
-		// Assign named parameter values
-		this.paramNames.forEach((name, index) => {
-			if (match[index + 1] !== undefined) {
-				result.pathname.groups[name] = match[index + 1];
+	/**
+	 * Collect group values of a match by name
+	 * Unmatched optional groups are undefined like the native API, values are percent-decoded with `decodeGroups`.
+	 * Typed groups are always decoded and converted, repeated typed groups (`:ids+`) give an array.
+	 * @param {string} component - Component name
+	 * @param {Array<string>} match - Regex match
+	 * @returns {Object} Group values keyed by name
+	 * @throws {ParamError} If a typed group does not convert
+	 * @private
+	 */
+	_groups(component, match) {
+		const { names, parts } = this.components[component];
+		const groups = {};
+		names.forEach((name, index) => {
+			const value = match[index + 1];
+			const type = this.schema.get(name);
+			if (type && value !== undefined) {
+				const part = parts.find(item => item.name === name);
+				const separator = part.suffix + part.prefix;
+				const repeated = part.modifier === 'zero-or-more' || part.modifier === 'one-or-more';
+				const context = { component, ignoreCase: this.components[component].regex.flags.includes('i') };
+				const coerce = text => coerceParam(name, type, URLPattern.decode(text), context);
+				groups[name] = repeated ? (separator ? value.split(separator) : [value]).map(coerce) : coerce(value);
+			} else {
+				groups[name] = this.options.decodeGroups && value !== undefined ? URLPattern.decode(value) : value;
 			}
 		});
+		return groups;
+	}
 
-		console.log('Match result:', result);
-		return result;
+	/**
+	 * Read the typed query parameters, a parameter given more than once gives an array
+	 * @param {string} search - Search component value
+	 * @returns {Object} Typed values keyed by name, parameters missing from the query are left out
+	 * @throws {ParamError} If a query parameter does not fit its type
+	 * @private
+	 */
+	_query(search) {
+		const searchParams = new URLSearchParams(search);
+		const context = { component: 'search', ignoreCase: this.options.ignoreCase, checkPattern: true };
+		const query = {};
+		for (const name of this.queryParams) {
+			const values = searchParams.getAll(name).map(value => coerceParam(name, this.schema.get(name), value, context));
+			if (values.length > 0) {
+				query[name] = values.length === 1 ? values[0] : values;
+			}
+		}
+		return query;
 	}
 
 	/**
@@ -239,20 +665,31 @@ class URLPattern {
 	 * @private
 	 */
 	_normalizeInput(input) {
+		return URLPattern.normalizeURL(input, this.baseURL, this.logger);
+	}
+
+	/**
+	 * Normalize input to a URL object, paths like '/users/123' are resolved against `baseURL` or a dummy origin
+	 * @param {string|URL|Object} input - URL input
+	 * @param {string} [baseURL] - Optional base URL for relative inputs
+	 * @param {Object} [logger] - Receives debug output through `logger.debug(message, details)`
+	 * @returns {URL} Normalized URL object
+	 */
+	static normalizeURL(input, baseURL, logger) {
 		if (typeof input === 'string') {
 			// For simple path patterns like '/users/123', we'll treat them as paths
 			if (input.startsWith('/')) {
 				try {
 					// Try to create a URL with the given base
-					if (this.baseURL) {
-						return new URL(input, this.baseURL);
+					if (baseURL) {
+						return new URL(input, baseURL);
 					} else {
 						// Create a URL with a dummy base
 						const url = new URL(input, 'http://example.com');
 						return url;
 					}
 				} catch (e) {
-					console.error('Error normalizing path input:', e);
+					logger?.debug('Invalid base URL, falling back to example domain', { input, baseURL });
 					// If that fails, fall back to our dummy URL
 					return new URL(input, 'http://example.com');
 				}
@@ -264,14 +701,14 @@ class URLPattern {
 			} catch (e) {
 				// If that fails, try with base URL
 				try {
-					if (this.baseURL) {
-						return new URL(input, this.baseURL);
+					if (baseURL) {
+						return new URL(input, baseURL);
 					}
 				} catch (e2) {
-					// Final fallback
-					console.log('Falling back to example domain for:', input);
-					return new URL(input.startsWith('/') ? input : `/${input}`, 'http://example.com');
+					// Fall through to the example domain
 				}
+				logger?.debug('Falling back to example domain', { input });
+				return new URL(input.startsWith('/') ? input : `/${input}`, 'http://example.com');
 			}
 		} else if (input instanceof URL) {
 			return input;
@@ -280,7 +717,7 @@ class URLPattern {
 			let urlString = '';
 
 			if (input.protocol) {
-				urlString += `${input.protocol}://`;
+				urlString += `${input.protocol.replace(/:$/, '')}://`;
 			} else {
 				urlString += 'http://';
 			}
@@ -302,14 +739,14 @@ class URLPattern {
 			urlString += input.pathname || '/';
 
 			if (input.search) {
-				urlString += input.search;
+				urlString += input.search.startsWith('?') ? input.search : `?${input.search}`;
 			}
 
 			if (input.hash) {
-				urlString += input.hash;
+				urlString += input.hash.startsWith('#') ? input.hash : `#${input.hash}`;
 			}
 
-			console.log('Constructed URL string:', urlString);
+			logger?.debug('Constructed URL string', { urlString });
 			return new URL(urlString);
 		}
 
@@ -325,6 +762,230 @@ class URLPattern {
 		return this.exec(input);
 	}
 
+	/**
+	 * Generate a URL from parameter values, the reverse of exec()
+	 * Values are percent-encoded for their component and checked against their group, e.g.
+	 * `new URLPattern('/users/:id(\\d+)/:slug').generate({ id: 42, slug: 'a b' })` returns '/users/42/a%20b'.
+	 * Optional groups may be left out, repeated groups (`:path+`) take an array or a string joined by the delimiter.
+	 * Wildcards are never required: a `*` inside a component takes its value from its group number ("0", "1"...) and
+	 * is written empty without one, and a component whose whole pattern is '*' is always left out. So a pathname-only
+	 * pattern gives a path, `{ hostname: 'x.com', port: ':port' }` gives the scheme-relative '//x.com:8080' and
+	 * `/files/*` gives '/files/' without a "0" value.
+	 * Typed values are written back as text (a `date` as YYYY-MM-DD) and typed query parameters are added to the query.
+	 * @param {Object} [params] - Parameter values keyed by group name, unnamed groups are "0", "1"...
+	 * @returns {string} The generated URL
+	 * @throws {TypeError} If required parameters are missing, a value does not match its group or the URL would
+	 *   have a special scheme such as https but no hostname, a ParamError if the value does not fit its type
+	 */
+	generate(params = {}) {
+		const missing = [];
+		const values = {};
+		for (const component of URLPattern.COMPONENTS) {
+			if (this[component] !== '*') {
+				values[component] = this._generateComponent(component, params, missing);
+			}
+		}
+		if (missing.length > 0) {
+			throw new TypeError(`Missing parameters for pattern '${this.pattern}': ${missing.join(', ')}`);
+		}
+		// 'https:/x' would be parsed as the host 'x', a file URL can do without a host
+		if (!values.hostname && values.protocol !== 'file' && SPECIAL_SCHEMES.includes(values.protocol)) {
+			throw new TypeError(`Cannot generate a ${values.protocol} URL without a hostname for pattern '${this.pattern}'`);
+		}
+
+		let url = '';
+		if (values.protocol !== undefined) {
+			url += `${values.protocol}:`;
+		}
+		if (values.hostname !== undefined) {
+			url += '//';
+			if (values.username) {
+				url += values.password ? `${values.username}:${values.password}@` : `${values.username}@`;
+			}
+			url += values.hostname;
+			if (values.port) {
+				url += `:${values.port}`;
+			}
+		}
+		url += values.pathname ?? '';
+		const search = [values.search, this._generateQuery(params)].filter(Boolean).join('&');
+		if (search) {
+			url += `?${search}`;
+		}
+		if (values.hash) {
+			url += `#${values.hash}`;
+		}
+		return url;
+	}
+
+	/**
+	 * Generate the text of one component from its parts
+	 * @param {string} component - Component name
+	 * @param {Object} params - Parameter values
+	 * @param {Array<string>} missing - Collects the names of missing required parameters
+	 * @returns {string} The component text
+	 * @private
+	 */
+	_generateComponent(component, params, missing) {
+		let result = '';
+		for (const part of this.components[component].parts) {
+			if (part.type === 'fixed') {
+				// Optional fixed text is left out, repeated fixed text is written once
+				if (part.modifier === 'none' || part.modifier === 'one-or-more') {
+					result += part.value;
+				}
+				continue;
+			}
+
+			const optional = part.modifier === 'optional' || part.modifier === 'zero-or-more';
+			const repeated = part.modifier === 'zero-or-more' || part.modifier === 'one-or-more';
+			const value = params[part.name];
+			let items = [];
+			if (value !== undefined && value !== null && !(optional && value === '')) {
+				if (!repeated) {
+					items = [value];
+				} else if (Array.isArray(value)) {
+					items = value;
+				} else {
+					// A repeated value as returned by exec(), e.g. 'a/b/c' for `/:path+`
+					const separator = part.suffix + part.prefix;
+					items = separator ? String(value).split(separator) : [value];
+				}
+			}
+
+			// An unnamed `*` matches the empty string, so it is written empty rather than required
+			if (items.length === 0 && part.type === 'full-wildcard' && /^\d/.test(part.name)) {
+				items = [''];
+			}
+			if (items.length === 0) {
+				if (!optional && !missing.includes(part.name)) {
+					missing.push(part.name);
+				}
+				continue;
+			}
+			const encoded = items.map(item => this._encodeParam(component, part, item));
+			result += part.prefix + encoded.join(part.suffix + part.prefix) + part.suffix;
+		}
+		return result;
+	}
+
+	/**
+	 * Generate the typed query parameters
+	 * @param {Object} params - Parameter values, an array gives a parameter more than once
+	 * @returns {string} The encoded query without '?'
+	 * @throws {ParamError} If a value does not fit its type
+	 * @private
+	 */
+	_generateQuery(params) {
+		const searchParams = new URLSearchParams();
+		const context = { component: 'search', ignoreCase: this.options.ignoreCase, checkPattern: true };
+		for (const name of this.queryParams) {
+			const type = this.schema.get(name);
+			for (const value of [].concat(params[name] ?? [])) {
+				const text = formatParam(type, value);
+				coerceParam(name, type, text, context);
+				searchParams.append(name, text);
+			}
+		}
+		return searchParams.toString();
+	}
+
+	/**
+	 * Percent-encode a parameter value for its component and check it against the group
+	 * @param {string} component - Component name
+	 * @param {Object} part - The group part
+	 * @param {*} value - The parameter value
+	 * @returns {string} The encoded value
+	 * @throws {TypeError} If the value does not match the group, a ParamError for a typed group
+	 * @private
+	 */
+	_encodeParam(component, part, value) {
+		const type = this.schema.get(part.name);
+		let text = type ? formatParam(type, value) : String(value);
+		if (this.options.normalizeUnicode) {
+			text = text.normalize('NFC');
+		}
+		const { regex, options } = this.components[component];
+		const source = part.type === 'segment-wildcard' ? segmentWildcard(options) : part.type === 'full-wildcard' ? FULL_WILDCARD : part.value;
+		const invalid = () => (type
+			? new ParamError(part.name, text, `not ${type.description}`, component)
+			: new TypeError(`Invalid value for parameter '${part.name}' in ${component}: '${text}' does not match ${source}`));
+
+		let encoded;
+		if (component === 'pathname') {
+			// A segment value cannot contain '/', groups that span segments keep it
+			encoded = part.type === 'segment-wildcard' ? encodeURIComponent(text) : text.split('/').map(encodeURIComponent).join('/');
+		} else if (['protocol', 'hostname', 'port'].includes(component)) {
+			try {
+				encoded = this._canonicalizeComponent(component, text, true);
+			} catch (e) {
+				throw invalid();
+			}
+		} else {
+			encoded = encodeURIComponent(text);
+		}
+
+		if (!new RegExp(`^(?:${source})$`, regex.flags).test(encoded)) {
+			throw invalid();
+		}
+		if (type) {
+			// Text that matches can still fail to convert, e.g. '2024-02-30'
+			coerceParam(part.name, type, text, { component, ignoreCase: regex.flags.includes('i') });
+		}
+		return encoded;
+	}
+
+	/**
+	 * Compare the specificity of one component of two patterns, like the native `URLPattern.compareComponent`
+	 * Sorting with this function in descending order puts static segments before params before wildcards.
+	 * @param {string} component - Component name, e.g. 'pathname'
+	 * @param {URLPattern} left - First pattern
+	 * @param {URLPattern} right - Second pattern
+	 * @returns {number} -1 if `left` is less specific, 1 if it is more specific, 0 if they are equal
+	 */
+	static compareComponent(component, left, right) {
+		if (!URLPattern.COMPONENTS.includes(component)) {
+			throw new TypeError(`Unknown URL component: ${component}`);
+		}
+		return comparePartLists(left.components[component].parts, right.components[component].parts);
+	}
+
+	/**
+	 * Percent-decode a value, keeping any sequence that is not valid UTF-8 as it is
+	 * @param {string} value - Percent-encoded value
+	 * @returns {string} The decoded value
+	 */
+	static decode(value) {
+		try {
+			return decodeURIComponent(value);
+		} catch (e) {
+			return value.replace(/(%[\da-f]{2})+/gi, sequence => {
+				try {
+					return decodeURIComponent(sequence);
+				} catch (e2) {
+					return sequence;
+				}
+			});
+		}
+	}
+
+	/**
+	 * Bring percent-encoded non-ASCII text into Unicode NFC form, so 'e' + U+0301 and 'é' encode the same way
+	 * @param {string} value - Percent-encoded value
+	 * @returns {string} The value with its non-ASCII text normalized and re-encoded, ASCII escapes such as '%2F' kept
+	 */
+	static normalizeEncoded(value) {
+		// Decode only multi-byte UTF-8 sequences, a combining mark can follow a plain ASCII letter
+		const decoded = value.replace(/%[c-f][\da-f](?:%[89ab][\da-f])+/gi, sequence => {
+			try {
+				return decodeURIComponent(sequence);
+			} catch (e) {
+				return sequence;
+			}
+		});
+		return decoded.normalize('NFC').replace(/[^\x00-\x7F]+/gu, encodeURIComponent);
+	}
+
 	/**
 	 * Check if a path includes a route pattern
 	 * @param {Object} parent - Parent route object
@@ -355,9 +1016,11 @@ class URLPattern {
 	 * Match a URL against a string pattern
 	 * @param {string} url - URL to test
 	 * @param {string} pattern - Pattern to match against
+	 * @param {Object} [options] - Match options
+	 * @param {boolean} [options.ignoreCase=false] - Match case-insensitively
 	 * @returns {boolean} True if the URL matches the pattern
 	 */
-	static matchPattern(url, pattern) {
+	static matchPattern(url, pattern, options = {}) {
 		// Convert pattern string to regex
 		let regexPattern = pattern
 			// Convert route pattern params to regex capture groups
@@ -367,8 +1030,8 @@ class URLPattern {
 			// Escape special regex chars
 			.replace(/([.+?^=!:${}()|\[\]\/\\])/g, '\\$1');
 
-		// Create regex with start/end anchors and case-insensitive flag 'i'
-		const regex = new RegExp(`^${regexPattern}$`, 'i');
+		// Create regex with start/end anchors, case-insensitive only when asked
+		const regex = new RegExp(`^${regexPattern}$`, options.ignoreCase ? 'i' : '');
 		return regex.test(url);
 	}
 
@@ -376,9 +1039,11 @@ class URLPattern {
 	 * Check if a URL matches a regex pattern
 	 * @param {string} url - URL to test
 	 * @param {RegExp|string} matchRegex - Regex pattern to match against
+	 * @param {Object} [options] - Match options
+	 * @param {boolean} [options.ignoreCase=false] - Match a string pattern case-insensitively
 	 * @returns {boolean} True if the URL matches the pattern
 	 */
-	static matchRegex(url, matchRegex) {
+	static matchRegex(url, matchRegex, options = {}) {
 		if (typeof matchRegex === 'string') {
 			// Convert simple glob patterns to regex
 			matchRegex = matchRegex
@@ -386,18 +1051,12 @@ class URLPattern {
 				.replace(/\*/g, '.*')
 				.replace(/([.+?^=!:${}()|\[\]\/\\])/g, '\\$1');
 
-			// Add case-insensitive flag 'i'
-			const regex = new RegExp(`^${matchRegex}$`, 'i');
+			const regex = new RegExp(`^${matchRegex}$`, options.ignoreCase ? 'i' : '');
 			return regex.test(url);
 		}
 
 		if (matchRegex instanceof RegExp) {
 			// If user provided a RegExp object, we respect their flags
-			// but make a new one with case-insensitivity if it wasn't set
-			if (!matchRegex.flags.includes('i')) {
-				const newRegex = new RegExp(matchRegex.source, matchRegex.flags + 'i');
-				return newRegex.test(url);
-			}
 			return matchRegex.test(url);
 		}
 
@@ -415,4 +1074,5 @@ class URLPattern {
 	}
 }
 
+export { ParamError };
 export default URLPattern;
@@ -0,0 +1,194 @@
+/**
+ * Params - Typed parameter schemas for URLPattern groups and query parameters
+ * A schema maps a parameter name to a built-in type name, an array of allowed values or a coercer function.
+ * Built-in types constrain the regex of their group and convert the matched text, e.g. 'int' only matches
+ * `-?\d+` and returns a number.
+ */
+
+import { escapeRegexString } from './parser.js';
+
+/**
+ * Error for a parameter value that does not fit its schema type
+ */
+export class ParamError extends TypeError {
+	/**
+	 * @param {string} param - Parameter name
+	 * @param {string} value - The text that failed
+	 * @param {string} reason - Why it failed, e.g. 'not an integer'
+	 * @param {string} component - Component the value came from, 'search' for query parameters
+	 */
+	constructor(param, value, reason, component) {
+		super(`Invalid parameter '${param}' in ${component}: ${reason} ('${value}')`);
+		this.name = 'ParamError';
+		this.param = param;
+		this.value = value;
+		this.reason = reason;
+		this.component = component;
+	}
+}
+
+/**
+ * Built-in parameter types: `pattern` is the regex source of a valid value, `coerce` converts the text
+ * and throws with a reason when it cannot, `format` writes a typed value back for generate()
+ * A type whose valid values are not plain ASCII also has a `decodedPattern` for the decoded text of query
+ * parameters, `pattern` matches the percent-encoded text of a group.
+ * @type {Object<string, {pattern: string, decodedPattern?: string, description: string, coerce: Function, format?: Function}>}
+ */
+export const PARAM_TYPES = Object.freeze({
+	int: {
+		pattern: '-?\\d+',
+		description: 'an integer',
+		coerce(value) {
+			const number = Number(value);
+			// Groups with their own regexp, like `:x(\w+)`, can match text that is not an integer at all
+			if (Number.isNaN(number) || !Number.isInteger(number)) {
+				throw new Error('not an integer');
+			}
+			if (!Number.isSafeInteger(number)) {
+				throw new Error('out of the safe integer range');
+			}
+			return number;
+		}
+	},
+	float: {
+		pattern: '-?(?:\\d+(?:\\.\\d*)?|\\.\\d+)(?:[eE][+-]?\\d+)?',
+		description: 'a number',
+		coerce(value) {
+			const number = Number(value);
+			if (!Number.isFinite(number)) {
+				throw new Error('out of range');
+			}
+			return number;
+		}
+	},
+	uuid: {
+		pattern: '[\\da-fA-F]{8}-[\\da-fA-F]{4}-[\\da-fA-F]{4}-[\\da-fA-F]{4}-[\\da-fA-F]{12}',
+		description: 'a UUID',
+		coerce: value => value.toLowerCase()
+	},
+	slug: {
+		pattern: '[a-z\\d]+(?:-[a-z\\d]+)*',
+		description: 'a slug',
+		coerce: value => value
+	},
+	// Calendar date as YYYY-MM-DD, returned as a Date at midnight UTC
+	date: {
+		pattern: '\\d{4}-\\d{2}-\\d{2}',
+		description: 'a date (YYYY-MM-DD)',
+		coerce(value) {
+			const date = new Date(`${value}T00:00:00Z`);
+			// Date rolls '2024-02-30' over to March, so the day has to survive the round trip
+			if (Number.isNaN(date.getTime()) || !date.toISOString().startsWith(value)) {
+				throw new Error('not a valid date');
+			}
+			return date;
+		},
+		format: value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value))
+	},
+	boolean: {
+		pattern: 'true|false|1|0',
+		description: 'a boolean (true, false, 1 or 0)',
+		// Like enum values, other spellings than lowercase only get past the pattern with ignoreCase
+		coerce: (value, { ignoreCase }) => (ignoreCase ? value.toLowerCase() : value) === 'true' || value === '1'
+	}
+});
+
+/**
+ * Compile an enum type from its allowed values
+ * @param {Array<*>} values - Allowed values
+ * @returns {Object} The type
+ * @private
+ */
+function enumType(values) {
+	const allowed = values.map(String);
+	return {
+		pattern: allowed.map(value => escapeRegexString(encodeURIComponent(value))).join('|'),
+		decodedPattern: allowed.map(escapeRegexString).join('|'),
+		description: `one of ${allowed.join(', ')}`,
+		coerce(value, { ignoreCase }) {
+			const index = allowed.findIndex(item => item === value || (ignoreCase && item.toLowerCase() === value.toLowerCase()));
+			if (index === -1) {
+				throw new Error(`not one of ${allowed.join(', ')}`);
+			}
+			return values[index];
+		}
+	};
+}
+
+/**
+ * Compile a schema into one type per parameter
+ * @param {Object<string, string|Array|Function>} [params] - Type name, allowed values or coercer `(value, name) => typed`
+ *   (throwing rejects the value) for each parameter
+ * @returns {Map<string, Object>} Types keyed by parameter name
+ * @throws {TypeError} If a type is unknown
+ */
+export function compileSchema(params = {}) {
+	const schema = new Map();
+	for (const [name, type] of Object.entries(params)) {
+		if (typeof type === 'function') {
+			schema.set(name, { description: 'valid', coerce: value => type(value, name) });
+		} else if (Array.isArray(type)) {
+			if (type.length === 0) {
+				throw new TypeError(`Enum for parameter '${name}' has no values`);
+			}
+			schema.set(name, enumType(type));
+		} else if (Object.prototype.hasOwnProperty.call(PARAM_TYPES, type)) {
+			schema.set(name, PARAM_TYPES[type]);
+		} else {
+			throw new TypeError(`Unknown type '${type}' for parameter '${name}'`);
+		}
+	}
+	return schema;
+}
+
+/**
+ * Constrain the named groups of a schema to the pattern of their type
+ * Groups with their own regexp (`:id(\d{4})`) keep it.
+ * @param {Array<Object>} parts - Component parts
+ * @param {Map<string, Object>} schema - Compiled schema
+ * @returns {Array<Object>} The parts with typed groups turned into regexp groups
+ */
+export function constrainParts(parts, schema) {
+	return parts.map(part => {
+		const type = schema.get(part.name);
+		if (part.type !== 'segment-wildcard' || !type || type.pattern === undefined) {
+			return part;
+		}
+		return { ...part, type: 'regexp', value: type.pattern };
+	});
+}
+
+/**
+ * Convert the text of a parameter to its type
+ * @param {string} name - Parameter name
+ * @param {Object} type - Compiled type
+ * @param {string} value - Decoded text
+ * @param {{component: string, ignoreCase: boolean, checkPattern: boolean}} context - Where the value came from,
+ *   `checkPattern` for values the group regex has not checked, like query parameters
+ * @returns {*} The typed value
+ * @throws {ParamError} If the value does not fit the type
+ */
+export function coerceParam(name, type, value, context) {
+	// Query values come decoded from URLSearchParams, so they are checked against the decoded form of the pattern
+	const pattern = type.decodedPattern ?? type.pattern;
+	if (context.checkPattern && pattern !== undefined
+		&& !new RegExp(`^(?:${pattern})$`, context.ignoreCase ? 'iu' : 'u').test(value)) {
+		throw new ParamError(name, value, `not ${type.description}`, context.component);
+	}
+	try {
+		return type.coerce(value, context);
+	} catch (error) {
+		const reason = error instanceof Error ? error.message : String(error);
+		throw new ParamError(name, value, reason, context.component);
+	}
+}
+
+/**
+ * Write a typed value back as text for generate()
+ * @param {Object} type - Compiled type
+ * @param {*} value - Typed value
+ * @returns {string} The text
+ */
+export function formatParam(type, value) {
+	return type.format ? type.format(value) : String(value);
+}
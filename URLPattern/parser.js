@@ -0,0 +1,736 @@
+/**
+ * Pattern parser - Tokenizes and parses URLPattern component strings following the WHATWG URLPattern spec.
+ * A component pattern such as `/users/:id(\d+){/posts/:slug}?` is turned into a list of parts,
+ * which is then compiled into a regular expression and the ordered list of group names.
+ */
+
+/**
+ * Regex value of a bare `*` wildcard
+ * @type {string}
+ */
+export const FULL_WILDCARD = '.*';
+
+/**
+ * Pattern options for the pathname component: `/` separates segments and is the implicit prefix of a group
+ * @type {{delimiter: string, prefix: string}}
+ */
+export const PATHNAME_OPTIONS = Object.freeze({ delimiter: '/', prefix: '/' });
+
+/**
+ * Pattern options for components without segments (protocol, port, search, hash...)
+ * @type {{delimiter: string, prefix: string}}
+ */
+export const DEFAULT_OPTIONS = Object.freeze({ delimiter: '', prefix: '' });
+
+const MODIFIERS = { '?': 'optional', '*': 'zero-or-more', '+': 'one-or-more' };
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - The string to escape
+ * @returns {string} The escaped string
+ */
+export function escapeRegexString(value) {
+	return value.replace(/[.+*?^${}()[\]|/\\]/g, '\\$&');
+}
+
+/**
+ * Regex value matching one segment, i.e. anything up to the next delimiter
+ * @param {{delimiter: string}} options - Component pattern options
+ * @returns {string} The segment wildcard regex source
+ */
+export function segmentWildcard(options) {
+	return `[^${escapeRegexString(options.delimiter)}]+?`;
+}
+
+/**
+ * Check whether a code point can appear in a group name
+ * @param {string} char - The code point
+ * @param {boolean} first - Whether it is the first code point of the name
+ * @returns {boolean} True if the code point is valid
+ * @private
+ */
+function isNameCodePoint(char, first) {
+	if (first) {
+		return /[$_\p{ID_Start}]/u.test(char);
+	}
+	return /[$\u200C\u200D\p{ID_Continue}]/u.test(char);
+}
+
+/**
+ * Build the error thrown for an invalid pattern
+ * @param {string} input - The pattern being parsed
+ * @param {string} reason - What went wrong
+ * @param {number} index - Position of the problem in the pattern
+ * @returns {TypeError} The error
+ * @private
+ */
+function patternError(input, reason, index) {
+	return new TypeError(`Invalid pattern '${input}': ${reason} at index ${index}`);
+}
+
+/**
+ * Split a component pattern into tokens
+ * Token types are `open` ({), `close` (}), `regexp` ((...)), `name` (:name), `char`, `escaped-char` (\x),
+ * `other-modifier` (? or +), `asterisk` (*) and a final `end` token.
+ * @param {string} input - The component pattern
+ * @param {Object} [options] - Tokenizer options
+ * @param {boolean} [options.lenient=false] - Emit `invalid-char` tokens instead of throwing on syntax errors
+ * @returns {Array<{type: string, index: number, value: string}>} The tokens
+ */
+export function tokenize(input, { lenient = false } = {}) {
+	const tokens = [];
+	const chars = [...input];
+	// Map from code point index to the UTF-16 index used in error messages
+	const offsets = [];
+	let offset = 0;
+	for (const char of chars) {
+		offsets.push(offset);
+		offset += char.length;
+	}
+	offsets.push(offset);
+
+	let index = 0;
+	while (index < chars.length) {
+		const char = chars[index];
+		const position = offsets[index];
+		// A lenient tokenizer keeps the offending character as an `invalid-char` token and moves on
+		const fail = error => {
+			if (!lenient) {
+				throw error;
+			}
+			tokens.push({ type: 'invalid-char', index: position, value: char });
+			index++;
+		};
+
+		if (char === '*') {
+			tokens.push({ type: 'asterisk', index: position, value: char });
+			index++;
+		} else if (char === '+' || char === '?') {
+			tokens.push({ type: 'other-modifier', index: position, value: char });
+			index++;
+		} else if (char === '\\') {
+			if (index === chars.length - 1) {
+				fail(patternError(input, 'trailing escape character', position));
+				continue;
+			}
+			tokens.push({ type: 'escaped-char', index: position, value: chars[index + 1] });
+			index += 2;
+		} else if (char === '{') {
+			tokens.push({ type: 'open', index: position, value: char });
+			index++;
+		} else if (char === '}') {
+			tokens.push({ type: 'close', index: position, value: char });
+			index++;
+		} else if (char === ':') {
+			let end = index + 1;
+			while (end < chars.length && isNameCodePoint(chars[end], end === index + 1)) {
+				end++;
+			}
+			if (end === index + 1) {
+				fail(patternError(input, 'missing group name', position));
+				continue;
+			}
+			tokens.push({ type: 'name', index: position, value: chars.slice(index + 1, end).join('') });
+			index = end;
+		} else if (char === '(') {
+			let end;
+			try {
+				end = readRegexp(input, chars, offsets, index);
+			} catch (error) {
+				fail(error);
+				continue;
+			}
+			tokens.push({ type: 'regexp', index: position, value: chars.slice(index + 1, end - 1).join('') });
+			index = end;
+		} else {
+			tokens.push({ type: 'char', index: position, value: char });
+			index++;
+		}
+	}
+
+	tokens.push({ type: 'end', index: offsets[chars.length], value: '' });
+	return tokens;
+}
+
+/**
+ * Read a regexp group starting at an opening parenthesis
+ * Nested groups must be non-capturing (start with `(?`) and the regexp must be ASCII.
+ * @param {string} input - The component pattern (for error messages)
+ * @param {Array<string>} chars - The pattern code points
+ * @param {Array<number>} offsets - UTF-16 index of each code point
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {number} Index just past the closing parenthesis
+ * @private
+ */
+function readRegexp(input, chars, offsets, start) {
+	let depth = 1;
+	let index = start + 1;
+	while (index < chars.length) {
+		const char = chars[index];
+		if (!/^[\x00-\x7F]$/.test(char)) {
+			throw patternError(input, `non-ASCII character '${char}' in regexp group`, offsets[index]);
+		}
+		if (index === start + 1 && char === '?') {
+			throw patternError(input, 'regexp group cannot start with \'?\'', offsets[index]);
+		}
+		if (char === '\\') {
+			if (index === chars.length - 1 || !/^[\x00-\x7F]$/.test(chars[index + 1])) {
+				throw patternError(input, 'invalid escape in regexp group', offsets[index]);
+			}
+			index += 2;
+			continue;
+		}
+		if (char === ')') {
+			depth--;
+			if (depth === 0) {
+				if (index === start + 1) {
+					throw patternError(input, 'empty regexp group', offsets[start]);
+				}
+				return index + 1;
+			}
+		} else if (char === '(') {
+			depth++;
+			if (chars[index + 1] !== '?') {
+				throw patternError(input, 'capturing groups are not allowed inside a regexp group, use (?:...)', offsets[index]);
+			}
+		}
+		index++;
+	}
+	throw patternError(input, 'unbalanced regexp group', offsets[start]);
+}
+
+/**
+ * Parse a component pattern into a list of parts
+ * Each part is `{ type, value, modifier, name, prefix, suffix }` where `type` is `fixed`, `regexp`,
+ * `segment-wildcard` or `full-wildcard` and `modifier` is `none`, `optional`, `zero-or-more` or `one-or-more`.
+ * Unnamed regexp and wildcard groups are named "0", "1"... in order of appearance.
+ * @param {string} input - The component pattern
+ * @param {Object} [options] - Component pattern options
+ * @param {string} [options.delimiter=''] - Character that ends a segment wildcard (`/` for pathnames)
+ * @param {string} [options.prefix=''] - Character directly before a group that becomes its prefix
+ * @param {Function} [options.encodePart] - Canonicalizes fixed text, prefixes and suffixes
+ * @returns {Array<Object>} The parts
+ */
+export function parsePattern(input, options = DEFAULT_OPTIONS) {
+	const { delimiter = '', prefix: prefixChar = '', encodePart = value => value } = options;
+	const wildcard = segmentWildcard({ delimiter });
+	const tokens = tokenize(input);
+	const parts = [];
+	const names = new Set();
+	let pending = '';
+	let index = 0;
+	let nextNumericName = 0;
+
+	const tryConsume = type => {
+		if (tokens[index].type !== type) {
+			return null;
+		}
+		return tokens[index++];
+	};
+	// After a name, `*` is a modifier (`:path*`) rather than a wildcard
+	const tryConsumeRegexpOrWildcard = nameToken => tryConsume('regexp') || (nameToken ? null : tryConsume('asterisk'));
+	const tryConsumeModifier = () => tryConsume('other-modifier') || tryConsume('asterisk');
+	const consumeRequired = type => {
+		const token = tryConsume(type);
+		if (!token) {
+			const actual = tokens[index];
+			throw patternError(input, `expected ${type} token but found ${actual.type === 'end' ? 'end of pattern' : `'${actual.value}'`}`, actual.index);
+		}
+		return token;
+	};
+	const consumeText = () => {
+		let text = '';
+		let token;
+		while ((token = tryConsume('char') || tryConsume('escaped-char'))) {
+			text += token.value;
+		}
+		return text;
+	};
+	const flushPending = () => {
+		if (pending === '') {
+			return;
+		}
+		parts.push({ type: 'fixed', value: encodePart(pending), modifier: 'none', name: '', prefix: '', suffix: '' });
+		pending = '';
+	};
+	const addPart = (prefix, nameToken, regexpToken, suffix, modifierToken) => {
+		const modifier = modifierToken ? MODIFIERS[modifierToken.value] : 'none';
+		if (!nameToken && !regexpToken && modifier === 'none') {
+			// `{abc}` without modifier is plain text
+			pending += prefix;
+			return;
+		}
+		flushPending();
+		if (!nameToken && !regexpToken) {
+			if (prefix !== '') {
+				parts.push({ type: 'fixed', value: encodePart(prefix), modifier, name: '', prefix: '', suffix: '' });
+			}
+			return;
+		}
+
+		let regexValue = !regexpToken ? wildcard : regexpToken.type === 'asterisk' ? FULL_WILDCARD : regexpToken.value;
+		let type = 'regexp';
+		if (regexValue === wildcard) {
+			type = 'segment-wildcard';
+			regexValue = '';
+		} else if (regexValue === FULL_WILDCARD) {
+			type = 'full-wildcard';
+			regexValue = '';
+		}
+
+		const name = nameToken ? nameToken.value : String(nextNumericName++);
+		if (names.has(name)) {
+			throw patternError(input, `duplicate group name '${name}'`, (nameToken || regexpToken).index);
+		}
+		names.add(name);
+		parts.push({ type, value: regexValue, modifier, name, prefix: encodePart(prefix), suffix: encodePart(suffix) });
+	};
+
+	while (index < tokens.length) {
+		const charToken = tryConsume('char');
+		const nameToken = tryConsume('name');
+		const regexpToken = tryConsumeRegexpOrWildcard(nameToken);
+		if (nameToken || regexpToken) {
+			let prefix = charToken ? charToken.value : '';
+			// Only the prefix character (`/` in pathnames) is attached to the group, anything else is fixed text
+			if (prefix !== '' && prefix !== prefixChar) {
+				pending += prefix;
+				prefix = '';
+			}
+			flushPending();
+			addPart(prefix, nameToken, regexpToken, '', tryConsumeModifier());
+			continue;
+		}
+
+		const fixedToken = charToken || tryConsume('escaped-char');
+		if (fixedToken) {
+			pending += fixedToken.value;
+			continue;
+		}
+
+		if (tryConsume('open')) {
+			const prefix = consumeText();
+			const groupName = tryConsume('name');
+			const groupRegexp = tryConsumeRegexpOrWildcard(groupName);
+			const suffix = consumeText();
+			consumeRequired('close');
+			addPart(prefix, groupName, groupRegexp, suffix, tryConsumeModifier());
+			continue;
+		}
+
+		flushPending();
+		consumeRequired('end');
+	}
+
+	return parts;
+}
+
+/**
+ * Regex source suffix for a modifier
+ * @param {string} modifier - The part modifier
+ * @returns {string} `?`, `*`, `+` or an empty string
+ * @private
+ */
+function modifierString(modifier) {
+	return { optional: '?', 'zero-or-more': '*', 'one-or-more': '+' }[modifier] || '';
+}
+
+/**
+ * Compile a list of parts into an anchored regex source and the ordered group names
+ * @param {Array<Object>} parts - Parts returned by parsePattern
+ * @param {Object} [options] - Component pattern options
+ * @param {string} [options.delimiter=''] - Segment delimiter used by segment wildcards
+ * @returns {{source: string, names: Array<string>}} Regex source (without flags) and group names
+ */
+export function generateRegex(parts, options = DEFAULT_OPTIONS) {
+	const wildcard = segmentWildcard({ delimiter: options.delimiter || '' });
+	const names = [];
+	let source = '^';
+
+	for (const part of parts) {
+		const modifier = modifierString(part.modifier);
+		if (part.type === 'fixed') {
+			source += part.modifier === 'none'
+				? escapeRegexString(part.value)
+				: `(?:${escapeRegexString(part.value)})${modifier}`;
+			continue;
+		}
+
+		names.push(part.name);
+		const value = part.type === 'segment-wildcard' ? wildcard : part.type === 'full-wildcard' ? FULL_WILDCARD : part.value;
+		const repeated = part.modifier === 'zero-or-more' || part.modifier === 'one-or-more';
+
+		if (part.prefix === '' && part.suffix === '') {
+			source += repeated ? `((?:${value})${modifier})` : `(${value})${modifier}`;
+			continue;
+		}
+
+		const prefix = escapeRegexString(part.prefix);
+		const suffix = escapeRegexString(part.suffix);
+		if (!repeated) {
+			source += `(?:${prefix}(${value})${suffix})${modifier}`;
+			continue;
+		}
+		// Repeated groups capture every repetition as one string, e.g. `/:path+` captures "a/b/c"
+		source += `(?:${prefix}((?:${value})(?:${suffix}${prefix}(?:${value}))*)${suffix})`;
+		if (part.modifier === 'zero-or-more') {
+			source += '?';
+		}
+	}
+
+	return { source: `${source}$`, names };
+}
+
+/**
+ * Escape pattern syntax characters so a string is read as fixed text
+ * @param {string} value - The string to escape
+ * @returns {string} The escaped pattern text
+ */
+export function escapePatternString(value) {
+	return value.replace(/[+*?:{}()\\]/g, '\\$&');
+}
+
+/**
+ * Write a single part back as pattern text, e.g. `/:id(\d+)` or `{/posts}?`
+ * @param {Object} part - A part returned by parsePattern
+ * @param {Object} [options] - Component pattern options
+ * @returns {string} The pattern text of the part
+ */
+export function partToPattern(part, options = DEFAULT_OPTIONS) {
+	const modifier = modifierString(part.modifier);
+	if (part.type === 'fixed') {
+		const text = escapePatternString(part.value);
+		return part.modifier === 'none' ? text : `{${text}}${modifier}`;
+	}
+
+	const named = !/^\d+$/.test(part.name);
+	let body = named ? `:${part.name}` : '';
+	if (part.type === 'regexp') {
+		body += `(${part.value})`;
+	} else if (part.type === 'full-wildcard') {
+		body += named ? `(${FULL_WILDCARD})` : '*';
+	} else if (!named) {
+		body += `(${segmentWildcard(options)})`;
+	}
+
+	if (part.suffix === '' && (part.prefix === '' || part.prefix === options.prefix)) {
+		return `${part.prefix}${body}${modifier}`;
+	}
+	return `{${escapePatternString(part.prefix)}${body}${escapePatternString(part.suffix)}}${modifier}`;
+}
+
+/**
+ * Write a part list back as a normalized pattern string, like the component getters of the native API
+ * Follows the "generate a pattern string" steps of the URLPattern spec: a group is only wrapped in braces when
+ * its prefix, suffix or the text after it would otherwise be read differently, e.g. `{:a}b` but `/:a/b`.
+ * @param {Array<Object>} parts - Parts returned by parsePattern
+ * @param {Object} [options] - Component pattern options
+ * @returns {string} The pattern string
+ */
+export function generatePatternString(parts, options = DEFAULT_OPTIONS) {
+	let result = '';
+	parts.forEach((part, index) => {
+		const previous = parts[index - 1];
+		const next = parts[index + 1];
+		const modifier = modifierString(part.modifier);
+		if (part.type === 'fixed') {
+			result += part.modifier === 'none' ? escapePatternString(part.value) : `{${escapePatternString(part.value)}}${modifier}`;
+			return;
+		}
+
+		const named = !/^\d/.test(part.name);
+		let grouped = part.suffix !== '' || (part.prefix !== '' && part.prefix !== options.prefix);
+		// `:a` followed by text that could continue the name, or by an unnamed group, needs braces to end the name
+		if (!grouped && named && part.type === 'segment-wildcard' && part.modifier === 'none'
+			&& next && next.prefix === '' && next.suffix === '') {
+			grouped = next.type === 'fixed' ? next.value !== '' && isNameCodePoint([...next.value][0], false) : /^\d/.test(next.name);
+		}
+		// Without braces, a prefix-less group after fixed text ending in the prefix would take that text as its prefix
+		if (!grouped && part.prefix === '' && previous?.type === 'fixed' && options.prefix !== '' && previous.value.endsWith(options.prefix)) {
+			grouped = true;
+		}
+
+		let text = escapePatternString(part.prefix);
+		if (named) {
+			text += `:${part.name}`;
+		}
+		if (part.type === 'regexp') {
+			text += `(${part.value})`;
+		} else if (part.type === 'segment-wildcard' && !named) {
+			text += `(${segmentWildcard(options)})`;
+		} else if (part.type === 'full-wildcard') {
+			const bare = !named && (!previous || previous.type === 'fixed' || previous.modifier !== 'none' || grouped || part.prefix !== '');
+			text += bare ? '*' : `(${FULL_WILDCARD})`;
+		}
+		// A suffix starting with a name character would otherwise be read as part of the name
+		if (part.type === 'segment-wildcard' && named && part.suffix !== '' && isNameCodePoint([...part.suffix][0], false)) {
+			text += '\\';
+		}
+		text += escapePatternString(part.suffix);
+		result += (grouped ? `{${text}}` : text) + modifier;
+	});
+	return result;
+}
+
+// Specificity of part types and modifiers, higher is more specific
+const TYPE_RANKS = { 'full-wildcard': 0, 'segment-wildcard': 1, regexp: 2, fixed: 3 };
+const MODIFIER_RANKS = { 'zero-or-more': 0, optional: 1, 'one-or-more': 2, none: 3 };
+
+/**
+ * Compare two parts by type, modifier, prefix, value and suffix
+ * @param {Object} left - A part
+ * @param {Object} right - A part
+ * @returns {number} -1, 0 or 1
+ * @private
+ */
+function comparePart(left, right) {
+	const keys = [
+		[TYPE_RANKS[left.type], TYPE_RANKS[right.type]],
+		[MODIFIER_RANKS[left.modifier], MODIFIER_RANKS[right.modifier]],
+		[left.prefix, right.prefix],
+		[left.value, right.value],
+		[left.suffix, right.suffix]
+	];
+	for (const [a, b] of keys) {
+		if (a !== b) {
+			return a < b ? -1 : 1;
+		}
+	}
+	return 0;
+}
+
+/**
+ * Order two part lists by specificity, like the native `URLPattern.compareComponent`
+ * Fixed text ranks above regexp groups, which rank above segment wildcards (`:id`) and then full wildcards (`*`).
+ * An empty pattern ranks like a bare `*`.
+ * @param {Array<Object>} left - Parts of the first pattern
+ * @param {Array<Object>} right - Parts of the second pattern
+ * @returns {number} -1 if `left` is less specific, 1 if it is more specific, 0 if they are equal
+ */
+export function comparePartLists(left, right) {
+	const wildcard = [{ type: 'full-wildcard', value: '', modifier: 'none', name: '', prefix: '', suffix: '' }];
+	const empty = { type: 'fixed', value: '', modifier: 'none', name: '', prefix: '', suffix: '' };
+	if (left.length === 0 && right.length === 0) {
+		return 0;
+	}
+	left = left.length === 0 ? wildcard : left;
+	right = right.length === 0 ? wildcard : right;
+
+	const length = Math.min(left.length, right.length);
+	for (let index = 0; index < length; index++) {
+		const result = comparePart(left[index], right[index]);
+		if (result !== 0) {
+			return result;
+		}
+	}
+	if (left.length === right.length) {
+		return 0;
+	}
+	// The longer list continues with a part that is compared against empty fixed text
+	return comparePart(left[length] || empty, right[length] || empty);
+}
+
+/**
+ * Schemes whose URLs have a host and a hierarchical `/` pathname
+ * @type {Array<string>}
+ */
+export const SPECIAL_SCHEMES = Object.freeze(['ftp', 'file', 'http', 'https', 'ws', 'wss']);
+
+/**
+ * Check whether a protocol pattern can match one of the special schemes
+ * @param {string} protocol - Protocol component pattern, e.g. `http{s}?` or `*`
+ * @returns {boolean} True if some special scheme matches
+ */
+export function matchesSpecialScheme(protocol) {
+	const options = { ...DEFAULT_OPTIONS, encodePart: value => value.toLowerCase() };
+	const regex = new RegExp(generateRegex(parsePattern(protocol, options), options).source, 'u');
+	return SPECIAL_SCHEMES.some(scheme => regex.test(scheme));
+}
+
+/**
+ * Split a full pattern string such as `https://*.example.com/users/:id?tab=*` into component patterns
+ * Follows the constructor string parser of the URLPattern spec, so pattern syntax in any component is preserved.
+ * Components that do not appear in the string are left out of the result.
+ * @param {string} input - The pattern string
+ * @returns {Object} Component patterns keyed by protocol, username, password, hostname, port, pathname, search, hash
+ */
+export function parseConstructorString(input) {
+	const tokens = tokenize(input, { lenient: true });
+	const result = {};
+	let state = 'init';
+	let componentStart = 0;
+	let index = 0;
+	let increment = 1;
+	let groupDepth = 0;
+	let ipv6Depth = 0;
+	let specialScheme = false;
+
+	const tokenAt = position => tokens[Math.min(position, tokens.length - 1)];
+	// Pattern characters only delimit components when they are plain text, not part of a group or regexp
+	const isChar = (position, value) => {
+		const token = tokenAt(position);
+		return token.value === value && ['char', 'escaped-char', 'invalid-char'].includes(token.type);
+	};
+	const isSearchPrefix = () => {
+		if (isChar(index, '?')) {
+			return true;
+		}
+		if (tokens[index].value !== '?') {
+			return false;
+		}
+		// A `?` modifier after a group (`:id?`) is not the start of the search
+		return index === 0 || !['name', 'regexp', 'close', 'asterisk'].includes(tokenAt(index - 1).type);
+	};
+	const isHashPrefix = () => isChar(index, '#');
+	const isPathnameStart = () => isChar(index, '/');
+	const componentString = () => input.substring(tokenAt(componentStart).index, tokens[index].index);
+	const rewind = () => {
+		index = componentStart;
+		increment = 0;
+	};
+	const changeState = (next, skip) => {
+		if (!['init', 'authority', 'done'].includes(state)) {
+			result[state] = componentString();
+		}
+		if (state !== 'init' && next !== 'done') {
+			const beforeHostname = ['protocol', 'authority', 'username', 'password'].includes(state);
+			const beforePathname = beforeHostname || state === 'hostname' || state === 'port';
+			if (beforeHostname && ['port', 'pathname', 'search', 'hash'].includes(next) && result.hostname === undefined) {
+				result.hostname = '';
+			}
+			if (beforePathname && ['search', 'hash'].includes(next) && result.pathname === undefined) {
+				result.pathname = specialScheme ? '/' : '';
+			}
+			if ((beforePathname || state === 'pathname') && next === 'hash' && result.search === undefined) {
+				result.search = '';
+			}
+		}
+		state = next;
+		index += skip;
+		componentStart = index;
+		increment = 0;
+	};
+
+	while (index < tokens.length) {
+		increment = 1;
+		if (tokens[index].type === 'end') {
+			if (state === 'init') {
+				// No protocol: the whole string is a relative pattern
+				rewind();
+				if (isHashPrefix()) {
+					changeState('hash', 1);
+				} else if (isSearchPrefix()) {
+					changeState('search', 1);
+				} else {
+					changeState('pathname', 0);
+				}
+				index += increment;
+				continue;
+			}
+			if (state === 'authority') {
+				rewind();
+				state = 'hostname';
+				index += increment;
+				continue;
+			}
+			changeState('done', 0);
+			break;
+		}
+
+		if (groupDepth > 0) {
+			if (tokens[index].type === 'close') {
+				groupDepth--;
+			} else {
+				index += increment;
+				continue;
+			}
+		}
+		if (tokens[index].type === 'open') {
+			groupDepth++;
+			index += increment;
+			continue;
+		}
+
+		switch (state) {
+			case 'init':
+				if (isChar(index, ':')) {
+					rewind();
+					state = 'protocol';
+				}
+				break;
+			case 'protocol':
+				if (isChar(index, ':')) {
+					specialScheme = matchesSpecialScheme(componentString());
+					if (isChar(index + 1, '/') && isChar(index + 2, '/')) {
+						changeState('authority', 3);
+					} else {
+						changeState(specialScheme ? 'authority' : 'pathname', 1);
+					}
+				}
+				break;
+			case 'authority':
+				if (isChar(index, '@')) {
+					rewind();
+					state = 'username';
+				} else if (isPathnameStart() || isSearchPrefix() || isHashPrefix()) {
+					rewind();
+					state = 'hostname';
+				}
+				break;
+			case 'username':
+				if (isChar(index, ':')) {
+					changeState('password', 1);
+				} else if (isChar(index, '@')) {
+					changeState('hostname', 1);
+				}
+				break;
+			case 'password':
+				if (isChar(index, '@')) {
+					changeState('hostname', 1);
+				}
+				break;
+			case 'hostname':
+				if (isChar(index, '[')) {
+					ipv6Depth++;
+				} else if (isChar(index, ']')) {
+					ipv6Depth--;
+				} else if (isChar(index, ':') && ipv6Depth === 0) {
+					changeState('port', 1);
+				} else if (isPathnameStart()) {
+					changeState('pathname', 0);
+				} else if (isSearchPrefix()) {
+					changeState('search', 1);
+				} else if (isHashPrefix()) {
+					changeState('hash', 1);
+				}
+				break;
+			case 'port':
+				if (isPathnameStart()) {
+					changeState('pathname', 0);
+				} else if (isSearchPrefix()) {
+					changeState('search', 1);
+				} else if (isHashPrefix()) {
+					changeState('hash', 1);
+				}
+				break;
+			case 'pathname':
+				if (isSearchPrefix()) {
+					changeState('search', 1);
+				} else if (isHashPrefix()) {
+					changeState('hash', 1);
+				}
+				break;
+			case 'search':
+				if (isHashPrefix()) {
+					changeState('hash', 1);
+				}
+				break;
+		}
+		index += increment;
+	}
+
+	if (result.hostname !== undefined && result.port === undefined) {
+		result.port = '';
+	}
+	return result;
+}
@@ -0,0 +1,331 @@
+/**
+ * URLRouter - A route table built on URLPattern
+ * Routes are ranked by specificity like the native URLPattern.compareComponent and indexed in a segment tree
+ * keyed by the static leading segments of their pathname, so a lookup only tests the routes that can match.
+ */
+
+import URLPattern, { ParamError } from '../URLPattern/index.js';
+
+class URLRouter {
+	/**
+	 * Components compared when ranking routes, most significant first
+	 * @type {Array<string>}
+	 */
+	static RANKED_COMPONENTS = ['pathname', 'hostname', 'protocol', 'port', 'search', 'hash', 'username', 'password'];
+
+	/**
+	 * Creates a new URLRouter instance
+	 * @param {Object} [options] - Router options
+	 * @param {string} [options.baseURL] - Base URL for string patterns and relative URLs passed to match()
+	 * @param {Object} [options.logger] - Logger given to the patterns the router creates, see URLPattern
+	 * @param {boolean} [options.ignoreCase] - Matching options given to the patterns the router creates,
+	 * likewise `strictTrailingSlash`, `decodeGroups` and `normalizeUnicode`, see URLPattern
+	 */
+	constructor(options = {}) {
+		const { baseURL, logger, ignoreCase, strictTrailingSlash, decodeGroups, normalizeUnicode } = options;
+		this.baseURL = baseURL;
+		this.logger = logger;
+		this.patternOptions = { logger, ignoreCase, strictTrailingSlash, decodeGroups, normalizeUnicode };
+		this.routes = [];
+		this._names = new Map();
+		this._tree = this._createNode();
+		this._ranked = true;
+	}
+
+	/**
+	 * Register a route
+	 * @param {string|Object|URLPattern} pattern - Pattern string, pattern object or URLPattern instance
+	 * @param {Object} [options] - Route options
+	 * @param {string|Array<string>} [options.method='*'] - HTTP method(s) of the route, '*' matches any method
+	 * @param {Function} [options.handler] - Handler returned with the match
+	 * @param {*} [options.meta] - Any metadata returned with the match
+	 * @param {number} [options.priority=0] - Routes with a higher priority are tried first, before specificity
+	 * @param {string} [options.name] - Unique route name
+	 * @param {Object} [options.params] - Parameter types of a pattern string or object, see URLPattern
+	 * @returns {Object} The registered route
+	 */
+	add(pattern, options = {}) {
+		const { method = '*', handler, meta, priority = 0, name, params } = options;
+		if (name !== undefined && this._names.has(name)) {
+			throw new Error(`Duplicate route name: ${name}`);
+		}
+
+		const methods = [].concat(method).map(value => String(value).toUpperCase());
+		const route = {
+			name,
+			pattern: pattern instanceof URLPattern ? pattern : new URLPattern(pattern, this.baseURL, { ...this.patternOptions, params }),
+			methods: methods.includes('*') ? null : methods,
+			handler,
+			meta,
+			priority,
+			order: this.routes.length
+		};
+
+		this.routes.push(route);
+		if (name !== undefined) {
+			this._names.set(name, route);
+		}
+		this._insert(route);
+		this._ranked = false;
+		return route;
+	}
+
+	/**
+	 * Find the most specific route matching a URL and method
+	 * @param {string|URL|Object} input - URL to match
+	 * @param {string} [method] - HTTP method, any route method matches when omitted
+	 * @returns {Object|null} `{ route, groups, result }` with the pathname groups and the full exec result, or null.
+	 *   A route whose typed parameter does not convert does not match, see explain() for the reason.
+	 */
+	match(input, method) {
+		const url = URLPattern.normalizeURL(input, this.baseURL);
+		for (const route of this._candidates(url.pathname)) {
+			const match = this._matchRoute(route, input, url, method);
+			if (match) {
+				return match;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Find every route matching a URL, most specific first
+	 * @param {string|URL|Object} input - URL to match
+	 * @param {string} [method] - HTTP method, any route method matches when omitted
+	 * @returns {Array<Object>} `{ route, groups, result }` for every matching route
+	 */
+	matchAll(input, method) {
+		const url = URLPattern.normalizeURL(input, this.baseURL);
+		const matches = [];
+		for (const route of this._candidates(url.pathname)) {
+			const match = this._matchRoute(route, input, url, method);
+			if (match) {
+				matches.push(match);
+			}
+		}
+		return matches;
+	}
+
+	/**
+	 * Explain how a URL fares against the routes that can match it, in the order match() tries them
+	 * A route whose typed parameter does not convert reports the error in its pattern report, see URLPattern#explain.
+	 * @param {string|URL|Object} input - URL to explain
+	 * @param {string} [method] - HTTP method, any route method matches when omitted
+	 * @returns {{input: string, route: Object|null, routes: Array<Object>}} The route match() returns and,
+	 *   for every candidate route, `{ route, method, report }` with whether the method fits and the pattern report
+	 */
+	explain(input, method) {
+		const url = URLPattern.normalizeURL(input, this.baseURL);
+		const routes = this._candidates(url.pathname).map(route => ({
+			route,
+			method: this._methodMatches(route, method),
+			report: route.pattern.explain(url)
+		}));
+		const matched = routes.find(entry => entry.method && entry.report.matched);
+		return {
+			input: typeof input === 'string' ? input : url.toString(),
+			route: matched ? matched.route : null,
+			routes
+		};
+	}
+
+	/**
+	 * Generate a URL for a named route
+	 * @param {string} name - Route name given to add()
+	 * @param {Object} [params] - Parameter values, see URLPattern#generate
+	 * @returns {string} The generated URL
+	 * @throws {Error} If no route has that name
+	 */
+	generate(name, params = {}) {
+		const route = this._names.get(name);
+		if (!route) {
+			throw new Error(`Unknown route name: ${name}`);
+		}
+		return route.pattern.generate(params);
+	}
+
+	/**
+	 * Match one route against a normalized URL
+	 * @param {Object} route - The route
+	 * @param {string|URL|Object} input - URL as given by the caller
+	 * @param {URL} url - Normalized URL
+	 * @param {string} [method] - HTTP method
+	 * @returns {Object|null} The match or null
+	 * @private
+	 */
+	_matchRoute(route, input, url, method) {
+		if (!this._methodMatches(route, method)) {
+			return null;
+		}
+		let result;
+		try {
+			result = route.pattern.exec(url);
+		} catch (error) {
+			// A typed parameter that does not convert rules out this route only, like URLPattern#test
+			if (error instanceof ParamError) {
+				return null;
+			}
+			throw error;
+		}
+		if (!result) {
+			return null;
+		}
+		result.inputs = [input];
+		if (typeof input === 'string') {
+			result.input = input;
+		}
+		return { route, groups: result.pathname.groups, result };
+	}
+
+	/**
+	 * Whether a route accepts a method
+	 * @param {Object} route - The route
+	 * @param {string} [method] - HTTP method, any route method matches when omitted
+	 * @returns {boolean}
+	 * @private
+	 */
+	_methodMatches(route, method) {
+		return method === undefined || !route.methods || route.methods.includes(method.toUpperCase());
+	}
+
+	/**
+	 * Create an empty segment tree node
+	 * Case-insensitive routes are stored under lowercased segments in `folded`.
+	 * @returns {{children: Map, folded: Map, routes: Array<Object>}} The node
+	 * @private
+	 */
+	_createNode() {
+		return { children: new Map(), folded: new Map(), routes: [] };
+	}
+
+	/**
+	 * Add a route to the segment tree under its static leading segments
+	 * @param {Object} route - The route
+	 * @private
+	 */
+	_insert(route) {
+		const { regex } = route.pattern.components.pathname;
+		const ignoreCase = regex.flags.includes('i');
+		let node = this._tree;
+		for (const segment of this._staticSegments(route.pattern)) {
+			const children = ignoreCase ? node.folded : node.children;
+			const key = ignoreCase ? segment.toLowerCase() : segment;
+			if (!children.has(key)) {
+				children.set(key, this._createNode());
+			}
+			node = children.get(key);
+		}
+		node.routes.push(route);
+	}
+
+	/**
+	 * Leading pathname segments that every URL matching the pattern must have, e.g. ['users'] for '/users/:id'
+	 * @param {URLPattern} pattern - The pattern
+	 * @returns {Array<string>} The static segments
+	 * @private
+	 */
+	_staticSegments(pattern) {
+		const { parts } = pattern.components.pathname;
+		let text = '';
+		let index = 0;
+		while (index < parts.length && parts[index].type === 'fixed' && parts[index].modifier === 'none') {
+			text += parts[index++].value;
+		}
+		if (!text.startsWith('/')) {
+			return [];
+		}
+		// Without a strict trailing slash '/users/' also matches '/users', so the empty last segment is not required
+		if (!pattern.options.strictTrailingSlash && index === parts.length && text.endsWith('/')) {
+			text = text.slice(0, -1);
+		}
+
+		// The last segment is only complete if whatever follows it starts a new segment,
+		// e.g. '/users' in '/users/:id' but not '/test' in '/test:id' or '/foo' in '/foo{/bar}?baz'
+		const segments = text.split('/').slice(1);
+		for (; index < parts.length; index++) {
+			const part = parts[index];
+			const start = part.type === 'fixed' ? part.value : part.prefix;
+			if (!start.startsWith('/')) {
+				segments.pop();
+				break;
+			}
+			if (part.modifier === 'none' || part.modifier === 'one-or-more') {
+				break;
+			}
+		}
+		return segments;
+	}
+
+	/**
+	 * Routes whose static segments are a prefix of the pathname, in rank order
+	 * @param {string} pathname - Normalized pathname of the URL
+	 * @returns {Array<Object>} Candidate routes
+	 * @private
+	 */
+	_candidates(pathname) {
+		this._rank();
+		const candidates = new Set(this._tree.routes);
+		// Routes normalizing Unicode compare the pathname in NFC form, so walk that spelling too
+		const spellings = new Set([pathname, URLPattern.normalizeEncoded(pathname)]);
+		for (const spelling of spellings) {
+			let nodes = [this._tree];
+			const segments = spelling.startsWith('/') ? spelling.split('/').slice(1) : [];
+			for (let index = 0; index < segments.length && nodes.length > 0; index++) {
+				const segment = segments[index];
+				const next = [];
+				for (const node of nodes) {
+					const exact = node.children.get(segment);
+					const folded = node.folded.get(segment.toLowerCase());
+					for (const child of [exact, folded]) {
+						if (child) {
+							next.push(child);
+							child.routes.forEach(route => candidates.add(route));
+						}
+					}
+				}
+				nodes = next;
+			}
+		}
+		return [...candidates].sort((left, right) => left.rank - right.rank);
+	}
+
+	/**
+	 * Recompute the rank of every route after routes were added
+	 * @private
+	 */
+	_rank() {
+		if (this._ranked) {
+			return;
+		}
+		[...this.routes].sort(URLRouter.compareRoutes).forEach((route, rank) => {
+			route.rank = rank;
+		});
+		this._ranked = true;
+	}
+
+	/**
+	 * Order routes for matching: higher priority first, then more specific patterns
+	 * (compared component by component, pathname first), then routes with an explicit method,
+	 * then registration order
+	 * @param {Object} left - A route
+	 * @param {Object} right - A route
+	 * @returns {number} Negative if `left` is tried first
+	 */
+	static compareRoutes(left, right) {
+		if (left.priority !== right.priority) {
+			return right.priority - left.priority;
+		}
+		for (const component of URLRouter.RANKED_COMPONENTS) {
+			const result = URLPattern.compareComponent(component, right.pattern, left.pattern);
+			if (result !== 0) {
+				return result;
+			}
+		}
+		if (!left.methods !== !right.methods) {
+			return left.methods ? -1 : 1;
+		}
+		return left.order - right.order;
+	}
+}
+
+export default URLRouter;
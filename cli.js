@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * CLI - Dùng CalculatorService và URLPattern từ dòng lệnh
+ * Chạy: node cli.js --help
+ */
+
+import { createInterface } from 'node:readline';
+import CalculatorService from './CalculateService/index.js';
+import URLPattern from './URLPattern/index.js';
+
+const USAGE = `Usage:
+  node cli.js calc "<expression>"            e.g. calc "(1.5 + 2) * 3"
+  node cli.js calc <operation> <operands...> e.g. calc add 0.1 0.2, calc sum 1 2 3, calc convert 0xff
+  node cli.js url test <pattern> <url>       prints true/false, exits with 1 when the URL does not match
+  node cli.js url exec <pattern> <url>       prints the match groups of each component, or null
+  node cli.js url explain <pattern> <url>    prints a per-component report of why the URL does or does not match
+
+Options:
+  --precision <n>  round results to n decimal places
+  --bigint         exact arithmetic for big integers and decimals (no Number rounding)
+  --json           print one JSON object per result
+  --locale <tag>   locale for error messages, e.g. en-US (default vi-VN)
+  --batch          read newline-delimited inputs from stdin, one result per line:
+                     calc: each line is an expression or "<operation> <operands...>"
+                     url test|exec|explain <pattern>: each line is a URL
+                     url test|exec|explain: each line is "<pattern> <url>"
+  --help           show this help`;
+
+// Số toán hạng của các phép toán gọi được từ CLI, 'list' là phép thống kê nhận danh sách
+const OPERATIONS = {
+    add: 2, subtract: 2, multiply: 2, divide: 2, power: 2, mod: 2, divmod: 2,
+    gcd: 2, lcm: 2, modPow: 3, modInverse: 2, integerSqrt: 1, integerNthRoot: 2,
+    factorial: 1, binomial: 2, isProbablePrime: 1,
+    sqrt: 1, nthRoot: 2, exp: 1, ln: 1, log10: 1,
+    and: 2, or: 2, xor: 2, not: 1, shiftLeft: 2, shiftRight: 2, convert: 1,
+    sum: 'list', mean: 'list', median: 'list', mode: 'list', variance: 'list', stddev: 'list', min: 'list', max: 'list'
+};
+
+// Tùy chọn nhận giá trị đi kèm
+const VALUE_OPTIONS = new Set(['precision', 'locale']);
+
+/**
+ * Lỗi cách dùng CLI (thoát với mã 2)
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message - Mô tả lỗi
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Tách tham số dòng lệnh thành các đối số vị trí và tùy chọn
+ * Số âm như "-5" là đối số vị trí, chỉ "--" mở đầu một tùy chọn
+ * @param {Array<string>} argv
+ * @returns {{positional: Array<string>, options: Object}}
+ */
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (VALUE_OPTIONS.has(name)) {
+            const value = inline ?? argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`--${name} requires a value`);
+            }
+            options[name] = value;
+        } else if (['bigint', 'json', 'batch', 'help'].includes(name)) {
+            options[name] = true;
+        } else {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+    if (options.precision !== undefined) {
+        const precision = Number(options.precision);
+        if (!Number.isInteger(precision) || precision < 0) {
+            throw new UsageError(`--precision must be a non-negative integer: ${options.precision}`);
+        }
+        options.precision = precision;
+    }
+    return { positional, options };
+}
+
+/**
+ * Tạo hàm tính cho lệnh calc
+ * @param {Object} options - Tùy chọn dòng lệnh
+ * @returns {Function} input => kết quả
+ */
+function calcCommand(options) {
+    const calculator = new CalculatorService({
+        precision: options.precision,
+        decimal: options.bigint === true,
+        locale: options.locale
+    });
+    return input => {
+        const [operation, ...operands] = input.trim().split(/\s+/);
+        let result;
+        if (Object.prototype.hasOwnProperty.call(OPERATIONS, operation)) {
+            const arity = OPERATIONS[operation];
+            if (arity !== 'list' && operands.length !== arity) {
+                throw new UsageError(`${operation} takes ${arity} operand${arity > 1 ? 's' : ''}, got ${operands.length}`);
+            }
+            result = arity === 'list' ? calculator[operation](operands) : calculator[operation](...operands);
+        } else {
+            result = calculator.evaluate(input);
+        }
+        if (options.precision !== undefined && isRoundable(result)) {
+            result = calculator.round(result, options.precision);
+        }
+        return result;
+    };
+}
+
+/**
+ * Kết quả có làm tròn được không (bỏ qua boolean, chuỗi đổi cơ số và kết quả divmod)
+ * @param {any} result
+ * @returns {boolean}
+ */
+function isRoundable(result) {
+    return typeof result === 'number' || (typeof result === 'object' && result !== null && 'scale' in result);
+}
+
+/**
+ * Tạo hàm kiểm tra cho lệnh url test/exec/explain
+ * @param {string} action - 'test', 'exec' hoặc 'explain'
+ * @param {string} [pattern] - Mẫu cố định; không có thì mỗi đầu vào là "<pattern> <url>"
+ * @returns {Function} input => kết quả
+ */
+function urlCommand(action, pattern) {
+    if (!['test', 'exec', 'explain'].includes(action)) {
+        throw new UsageError(`Unknown url action: ${action ?? ''}`);
+    }
+    const compiled = pattern === undefined ? undefined : new URLPattern(pattern);
+    return input => {
+        let urlPattern = compiled;
+        let url = input.trim();
+        if (!urlPattern) {
+            const [source, target] = url.split(/\s+/);
+            if (target === undefined) {
+                throw new UsageError('Expected "<pattern> <url>"');
+            }
+            urlPattern = new URLPattern(source);
+            url = target;
+        }
+        if (action === 'test') {
+            return urlPattern.test(url);
+        }
+        if (action === 'explain') {
+            return urlPattern.explain(url);
+        }
+        const match = urlPattern.exec(url);
+        return match && matchGroups(urlPattern, match);
+    };
+}
+
+/**
+ * Groups của kết quả url exec theo từng thành phần, bỏ qua thành phần mẫu là '*' (khớp mọi giá trị)
+ * Ví dụ "https://:sub.example.com/*" cho {"hostname":{"sub":"api"},"pathname":{"0":"users/42"}}
+ * @param {URLPattern} urlPattern - Mẫu đã khớp
+ * @param {Object} match - Kết quả của exec()
+ * @returns {Object} Groups theo tên thành phần
+ */
+function matchGroups(urlPattern, match) {
+    const groups = {};
+    for (const component of URLPattern.COMPONENTS) {
+        if (urlPattern[component] !== '*' && Object.keys(match[component].groups).length > 0) {
+            groups[component] = match[component].groups;
+        }
+    }
+    return groups;
+}
+
+/**
+ * Định dạng một kết quả để in
+ * @param {string} input - Đầu vào
+ * @param {any} result - Kết quả
+ * @param {Object} options - Tùy chọn dòng lệnh
+ * @returns {string}
+ */
+function formatResult(input, result, options) {
+    if (options.json) {
+        return JSON.stringify({ input, result });
+    }
+    // Kết quả dạng object thuần (divmod, groups của url exec) in dưới dạng JSON
+    if (result !== null && typeof result === 'object' && Object.getPrototypeOf(result) === Object.prototype) {
+        return JSON.stringify(result);
+    }
+    return String(result);
+}
+
+/**
+ * Định dạng lỗi để in
+ * @param {string} input - Đầu vào gây lỗi
+ * @param {Error} error
+ * @param {Object} options - Tùy chọn dòng lệnh
+ * @returns {string}
+ */
+function formatError(input, error, options) {
+    if (options.json) {
+        const detail = typeof error.toJSON === 'function' ? error.toJSON() : { name: error.name, message: error.message };
+        return JSON.stringify({ input, error: detail });
+    }
+    return `error: ${error.message}`;
+}
+
+/**
+ * Chạy một đầu vào, in kết quả hoặc lỗi
+ * @param {Function} command - Hàm tính của lệnh
+ * @param {string} input - Đầu vào
+ * @param {Object} options - Tùy chọn dòng lệnh
+ * @param {boolean} testing - Lệnh url test: không khớp được tính là thất bại
+ * @returns {boolean} true nếu thành công
+ */
+function runOne(command, input, options, testing) {
+    try {
+        const result = command(input);
+        process.stdout.write(`${formatResult(input, result, options)}\n`);
+        return testing ? result === true : result !== null;
+    } catch (error) {
+        if (error instanceof UsageError && !options.batch) {
+            throw error;
+        }
+        printError(input, error, options);
+        return false;
+    }
+}
+
+/**
+ * In lỗi của một đầu vào (stdout khi --json để mỗi dòng vẫn là một JSON)
+ * @param {string} input - Đầu vào gây lỗi
+ * @param {Error} error
+ * @param {Object} options - Tùy chọn dòng lệnh
+ */
+function printError(input, error, options) {
+    const print = options.json ? process.stdout : process.stderr;
+    print.write(`${formatError(input, error, options)}\n`);
+}
+
+/**
+ * @param {Array<string>} argv - Tham số dòng lệnh (không gồm node và tên file)
+ * @returns {Promise<number>} Mã thoát: 0 thành công, 1 có đầu vào lỗi hoặc không khớp, 2 sai cách dùng
+ */
+async function main(argv) {
+    const { positional, options } = parseArguments(argv);
+    const [subcommand, ...rest] = positional;
+    if (options.help || subcommand === undefined) {
+        process.stdout.write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+
+    let command;
+    let inputs;
+    let testing = false;
+    if (subcommand === 'calc') {
+        command = calcCommand(options);
+        inputs = options.batch ? undefined : [rest.join(' ')];
+        if (!options.batch && rest.length === 0) {
+            throw new UsageError('calc needs an expression or an operation');
+        }
+    } else if (subcommand === 'url') {
+        const [action, pattern, url] = rest;
+        try {
+            command = urlCommand(action, pattern);
+        } catch (error) {
+            // Mẫu sai cú pháp là lỗi của đầu vào như trong runOne, không phải lỗi cách dùng
+            if (error instanceof UsageError) {
+                throw error;
+            }
+            printError(pattern, error, options);
+            return 1;
+        }
+        testing = action === 'test';
+        if (!options.batch) {
+            if (url === undefined) {
+                throw new UsageError(`url ${action} needs a pattern and a URL`);
+            }
+            inputs = [url];
+        }
+    } else {
+        throw new UsageError(`Unknown command: ${subcommand}`);
+    }
+
+    if (inputs) {
+        return runOne(command, inputs[0], options, testing) ? 0 : 1;
+    }
+    let failed = false;
+    const lines = createInterface({ input: process.stdin, crlfDelay: Infinity });
+    for await (const line of lines) {
+        // Bỏ qua dòng trống và dòng chú thích
+        if (line.trim() === '' || line.trimStart().startsWith('#')) {
+            continue;
+        }
+        failed = !runOne(command, line, options, testing) || failed;
+    }
+    return failed ? 1 : 0;
+}
+
+try {
+    process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+    if (!(error instanceof UsageError)) {
+        throw error;
+    }
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exitCode = 2;
+}
@@ -0,0 +1,181 @@
+/**
+ * Generate test/fixtures/urlpatterntestdata.json for test/urlpattern.wpt.test.js
+ * The cases are written here in the web-platform-tests format of urlpattern/resources/urlpatterntestdata.json
+ * and every expected value is recorded from urlpattern-polyfill, except that a trailing `\` is an error
+ * as the spec says (the polyfill accepts it).
+ *
+ * Usage: npm run testdata:urlpattern
+ */
+
+import { URLPattern } from 'urlpattern-polyfill/urlpattern';
+
+const COMPONENTS = ['protocol', 'username', 'password', 'hostname', 'port', 'pathname', 'search', 'hash'];
+
+// [pathname pattern, pathnames to match]
+const pathCases = [
+	['/foo/bar', ['/foo/bar', '/foo/ba', '/foo/bar/', '/foo/bar/baz']],
+	['/foo/:bar', ['/foo/bar', '/foo/index.html', '/foo/bar/', '/foo/']],
+	['/foo/(.*)', ['/foo/bar', '/foo/bar/baz', '/foo/', '/foo']],
+	['/foo/:bar(.*)', ['/foo/bar', '/foo/bar/baz', '/foo/', '/foo']],
+	['/foo/:bar?', ['/foo/bar', '/foo', '/foo/', '/foobar', '/foo/bar/baz']],
+	['/foo/:bar+', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/', '/foobar']],
+	['/foo/:bar*', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/', '/foobar']],
+	['/foo/(.*)?', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/', '/foobar']],
+	['/foo/(.*)+', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/', '/foobar']],
+	['/foo/(.*)*', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/', '/foobar', '/fo']],
+	['/foo/{:bar}', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/']],
+	['/foo/{:bar}?', ['/foo/bar', '/foo/', '/foo']],
+	['/foo{/:bar}?', ['/foo/bar', '/foo/', '/foo', '/foobar']],
+	['/foo{/:bar}+', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/']],
+	['/foo{/:bar}*', ['/foo/bar', '/foo/bar/baz', '/foo', '/foo/']],
+	['/foo/:bar(baz)?', ['/foo/baz', '/foo', '/foo/bar']],
+	['/foo{/bar}?', ['/foo/bar', '/foo', '/foo/', '/foobar']],
+	['/foo{/bar}+', ['/foo/bar', '/foo/bar/bar', '/foo']],
+	['/foo/*', ['/foo/bar', '/foo/', '/foo', '/foo/bar/baz']],
+	['/foo/*?', ['/foo/bar', '/foo/', '/foo']],
+	['/foo/*+', ['/foo/bar', '/foo/', '/foo']],
+	['/foo/*/*', ['/foo/a/b', '/foo/a', '/foo/a/b/c']],
+	['*', ['/foo', '/']],
+	['/(\\d+)', ['/123', '/abc']],
+	['/:id(\\d+)', ['/123', '/abc']],
+	['/:a/:b', ['/1/2', '/1']],
+	['/:café', ['/x']],
+	['/:℘', ['/x']],
+	['/:㐀', ['/x']],
+	['/foo\\?', ['/foo%3F', '/foo']],
+	['/foo\\:bar', ['/foo:bar']],
+	['/foo\\*', ['/foo*', '/foox']],
+	['/:foo\\bar', ['/abar', '/abcbar']],
+	['/foo/{bar}', ['/foo/bar']],
+	['/foo/{bar}baz', ['/foo/barbaz']],
+	['/foo/{bar}?baz', ['/foo/barbaz', '/foo/baz']],
+	['/foo{bar}', ['/foobar']],
+	['/{foo}?/bar', ['/foo/bar', '/bar']],
+	['/foo/:bar.html', ['/foo/x.html', '/foo/.html']],
+	['/foo/:bar(.+).html', ['/foo/x.html', '/foo/a/b.html']],
+	['/:a(?:x)', ['/x']],
+	['/foo/ bar', ['/foo/%20bar', '/foo/ bar']],
+	['/café', ['/café', '/caf%C3%A9']],
+	['/foo/../bar', ['/bar', '/foo/../bar']],
+	['/foo/./bar', ['/foo/bar']],
+	['/{foo}/:bar?/baz', ['/foo/baz', '/foo/x/baz']],
+	['/:name.:ext?', ['/a.b', '/a']],
+	['/foo{-:bar}?', ['/foo-x', '/foo']],
+	['/test:baz', ['/testx', '/test']],
+	['/(foo)(.*)', ['/foobar']],
+	['/{(foo)}(.*)', ['/foobar']],
+	['/:foo:bar', ['/ab']],
+	['/:foo(a)+/x', ['/a/a/x', '/a/x']],
+	['/foo/:bar/:bar', []],
+	['/foo/(', []],
+	['/foo/(.*', []],
+	['/foo/()', []],
+	['/foo/(?x)', []],
+	['/foo/((.))', []],
+	['/foo/(é)', []],
+	['/foo/:', []],
+	['/foo\\', []],
+	['/foo{', []],
+	['/foo{bar', []],
+	['/foo}', []],
+	['/foo/{:bar}}', []],
+	['/foo/{{:bar}}', []],
+	['/:0', []],
+	['/foo/:bar?+', []]
+];
+
+// [constructor arguments, exec arguments for each input]
+const urlCases = [
+	[[{ hostname: '*.example.com', search: 'tab=:tab', port: '80{80}?' }], [['http://api.example.com:8080/x?tab=info'], ['http://api.example.com:80/x?tab=info'], ['http://api.example.com:8081/?tab=a'], ['http://example.com:8080/?tab=a'], ['http://a.b.example.com:8080/?tab=']]],
+	[['https://*.example.com/users/:id(\\d+)'], [['https://api.example.com/users/12'], ['https://api.example.com/users/ab'], ['http://api.example.com/users/12'], ['https://example.com/users/1']]],
+	[['https://example.com/foo?bar#baz'], [['https://example.com/foo?bar#baz'], ['https://example.com/foo?bar'], ['https://example.com/foo#baz']]],
+	[['https://example.com:8080/foo'], [['https://example.com:8080/foo'], ['https://example.com/foo']]],
+	[['https://example.com:443/foo'], [['https://example.com/foo'], ['https://example.com:443/foo']]],
+	[['http{s}?://example.com/*'], [['http://example.com/a'], ['https://example.com/a/b'], ['ftp://example.com/a']]],
+	[['https://:sub.example.com/:path*'], [['https://a.example.com/'], ['https://a.example.com/x/y'], ['https://example.com/']]],
+	[['https://user::pass@example.com/'], [['https://bob:pw@example.com/'], ['https://example.com/']]],
+	[['https://example.com/search?q=:q&page=:page(\\d+)'], [['https://example.com/search?q=abc&page=2'], ['https://example.com/search?q=abc&page=x']]],
+	[['https://example.com/*#section-:n'], [['https://example.com/a#section-3'], ['https://example.com/a#other']]],
+	[['data\\:foo*'], [['data:foobar']]],
+	[['data:*'], [['data:text/plain,hi'], ['https://x.com/']]],
+	[['mailto\\::user@:host'], []],
+	[['https://[\\:\\:1]/'], [['https://[::1]/']]],
+	[['https://example.com/foo/:bar?'], [['https://example.com/foo'], ['https://example.com/foo/x']]],
+	[[{ pathname: '/foo', search: '' }], [['https://x.com/foo'], ['https://x.com/foo?a']]],
+	[[{ protocol: 'https:', hash: '#top' }], [['https://x.com/#top'], ['http://x.com/#top']]],
+	[[{ hostname: 'xn--caf-dma.com' }], [['https://café.com/']]],
+	[[{ hostname: 'café.com' }], [['https://café.com/'], ['https://xn--caf-dma.com/']]],
+	[[{ pathname: '/café' }], [['https://x.com/café']]],
+	[[{ port: '(\\d+)' }], [['https://x.com:81/'], ['https://x.com/']]],
+	[[{ hostname: 'example.com', pathname: '/users/:id' }], [['https://example.com/users/3']]],
+	[[{ search: '*' }], [['https://x.com/?a=1']]],
+	[[{ hostname: 'bad host' }], []],
+	[[{ port: 'abc' }], []],
+	[[{ protocol: 'ht tp' }], []],
+	[['https://example.com/foo/('], []],
+	// Components inherited from a base URL
+	[['/foo', 'https://example.com'], [['https://example.com/foo'], ['https://other.com/foo'], ['http://example.com/foo'], ['/foo', 'https://example.com']]],
+	[['foo', 'https://example.com/a/b'], [['https://example.com/a/foo'], ['https://example.com/foo']]],
+	[['?q=:q', 'https://example.com/a/b'], [['https://example.com/a/b?q=1'], ['https://example.com/c?q=1']]],
+	[['#:h', 'https://example.com/a/b?c'], [['https://example.com/a/b?c#x'], ['https://example.com/a/b?d#x']]],
+	[['/:id', 'https://example.com:8080'], [['https://example.com:8080/1'], ['https://example.com/1']]],
+	[['/:id', 'https://u:p@example.com/'], [['https://example.com/1'], ['https://v:q@example.com/1']]],
+	[['https://other.com/x', 'https://example.com/a'], [['https://other.com/x']]],
+	[['/foo', 'not a url'], []],
+	[['/foo'], []],
+	[[{ pathname: '/foo', baseURL: 'https://example.com' }], [['https://example.com/foo'], ['https://other.com/foo']]],
+	[[{ pathname: 'foo', baseURL: 'https://example.com/a/b' }], [['https://example.com/a/foo']]],
+	[[{ search: 'q', baseURL: 'https://example.com/a/b?x#y' }], [['https://example.com/a/b?q'], ['https://example.com/a/c?q']]],
+	[[{ hash: 'z', baseURL: 'https://example.com/a/b?x#y' }], [['https://example.com/a/b?x#z'], ['https://example.com/a/b?w#z']]],
+	[[{ hostname: 'x.com', baseURL: 'https://example.com/a?b' }], [['https://x.com/other?c'], ['http://x.com/']]],
+	[[{ port: '81', baseURL: 'https://example.com/a' }], [['https://example.com:81/zzz'], ['https://example.com/a']]],
+	[[{ baseURL: 'https://example.com/a/b?x#y' }], [['https://example.com/a/b?x#y'], ['https://example.com/a/b?x#z']]],
+	[[{ pathname: '/foo', baseURL: 'not a url' }], []]
+];
+
+/**
+ * Groups in the test data format, with `null` for an unmatched optional group
+ * @param {Object} groups - Groups returned by exec()
+ * @returns {Object} Serializable groups
+ */
+function serializeGroups(groups) {
+	return Object.fromEntries(Object.entries(groups).map(([name, value]) => [name, value ?? null]));
+}
+
+/**
+ * Record the polyfill's results for one pattern
+ * @param {Array} args - URLPattern constructor arguments
+ * @param {Array[]} inputs - exec() arguments for each input
+ * @param {string[]} components - Components compared for matches
+ * @returns {Object[]} Test data entries
+ */
+function record(args, inputs, components) {
+	let pattern;
+	try {
+		// A trailing backslash is a tokenizer error in the spec
+		if (args.some(arg => Object.values(typeof arg === 'object' ? arg : {}).some(value => value.endsWith('\\')))) {
+			throw new TypeError('Trailing backslash');
+		}
+		pattern = new URLPattern(...args);
+	} catch {
+		return [{ pattern: args, expected_obj: 'error' }];
+	}
+	const expectedObj = Object.fromEntries(COMPONENTS.map(component => [component, pattern[component]]));
+	if (inputs.length === 0) {
+		return [{ pattern: args, expected_obj: expectedObj }];
+	}
+	return inputs.map(input => {
+		const result = pattern.exec(...input);
+		const expectedMatch = result && Object.fromEntries(components.map(component => [component, {
+			input: result[component].input,
+			groups: serializeGroups(result[component].groups)
+		}]));
+		return { pattern: args, inputs: input, expected_obj: expectedObj, expected_match: expectedMatch };
+	});
+}
+
+const entries = [
+	...pathCases.flatMap(([pathname, inputs]) => record([{ pathname }], inputs.map(input => [{ pathname: input }]), ['pathname'])),
+	...urlCases.flatMap(([args, inputs]) => record(args, inputs, COMPONENTS))
+];
+process.stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
@@ -0,0 +1,407 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import CalculatorService from '../CalculateService/index.js';
+import Fraction from '../CalculateService/Fraction.js';
+import Money from '../CalculateService/Money.js';
+import Numeric from '../CalculateService/Numeric.js';
+import { DivisionByZeroError, InvalidOperandError, OverflowError } from '../CalculateService/errors.js';
+
+const calculator = new CalculatorService();
+
+describe('CalculatorService - chế độ tính', () => {
+    test('number: làm tròn theo độ chính xác mặc định', () => {
+        assert.equal(String(calculator.add(0.1, 0.2)), '0.3');
+        assert.equal(String(calculator.divide(1, 3)), '0.33');
+        assert.equal(calculator.modeOf('0.1', 2), 'number');
+    });
+
+    test('bigint: số nguyên lớn giữ đủ chữ số', () => {
+        assert.equal(String(calculator.multiply('12345678901234567890', '2')), '24691357802469135780');
+        assert.equal(calculator.modeOf('12345678901234567890', 1), 'bigint');
+    });
+
+    test('bigint: divide làm tròn như số nhỏ thay vì cắt về phần nguyên', () => {
+        assert.equal(String(calculator.divide('12345678901234567893', '2')), '6172839450617283946.5');
+        assert.equal(String(calculator.divide('12345678901234567893', '7')), '1763668414462081127.57');
+        assert.equal(String(calculator.divide('12345678901234567893', '7', { roundingMode: 'CEILING' })), '1763668414462081127.58');
+        assert.equal(String(calculator.divide('12345678901234567893', '2', { scale: 0, roundingMode: 'HALF_EVEN' })), '6172839450617283946');
+        assert.equal(String(calculator.divmod('12345678901234567893', '2').quotient), '6172839450617283946');
+    });
+
+    test('divmod cắt thương về 0, số dư cùng dấu với số bị chia', () => {
+        const results = [[-7, 2], [7, -2], [-7, -2]].map(([a, b]) => calculator.divmod(a, b)).map(({ quotient, remainder }) => [String(quotient), String(remainder)]);
+        assert.deepEqual(results, [['-3', '-1'], ['-3', '1'], ['3', '-1']]);
+        assert.equal(String(calculator.divmod('-12345678901234567891', 10).remainder), '-1');
+        assert.throws(() => calculator.divmod(7.5, 2), { code: 'INVALID_OPERAND' });
+    });
+
+    test('mod theo quy ước truncated, floored và euclidean', () => {
+        const modes = ['truncated', 'floored', 'euclidean'];
+        const table = [[-7, 2], [7, -2], [-7, -2]].map(([a, b]) => modes.map(mode => String(calculator.mod(a, b, { mode }))));
+        assert.deepEqual(table, [['-1', '1', '1'], ['1', '-1', '1'], ['-1', '-1', '1']]);
+        assert.equal(String(calculator.mod('-12345678901234567891', -10, { mode: 'euclidean' })), '9');
+        assert.throws(() => calculator.mod(1, 0), DivisionByZeroError);
+        assert.throws(() => calculator.mod(7, 2, { mode: 'x' }), { code: 'INVALID_OPTION' });
+    });
+
+    test('decimal: chia theo divisionScale', () => {
+        const decimal = new CalculatorService({ decimal: true });
+        assert.equal(String(decimal.divide(1, 3)), '0.33333333333333333333');
+        assert.equal(calculator.modeOf('0.1234567890123456789', 1), 'decimal');
+    });
+
+    test('fraction: giữ kết quả dạng phân số', () => {
+        assert.equal(String(calculator.add(new Fraction(1, 3), new Fraction(1, 6))), '1/2');
+    });
+
+    test('chia cho 0 ném DivisionByZeroError', () => {
+        assert.throws(() => calculator.divide(1, 0), error => {
+            assert.ok(error instanceof DivisionByZeroError);
+            assert.equal(error.code, 'DIVISION_BY_ZERO');
+            return true;
+        });
+    });
+});
+
+describe('CalculatorService - chế độ strict', () => {
+    const strict = new CalculatorService({ strict: true });
+
+    test('từ chối chuỗi không phải số, NaN, Infinity và kiểu không hỗ trợ', () => {
+        assert.throws(() => strict.add('abc', '1'), error => {
+            assert.ok(error instanceof InvalidOperandError);
+            assert.equal(error.code, 'INVALID_OPERAND');
+            assert.equal(error.operation, 'add');
+            assert.equal(error.operand, 'abc');
+            return true;
+        });
+        assert.throws(() => strict.add(NaN, 1), { code: 'INVALID_OPERAND', operand: NaN });
+        assert.throws(() => strict.multiply(Infinity, 1), { code: 'INVALID_OPERAND', operand: Infinity });
+        assert.throws(() => strict.add(null, 2), { code: 'INVALID_OPERAND', operand: null });
+        assert.equal(String(strict.add('0x10', '1')), '17');
+    });
+
+    test('báo MIXED_OPERAND_TYPES khi trộn chuỗi và Number', () => {
+        assert.throws(() => strict.add('1', 2), error => {
+            assert.ok(error instanceof InvalidOperandError);
+            assert.equal(error.code, 'MIXED_OPERAND_TYPES');
+            assert.deepEqual(error.operand, ['1', 2]);
+            return true;
+        });
+        assert.equal(String(strict.add(calculator.add(1, 1), '1')), '3');
+    });
+
+    test('thông báo lỗi bằng tiếng Việt và tiếng Anh', () => {
+        assert.throws(() => strict.add('abc', '1'), error => {
+            assert.equal(error.message, 'Không phải là số: "abc" (phép cộng)');
+            assert.equal(error.getMessage('en'), 'Not a number: "abc" (addition)');
+            return true;
+        });
+        const english = new CalculatorService({ strict: true, locale: 'en-US' });
+        assert.throws(() => english.add('1', 2), { message: 'Mixed operand types: "1", 2 (addition)' });
+        assert.throws(() => english.divide(1, 0), { message: 'Cannot divide by zero (division)' });
+    });
+});
+
+describe('Numeric', () => {
+    test('toNumber({ safe: true }) báo PRECISION_LOSS thay vì làm tròn', () => {
+        assert.equal(calculator.add(0.1, 0.2).toNumber({ safe: true }), 0.3);
+        const big = Numeric.from('12345678901234567891');
+        assert.equal(big.toNumber(), 12345678901234567000);
+        assert.throws(() => big.toNumber({ safe: true }), { code: 'PRECISION_LOSS' });
+        assert.throws(() => Numeric.from('1e400').toNumber({ safe: true }), OverflowError);
+    });
+
+    test('toBigInt chỉ nhận số nguyên', () => {
+        assert.equal(Numeric.from('12345678901234567891').toBigInt(), 12345678901234567891n);
+        assert.throws(() => Numeric.from('1.5').toBigInt(), InvalidOperandError);
+    });
+
+    test('toJSON giữ đủ chữ số, kể cả kết quả của power', () => {
+        assert.equal(JSON.stringify({ value: calculator.power(2, 100) }), '{"value":"1267650600228229401496703205376"}');
+        assert.equal(JSON.stringify(calculator.add('0.1', '0.2')), '"0.3"');
+    });
+
+    test('eq, lt, cmp so sánh chính xác và valueOf dùng được với toán tử', () => {
+        assert.equal(Numeric.from('1.50').eq('1.5'), true);
+        assert.equal(Numeric.from('-2').lt(1), true);
+        assert.equal(Numeric.from('10').cmp('9.99'), 1);
+        assert.equal(Numeric.from('12345678901234567891').cmp('12345678901234567890'), 1);
+        assert.equal(calculator.add(1, 2) + 1, 4);
+        assert.ok(Object.isFrozen(calculator.add(1, 2)));
+    });
+
+    test('primitives trả về Number/chuỗi như phiên bản cũ', () => {
+        const primitives = new CalculatorService({ primitives: true });
+        assert.equal(primitives.add(0.1, 0.2), 0.3);
+        assert.equal(primitives.multiply('12345678901234567890', '2'), '24691357802469135780');
+        assert.equal(primitives.power(2, 100), '1267650600228229401496703205376');
+        assert.ok(primitives.add(1, 2, { primitives: false }) instanceof Numeric);
+        assert.equal(calculator.add(1, 2, { primitives: true }), 3);
+    });
+});
+
+describe('CalculatorService - biểu thức, làm tròn và chuỗi', () => {
+    test('evaluate tính theo thứ tự ưu tiên', () => {
+        assert.equal(String(calculator.evaluate('(1.5 + 2) * 3')), '10.5');
+        assert.equal(String(calculator.evaluate('2 ^ 10')), '1024');
+    });
+
+    test('dấu trừ một ngôi đổi dấu chính xác, không làm tròn toán hạng', () => {
+        assert.equal(String(calculator.evaluate('-0.125 * 8')), '-1');
+        assert.equal(String(calculator.evaluate('-x * 8', { x: '0.125' })), '-1');
+        assert.equal(String(calculator.evaluate('-(1 - 1)')), '0');
+        assert.equal(String(calculator.evaluate('-x * 3', { x: new Fraction(1, 3) })), '-1');
+        assert.equal(String(calculator.evaluate('-12345678901234567890 * 2')), '-24691357802469135780');
+    });
+
+    test('power giữ chính xác số nguyên lớn và số mũ âm', () => {
+        assert.equal(String(calculator.power(2, 100)), '1267650600228229401496703205376');
+        assert.equal(String(calculator.power(3, 40)), '12157665459056928801');
+        assert.equal(String(calculator.power(10, -3)), '0.001');
+        assert.equal(String(calculator.power(2, 0.5)), '1.41');
+        assert.throws(() => calculator.power(0, -1), DivisionByZeroError);
+    });
+
+    test('round theo chế độ làm tròn', () => {
+        assert.equal(String(calculator.round(2.345, 2)), '2.35');
+        assert.equal(String(calculator.round('2.345', 2, 'HALF_EVEN')), '2.34');
+    });
+
+    test('chain nối các phép tính', () => {
+        assert.equal(String(calculator.chain('100').add('2.5').multiply(3).divide(7).round(2).value()), '43.93');
+    });
+
+    test('chain ghi lịch sử từng bước kèm kiểu toán hạng', () => {
+        const history = calculator.chain('100').add('2.5').multiply(3).round(1).history();
+        assert.deepEqual(history.map(step => [step.step, step.operation, step.result]), [
+            [0, 'start', '100'], [1, 'add', '102.5'], [2, 'multiply', '307.5'], [3, 'round', '307.5']
+        ]);
+        assert.deepEqual(history[2].operands, [{ type: 'numeric', value: '102.5' }, { type: 'number', value: '3' }]);
+        assert.deepEqual(history[3].options, { scale: 1, roundingMode: 'HALF_UP' });
+        assert.equal(calculator.chain('12345678901234567890').multiply(2).history()[1].bigInteger, true);
+    });
+
+    test('replay chạy lại bản toJSON và báo REPLAY_MISMATCH khi kết quả khác', () => {
+        const chain = calculator.chain('100').add('2.5').multiply(3).divide(7).round(2);
+        assert.equal(String(calculator.replay(JSON.stringify(chain)).value()), '43.93');
+        const json = chain.toJSON();
+        assert.equal(json.result, '43.93');
+        json.steps[2].result = '307.6';
+        assert.throws(() => calculator.replay(json), error => {
+            assert.equal(error.code, 'REPLAY_MISMATCH');
+            assert.equal(error.getMessage('en'), 'Step 2 produced 307.5, expected 307.6 (multiplication)');
+            return true;
+        });
+        // Service có precision khác cho kết quả chia khác bản ghi
+        assert.throws(() => new CalculatorService({ precision: 4 }).replay(chain.toJSON()), { code: 'REPLAY_MISMATCH' });
+    });
+
+    test('undo quay lại bước trước mà không đổi chuỗi gốc', () => {
+        const chain = calculator.chain('100').add('2.5').multiply(3);
+        assert.equal(String(chain.undo().value()), '102.5');
+        assert.equal(String(chain.value()), '307.5');
+        assert.equal(chain.undo().history().length, 2);
+        assert.throws(() => calculator.chain(1).undo(), { code: 'NOTHING_TO_UNDO' });
+    });
+
+    test('audit in bản giải trình theo ngôn ngữ', () => {
+        const chain = calculator.chain('100').add('2.5').divide(7).round(2);
+        assert.equal(chain.audit(), [
+            '0. Bắt đầu: 100',
+            '1. 100 + 2.5 = 102.5',
+            '2. 102.5 ÷ 7 = 14.64',
+            '3. Làm tròn 14.64 (2 chữ số, HALF_UP) = 14.64'
+        ].join('\n'));
+        assert.equal(calculator.chain('12345678901234567890').multiply(2).audit({ language: 'en' }), [
+            '0. Start: 12345678901234567890 [big integer]',
+            '1. 12345678901234567890 × 2 = 24691357802469135780 [big integer]'
+        ].join('\n'));
+    });
+
+    test('format và parse theo locale', () => {
+        assert.equal(calculator.format('1234567.891', { scale: 2 }), '1.234.567,89');
+        assert.equal(String(calculator.parse('1.234,5')), '1234.5');
+    });
+
+    test('hàm siêu việt theo số chữ số yêu cầu', () => {
+        assert.equal(String(calculator.sqrt(2, { digits: 10 })), '1.414213562');
+        assert.equal(String(calculator.ln(10, { digits: 10 })), '2.302585093');
+    });
+
+    test('báo PRECISION_LIMIT thay vì trả về chữ số cuối chưa chắc chắn', () => {
+        // (2^101)^(1/101) đúng bằng 2, làm tròn xuống không bao giờ tách được khỏi điểm làm tròn
+        const base = (2n ** 101n).toString();
+        assert.equal(String(calculator.power(base, '1/101', { scale: 2 })), '2');
+        assert.throws(() => calculator.power(base, '1/101', { scale: 2, roundingMode: 'DOWN' }), { code: 'PRECISION_LIMIT' });
+    });
+});
+
+describe('CalculatorService - số học', () => {
+    const big = '123456789012345678901234567890';
+
+    test('gcd và lcm trên Number, chuyển sang BigInt khi kết quả vượt MAX_SAFE_INTEGER', () => {
+        assert.equal(String(calculator.gcd(12, -18)), '6');
+        assert.equal(String(calculator.gcd(0, 0)), '0');
+        assert.equal(calculator.gcd(12, 18, { primitives: true }), 6);
+        assert.equal(String(calculator.gcd(big, '987654321098765432109876543210')), '9000000000900000000090');
+        assert.equal(String(calculator.lcm(4, 6)), '12');
+        assert.equal(String(calculator.lcm(2 ** 30, 3 ** 19)), '1247968747541495808');
+        assert.throws(() => calculator.gcd(1.5, 2), { code: 'INVALID_OPERAND' });
+    });
+
+    test('modPow và modInverse', () => {
+        assert.equal(String(calculator.modPow(4, 13, 497)), '445');
+        assert.equal(String(calculator.modPow(3, -1, 7)), '5');
+        assert.equal(String(calculator.modPow(2, 100, big)), '33082710104772612484357526476');
+        assert.equal(String(calculator.modInverse(-3, 11)), '7');
+        assert.equal(String(calculator.modInverse(3, '1000000000000000000007')), '333333333333333333336');
+        assert.throws(() => calculator.modInverse(2, 4), { code: 'NOT_INVERTIBLE' });
+        assert.throws(() => calculator.modPow(2, 3, 0), DivisionByZeroError);
+    });
+
+    test('integerSqrt và integerNthRoot lấy phần nguyên của căn', () => {
+        assert.equal(String(calculator.integerSqrt(2 ** 53 - 1)), '94906265');
+        assert.equal(String(calculator.integerSqrt(`1${'0'.repeat(41)}`)), '316227766016837933199');
+        assert.equal(String(calculator.integerNthRoot(-27, 3)), '-3');
+        assert.equal(String(calculator.integerNthRoot(2 ** 52 + 5, 2)), '67108864');
+        assert.equal(String(calculator.integerNthRoot(`1${'0'.repeat(60)}`, 3)), `1${'0'.repeat(20)}`);
+        assert.throws(() => calculator.integerSqrt(-1), { code: 'INVALID_OPERAND' });
+        assert.throws(() => calculator.integerNthRoot(-16, 2), { code: 'INVALID_OPERAND' });
+    });
+
+    test('factorial và binomial chính xác khi vượt MAX_SAFE_INTEGER', () => {
+        assert.equal(calculator.factorial(18, { primitives: true }), 6402373705728000);
+        assert.equal(String(calculator.factorial(25)), '15511210043330985984000000');
+        assert.equal(String(calculator.binomial(52, 5)), '2598960');
+        assert.equal(String(calculator.binomial(100, 50)), '100891344545564193334812497256');
+        assert.equal(String(calculator.binomial(5, 7)), '0');
+    });
+
+    test('isProbablePrime loại các số giả nguyên tố mạnh', () => {
+        assert.equal(calculator.isProbablePrime(2047), false);
+        assert.equal(calculator.isProbablePrime(561), false);
+        assert.equal(calculator.isProbablePrime(4294967291), true);
+        assert.equal(calculator.isProbablePrime(3215031751), false);
+        assert.equal(calculator.isProbablePrime('2305843009213693951'), true);
+        assert.equal(calculator.isProbablePrime('618970019642690137449562111'), true);
+        // Giả nguyên tố mạnh với mọi cơ số đến 37, và với mọi cơ số đến 41 (giới hạn của các cơ số cố định)
+        assert.equal(calculator.isProbablePrime('318665857834031151167461'), false);
+        assert.equal(calculator.isProbablePrime('3317044064679887385961981'), false);
+    });
+
+    test('factorial và binomial báo OverflowError khi kết quả có hơn 100000 chữ số', () => {
+        assert.equal(String(calculator.factorial(25205)).length, 99996);
+        assert.throws(() => calculator.factorial(25206), OverflowError);
+        assert.throws(() => calculator.factorial(1e9), OverflowError);
+        assert.throws(() => calculator.binomial(2000000, 1000000), OverflowError);
+        assert.equal(String(calculator.binomial(`1${'0'.repeat(200)}`, 2)).length, 400);
+    });
+});
+
+describe('CalculatorService - cơ số và phép toán bit', () => {
+    test('convert đọc tiền tố và đổi giữa các cơ số 2–36', () => {
+        assert.equal(calculator.convert('0xff', { to: 2 }), '11111111');
+        assert.equal(calculator.convert('0b1010'), '10');
+        assert.equal(calculator.convert('0o755'), '493');
+        assert.equal(calculator.convert('-0x10'), '-16');
+        assert.equal(calculator.convert('zz', { from: 36 }), '1295');
+        assert.equal(calculator.convert(255, { to: 36 }), '73');
+        // Ở cơ số 16, "0b" là hai chữ số chứ không phải tiền tố
+        assert.equal(calculator.convert('0b12', { from: 16 }), '2834');
+        assert.equal(calculator.convert(255, { to: 16, prefix: true, uppercase: true }), '0xFF');
+        assert.equal(calculator.convert(8, { to: 8, prefix: true }), '0o10');
+    });
+
+    test('convert quy về số bù hai theo width và signed', () => {
+        assert.equal(calculator.convert(-1, { to: 16, width: 8, signed: false }), 'ff');
+        assert.equal(calculator.convert('0xff', { width: 8 }), '-1');
+        assert.throws(() => calculator.convert(1, { to: 37 }), { code: 'INVALID_OPTION' });
+        assert.throws(() => calculator.convert(1, { to: 1 }), { code: 'INVALID_OPTION' });
+        assert.throws(() => calculator.convert(1, { width: 0 }), { code: 'INVALID_OPTION' });
+        assert.throws(() => calculator.convert('12', { from: 2 }), { code: 'INVALID_OPERAND' });
+    });
+
+    test('and, or, xor, not theo bù hai', () => {
+        assert.equal(String(calculator.and(-1, 12)), '12');
+        assert.equal(String(calculator.and('0xff', -2, { width: 8, signed: false })), '254');
+        assert.equal(String(calculator.or('0b1000', 1)), '9');
+        assert.equal(String(calculator.xor(-1, 5)), '-6');
+        assert.equal(String(calculator.not(5)), '-6');
+        assert.equal(String(calculator.not(5, { width: 8, signed: false })), '250');
+        assert.equal(String(calculator.not('0x0f', { width: 8 })), '-16');
+        assert.equal(calculator.and(1, 3, { primitives: true }), 1);
+        assert.throws(() => calculator.and(1.5, 1), { code: 'INVALID_OPERAND' });
+    });
+
+    test('dịch bit trong và ngoài giới hạn width', () => {
+        assert.equal(String(calculator.shiftLeft(1, 7, { width: 8 })), '-128');
+        assert.equal(String(calculator.shiftLeft(1, 7, { width: 8, signed: false })), '128');
+        assert.equal(String(calculator.shiftLeft(1, 9, { width: 8 })), '0');
+        assert.equal(String(calculator.shiftLeft(1, 100)), '1267650600228229401496703205376');
+        assert.equal(String(calculator.shiftRight(-16, 2)), '-4');
+        assert.equal(String(calculator.shiftRight(-16, 2, { width: 8, signed: false })), '60');
+        assert.throws(() => calculator.shiftLeft(1, -1), { code: 'INVALID_OPERAND' });
+        assert.throws(() => calculator.shiftLeft(1, 1e9), OverflowError);
+    });
+
+    test('các phép tính số học nhận toán hạng có tiền tố cơ số', () => {
+        assert.equal(String(calculator.add('0xff', 1)), '256');
+        assert.equal(String(calculator.subtract('0b1000', '0o7')), '1');
+        assert.equal(String(calculator.multiply('0x10', '0x10')), '256');
+    });
+});
+
+describe('CalculatorService - thống kê', () => {
+    test('tính chính xác trên danh sách', () => {
+        assert.equal(String(calculator.sum([0.1, 0.2, 0.3])), '0.6');
+        assert.equal(String(calculator.mean([1, 2, 4])), '2.33');
+        assert.equal(String(calculator.median(['1', '3', '2', '10'])), '2.5');
+        assert.equal(String(calculator.stddev([2, 4, 4, 4, 5, 5, 7, 9])), '2');
+        assert.equal(String(calculator.sum(['12345678901234567890', 1])), '12345678901234567891');
+    });
+
+    test('sắp xếp chính xác cả khi các giá trị chỉ khác nhau ở chữ số rất nhỏ', () => {
+        const close = ['1.00000000000000000003', '1.00000000000000000001', '1.00000000000000000002'];
+        assert.equal(String(calculator.median(close)), '1.00000000000000000002');
+        assert.equal(String(calculator.max(['1e400', '-1e400', 1])), `1${'0'.repeat(400)}`);
+        assert.equal(String(calculator.median([new Fraction(1, 3), new Fraction(-5, 7), new Fraction(1, 6)])), '0.16666666666666666667');
+    });
+
+    test('trung bình có trọng số và phân vị', () => {
+        assert.equal(String(calculator.weightedAverage(['0.5', '1.25'], ['0.1', '0.3'])), '1.06');
+        assert.equal(String(calculator.percentile([1, 2, 3, 4], '0.5')), '2.5');
+        assert.throws(() => calculator.weightedAverage([1, 2], [1, -1]), DivisionByZeroError);
+    });
+
+    test('trung bình có trọng số trên async iterable chỉ nhận các cặp [value, weight]', async () => {
+        async function* pairs() {
+            yield ['0.5', '0.1'];
+            yield ['1.25', '0.3'];
+        }
+        async function* values() {
+            yield '0.5';
+            yield '1.25';
+        }
+        assert.equal(String(await calculator.weightedAverage(pairs())), '1.06');
+        await assert.rejects(calculator.weightedAverage(values(), ['0.1', '0.3']), error => {
+            assert.ok(error instanceof InvalidOperandError);
+            assert.match(error.getMessage('en'), /^An async source must yield \[value, weight\] pairs instead of taking a separate weights array/);
+            return true;
+        });
+    });
+});
+
+describe('Money', () => {
+    test('split chia đều, tổng các phần bằng số tiền ban đầu', () => {
+        const parts = Money.of('10', 'USD').split(3);
+        assert.deepEqual(parts.map(part => part.minorUnits), ['334', '333', '333']);
+    });
+
+    test('split báo lỗi số phần với đúng tên phép toán', () => {
+        assert.throws(() => Money.of('10', 'USD').split(0), error => {
+            assert.equal(error.operation, 'split');
+            assert.equal(error.getMessage('en'), 'Count must be a positive integer: 0 (splitting)');
+            return true;
+        });
+    });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+/**
+ * Chạy CLI với các tham số, trả về mã thoát và đầu ra
+ * @param {Array<string>} args - Tham số dòng lệnh
+ * @param {string} [input] - Dữ liệu cho stdin
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args, input = '') {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+    return { status, stdout, stderr };
+}
+
+describe('cli', () => {
+    test('calc in kết quả', () => {
+        assert.deepEqual(run(['calc', '(1.5 + 2) * 3']), { status: 0, stdout: '10.5\n', stderr: '' });
+        assert.equal(run(['calc', 'add', '0.1', '0.2']).stdout, '0.3\n');
+    });
+
+    test('url in nhóm khớp hoặc thoát với mã 1 khi không khớp', () => {
+        assert.deepEqual(run(['url', 'exec', '/a/:b', '/a/1']), { status: 0, stdout: '{"pathname":{"b":"1"}}\n', stderr: '' });
+        assert.equal(run(['url', 'exec', 'https://:sub.example.com/*', 'https://api.example.com/users/42']).stdout,
+            '{"hostname":{"sub":"api"},"pathname":{"0":"users/42"}}\n');
+        assert.equal(run(['url', 'test', '/a/:b', '/c/1']).status, 1);
+    });
+
+    test('mẫu sai cú pháp báo lỗi thay vì dừng với stack trace', () => {
+        const { status, stdout, stderr } = run(['url', 'exec', '/a/:b(', '/a/1']);
+        assert.equal(status, 1);
+        assert.equal(stdout, '');
+        assert.equal(stderr, "error: Invalid pattern '/a/:b(': unbalanced regexp group at index 5\n");
+
+        const json = run(['--json', '--batch', 'url', 'test', '/a/:b('], '/a/1\n');
+        assert.equal(json.status, 1);
+        assert.equal(JSON.parse(json.stdout).error.name, 'TypeError');
+    });
+
+    test('sai cách dùng thoát với mã 2', () => {
+        assert.equal(run(['url', 'nope', '/a', '/a']).status, 2);
+        assert.equal(run(['--precision', 'x', 'calc', '1']).status, 2);
+    });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import Finance from '../CalculateService/Finance.js';
+import { InvalidOperandError } from '../CalculateService/errors.js';
+
+const finance = new Finance();
+
+describe('Finance - niên kim', () => {
+    test('pmt, fv, pv khớp kết quả của bảng tính', () => {
+        assert.equal(String(finance.pmt(0.01, 12, 1000)), '-88.85');
+        assert.equal(String(finance.pmt(0.01, 12, 1000, { when: 'begin' })), '-87.97');
+        assert.equal(String(finance.fv(0.05, 10, -100)), '1257.79');
+        assert.equal(String(finance.pv(0.01, 12, -88.85)), '1000.01');
+    });
+
+    test('nper và rate', () => {
+        assert.equal(String(finance.nper(0.01, -100, 1000)), '10.58864445942323599519');
+        assert.equal(String(finance.nper(0, -100, 1000)), '10');
+        assert.equal(String(finance.rate(12, -88.85, 1000, { scale: 6 })), '0.010002');
+    });
+
+    test('nper báo NO_SOLUTION khi khoản trả không đủ trả lãi', () => {
+        assert.throws(() => finance.nper(0.01, -5, 1000), error => {
+            assert.equal(error.code, 'NO_SOLUTION');
+            assert.equal(error.getMessage('en'), 'No number of periods satisfies the given cash flows (number of periods)');
+            return true;
+        });
+    });
+
+    test('rate báo NO_CONVERGENCE kèm báo cáo hội tụ', () => {
+        assert.throws(() => new Finance({ maxIterations: 1 }).rate(12, -88.85, 1000), error => {
+            assert.equal(error.code, 'NO_CONVERGENCE');
+            assert.equal(error.report.converged, false);
+            return true;
+        });
+    });
+
+    test('primitives trả về chuỗi', () => {
+        assert.equal(new Finance({ primitives: true }).pmt(0.01, 12, 1000), '-88.85');
+    });
+});
+
+describe('Finance - dòng tiền', () => {
+    test('npv chiết khấu cả khoản tiền đầu tiên', () => {
+        assert.equal(String(finance.npv(0.1, [-10000, 3000, 4200, 6800])), '1188.44');
+    });
+
+    test('irr trả về báo cáo hội tụ', () => {
+        const report = finance.irr([-70000, 12000, 15000, 18000, 21000, 26000], { scale: 6 });
+        assert.equal(String(report.rate), '0.086631');
+        assert.equal(report.converged, true);
+        assert.equal(report.method, 'newton');
+        assert.ok(report.iterations > 0);
+        assert.ok(report.residual.gt('-1e-6') && report.residual.lt('1e-6'));
+    });
+
+    test('irr chuyển sang chia đôi và báo chưa hội tụ khi hết vòng lặp', () => {
+        const report = new Finance({ maxIterations: 1 }).irr([-70000, 12000, 15000, 18000, 21000, 26000]);
+        assert.equal(report.converged, false);
+        assert.equal(report.method, 'bisection');
+    });
+
+    test('irr và xirr báo InvalidOperandError khi dòng tiền không hợp lệ', () => {
+        assert.throws(() => finance.irr([1, 2]), InvalidOperandError);
+        assert.throws(() => finance.xirr([-1, 2], ['2024-01-01']), InvalidOperandError);
+    });
+
+    test('xirr theo quy ước 365 ngày', () => {
+        const dates = ['2008-01-01', '2008-03-01', '2008-10-30', '2009-02-15', '2009-04-01'];
+        const report = finance.xirr([-10000, 2750, 4250, 3250, 2750], dates, { scale: 9 });
+        assert.equal(String(report.rate), '0.373362534');
+        assert.equal(report.converged, true);
+    });
+});
+
+describe('Finance - lãi suất và lịch trả nợ', () => {
+    test('quy đổi lãi suất danh nghĩa và lãi suất thực', () => {
+        assert.equal(String(finance.effectiveRate(0.0525, 4, { scale: 7 })), '0.0535427');
+        assert.equal(String(finance.nominalRate('0.053543', 4, { scale: 8 })), '0.05250032');
+        assert.throws(() => finance.effectiveRate(0.12, 0), InvalidOperandError);
+    });
+
+    test('kỳ cuối trả hết phần gốc còn lại, dư nợ về đúng 0', () => {
+        const rows = finance.amortizationSchedule(1000, 0.01, 3);
+        assert.deepEqual(rows.map(row => String(row.payment)), ['340.02', '340.02', '340.03']);
+        assert.deepEqual(rows.map(row => String(row.balance)), ['669.98', '336.66', '0']);
+        assert.equal(String(rows[2].principal), '336.66');
+        assert.ok(rows[2].balance.isZero());
+    });
+});
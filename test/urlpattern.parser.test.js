@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { PATHNAME_OPTIONS, comparePartLists, generateRegex, parsePattern, tokenize } from '../URLPattern/parser.js';
+
+describe('tokenize', () => {
+	test('splits a pattern into typed tokens', () => {
+		const tokens = tokenize('/:id(\\d+)?{x}*\\.');
+		assert.deepEqual(tokens.map(({ type, value }) => [type, value]), [
+			['char', '/'],
+			['name', 'id'],
+			['regexp', '\\d+'],
+			['other-modifier', '?'],
+			['open', '{'],
+			['char', 'x'],
+			['close', '}'],
+			['asterisk', '*'],
+			['escaped-char', '.'],
+			['end', '']
+		]);
+		assert.equal(tokens.at(-1).index, 16);
+	});
+
+	test('throws on syntax errors unless lenient', () => {
+		assert.throws(() => tokenize('/a('), /unbalanced regexp group at index 2/);
+		assert.throws(() => tokenize('/a\\'), /trailing escape character/);
+		assert.throws(() => tokenize('/:'), /missing group name/);
+		assert.deepEqual(tokenize('/a(', { lenient: true }).map(token => token.type), ['char', 'char', 'invalid-char', 'end']);
+	});
+
+	test('rejects capturing groups inside a regexp group', () => {
+		assert.throws(() => tokenize('/((a))'), /capturing groups are not allowed/);
+		assert.equal(tokenize('/((?:a))')[1].value, '(?:a)');
+	});
+});
+
+describe('parsePattern', () => {
+	test('gives fixed text, groups and modifiers', () => {
+		assert.deepEqual(parsePattern('/users/:id(\\d+)/*?', PATHNAME_OPTIONS), [
+			{ type: 'fixed', value: '/users', modifier: 'none', name: '', prefix: '', suffix: '' },
+			{ type: 'regexp', value: '\\d+', modifier: 'none', name: 'id', prefix: '/', suffix: '' },
+			{ type: 'full-wildcard', value: '', modifier: 'optional', name: '0', prefix: '/', suffix: '' }
+		]);
+	});
+
+	test('keeps the prefix of a group in braces', () => {
+		assert.deepEqual(parsePattern('{/:a}?', PATHNAME_OPTIONS), [
+			{ type: 'segment-wildcard', value: '', modifier: 'optional', name: 'a', prefix: '/', suffix: '' }
+		]);
+	});
+
+	test('rejects duplicate group names', () => {
+		assert.throws(() => parsePattern('/:a/:a', PATHNAME_OPTIONS), TypeError);
+	});
+});
+
+describe('generateRegex', () => {
+	test('anchors the source and lists group names in capture order', () => {
+		const { source, names } = generateRegex(parsePattern('/users/:id(\\d+)/*?', PATHNAME_OPTIONS), PATHNAME_OPTIONS);
+		assert.equal(source, '^\\/users(?:\\/(\\d+))(?:\\/(.*))?$');
+		assert.deepEqual(names, ['id', '0']);
+	});
+
+	test('repeats a group with its prefix', () => {
+		const { source } = generateRegex(parsePattern('/files/:path+', PATHNAME_OPTIONS), PATHNAME_OPTIONS);
+		const regex = new RegExp(source, 'u');
+		assert.equal(regex.exec('/files/a/b/c')[1], 'a/b/c');
+		assert.equal(regex.test('/files'), false);
+	});
+});
+
+describe('comparePartLists', () => {
+	test('ranks fixed text above groups above wildcards', () => {
+		const parts = pattern => parsePattern(pattern, PATHNAME_OPTIONS);
+		assert.equal(comparePartLists(parts('/foo/bar'), parts('/foo/:id')), 1);
+		assert.equal(comparePartLists(parts('/foo/:id'), parts('/foo/*')), 1);
+		assert.equal(comparePartLists(parts('/foo/:id'), parts('/foo/:other')), 0);
+	});
+});
@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import URLPattern, { ParamError } from '../URLPattern/index.js';
+
+describe('URLPattern', () => {
+	test('matches every component and returns groups per component', () => {
+		const pattern = new URLPattern('https://:sub.example.com/users/:id(\\d+)');
+		const result = pattern.exec('https://api.example.com/users/42');
+		assert.deepEqual(result.hostname.groups, { sub: 'api' });
+		assert.deepEqual(result.pathname.groups, { id: '42' });
+		assert.equal(pattern.test('http://api.example.com/users/42'), false);
+		assert.equal(pattern.test('https://api.example.com/users/abc'), false);
+	});
+
+	test('matches case-sensitively by default', () => {
+		assert.equal(new URLPattern('/Users').test('/users'), false);
+		assert.equal(new URLPattern('/Users', { ignoreCase: true }).test('/users'), true);
+	});
+
+	test('treats a trailing slash as optional without strictTrailingSlash', () => {
+		const loose = new URLPattern('/users', { strictTrailingSlash: false });
+		assert.equal(loose.test('/users'), true);
+		assert.equal(loose.test('/users/'), true);
+		assert.equal(new URLPattern('/users').test('/users/'), false);
+	});
+
+	test('decodes groups and compares hostnames in punycode form', () => {
+		const pattern = new URLPattern('/files/:name', { decodeGroups: true });
+		assert.deepEqual(pattern.exec('/files/%E1%BA%A1').pathname.groups, { name: 'ạ' });
+		assert.equal(new URLPattern({ hostname: 'café.com' }).test('https://xn--caf-dma.com/'), true);
+	});
+
+	test('normalizes Unicode with normalizeUnicode', () => {
+		// Precomposed 'é' in the pattern, 'e' followed by a combining accent in the URL
+		const pattern = new URLPattern('/caf\u00e9', { normalizeUnicode: true });
+		assert.equal(pattern.test('/cafe\u0301'), true);
+		assert.equal(new URLPattern('/caf\u00e9').test('/cafe\u0301'), false);
+	});
+
+	test('inherits the components before the first given one from the base URL', () => {
+		const pattern = new URLPattern('/foo', 'https://example.com');
+		assert.equal(pattern.test('https://example.com/foo'), true);
+		assert.equal(pattern.test('https://other.com/foo'), false);
+		assert.equal(new URLPattern({ pathname: '/foo', baseURL: 'https://example.com' }).test('https://other.com/foo'), false);
+		const search = new URLPattern({ search: 'q', baseURL: 'https://u:p@example.com/a/b?x#y' });
+		assert.deepEqual([search.username, search.pathname, search.search, search.hash], ['*', '/a/b', 'q', '*']);
+		assert.equal(new URLPattern('c/:id', 'https://example.com/a/b').pathname, '/a/c/:id');
+		assert.throws(() => new URLPattern('/foo', 'not a url'), /Invalid base URL: 'not a url'/);
+	});
+
+	test('explains where a pathname stops matching', () => {
+		const report = new URLPattern('/users/:id(\\d+)/posts').explain('/users/abc/posts');
+		assert.equal(report.matched, false);
+		assert.equal(report.components.pathname.matched, false);
+		assert.deepEqual(report.components.pathname.divergence, { part: '/:id(\\d+)', position: 6, segmentIndex: 2, segment: 'abc' });
+	});
+});
+
+describe('URLPattern#generate', () => {
+	test('fills in groups and percent-encodes values', () => {
+		assert.equal(new URLPattern('/users/:id(\\d+)/:slug').generate({ id: 42, slug: 'a b' }), '/users/42/a%20b');
+		assert.equal(new URLPattern('https://:sub.example.com/u').generate({ sub: 'api' }), 'https://api.example.com/u');
+	});
+
+	test('leaves out optional groups and joins repeated groups', () => {
+		assert.equal(new URLPattern('/docs/:page?').generate({}), '/docs');
+		assert.equal(new URLPattern('/files/:path+').generate({ path: ['a', 'b'] }), '/files/a/b');
+		assert.equal(new URLPattern('/files/:path+').generate({ path: 'a/b' }), '/files/a/b');
+	});
+
+	test('throws for missing or invalid values', () => {
+		assert.throws(() => new URLPattern('/users/:id/:tab').generate({}), /Missing parameters for pattern '\/users\/:id\/:tab': id, tab/);
+		assert.throws(() => new URLPattern('/users/:id(\\d+)').generate({ id: 'x' }), TypeError);
+	});
+
+	test('never requires wildcards', () => {
+		assert.equal(new URLPattern({ hostname: 'x.com', port: ':port' }).generate({ port: 8080 }), '//x.com:8080');
+		assert.equal(new URLPattern('/files/*').generate({}), '/files/');
+		assert.equal(new URLPattern('/files/*').generate({ 0: 'a/b' }), '/files/a/b');
+		assert.equal(new URLPattern('https://*.example.com/x').generate({}), 'https://.example.com/x');
+		assert.equal(new URLPattern('https://*.example.com/x').generate({ 0: 'api' }), 'https://api.example.com/x');
+	});
+
+	test('throws instead of generating a special URL without a hostname', () => {
+		assert.throws(() => new URLPattern('https://*/x').generate({}), /Cannot generate a https URL without a hostname for pattern 'https:\/\/\*\/x'/);
+		assert.throws(() => new URLPattern({ protocol: 'https', hostname: '(.*)' }).generate({}), TypeError);
+		assert.equal(new URLPattern('file:///x').generate({}), 'file:///x');
+	});
+
+	test('rejects hostname values the URL parser would cut short', () => {
+		const pattern = new URLPattern('https://:sub.example.com/u');
+		for (const sub of ['a/b', 'a?b', 'a#b', 'a\\b']) {
+			assert.throws(() => pattern.generate({ sub }), /Invalid value for parameter 'sub' in hostname/);
+		}
+		assert.throws(() => new URLPattern({ hostname: 'a/b' }), /Invalid hostname in pattern: 'a\/b'/);
+	});
+
+	test('round-trips with exec', () => {
+		const pattern = new URLPattern('/users/:id/:path*');
+		const url = pattern.generate({ id: 'ạ', path: ['x', 'y z'] });
+		assert.deepEqual(pattern.exec(url).pathname.groups, { id: '%E1%BA%A1', path: 'x/y%20z' });
+	});
+});
+
+describe('URLPattern params', () => {
+	const pattern = new URLPattern('/orders/:id/:status', {
+		params: { id: 'int', status: ['open', 'closed'], from: 'date', paid: 'boolean' }
+	});
+
+	test('constrains and converts typed groups and query parameters', () => {
+		const result = pattern.exec('/orders/42/open?from=2024-05-01&paid=1');
+		assert.deepEqual(result.pathname.groups, { id: 42, status: 'open' });
+		assert.deepEqual(result.search.query, { from: new Date('2024-05-01T00:00:00Z'), paid: true });
+		assert.equal(pattern.exec('/orders/abc/open'), null);
+		assert.equal(pattern.exec('/orders/1/pending'), null);
+	});
+
+	test('throws a ParamError naming the parameter', () => {
+		assert.throws(() => pattern.exec('/orders/1/open?from=2024-02-30'), error => {
+			assert.ok(error instanceof ParamError);
+			assert.equal(error.param, 'from');
+			assert.equal(error.reason, 'not a valid date');
+			return true;
+		});
+		assert.equal(pattern.test('/orders/1/open?from=2024-02-30'), false);
+	});
+
+	test('gives the reason a typed value does not convert', () => {
+		const custom = new URLPattern('/x/:x(\\w+)', { params: { x: 'int' } });
+		assert.throws(() => custom.exec('/x/abc'), { name: 'ParamError', reason: 'not an integer' });
+		assert.throws(() => custom.exec('/x/99999999999999999999'), { name: 'ParamError', reason: 'out of the safe integer range' });
+	});
+
+	test('matches booleans case-sensitively unless ignoreCase is set', () => {
+		const strict = new URLPattern('/flag/:on', { params: { on: 'boolean' } });
+		assert.equal(strict.exec('/flag/TRUE'), null);
+		assert.equal(strict.exec('/flag/true').pathname.groups.on, true);
+		const folded = new URLPattern('/flag/:on', { ignoreCase: true, params: { on: 'boolean' } });
+		assert.equal(folded.exec('/flag/TRUE').pathname.groups.on, true);
+		assert.equal(folded.exec('/flag/False').pathname.groups.on, false);
+	});
+
+	test('matches enum values with spaces or non-ASCII characters in the query', () => {
+		const orders = new URLPattern('/o/:s', { params: { q: ['mở', 'đóng'], name: ['a b'] } });
+		assert.deepEqual(orders.exec('/o/x?q=%C4%91%C3%B3ng&name=a+b').search.query, { q: 'đóng', name: 'a b' });
+		assert.equal(orders.test('/o/x?q=đóng'), true);
+		assert.equal(orders.test('/o/x?q=dong'), false);
+		assert.equal(orders.generate({ s: 'x', q: 'đóng', name: 'a b' }), '/o/x?q=%C4%91%C3%B3ng&name=a+b');
+	});
+
+	test('writes typed values back with generate', () => {
+		const url = pattern.generate({ id: 7, status: 'closed', from: new Date(Date.UTC(2024, 0, 2)) });
+		assert.equal(url, '/orders/7/closed?from=2024-01-02');
+		assert.throws(() => pattern.generate({ id: 'x', status: 'open' }), ParamError);
+	});
+
+	test('rejects unknown types', () => {
+		assert.throws(() => new URLPattern('/x/:a', { params: { a: 'nope' } }), /Unknown type 'nope' for parameter 'a'/);
+	});
+});
@@ -0,0 +1,67 @@
+/**
+ * Run URLPattern against test data in the web-platform-tests format of
+ * urlpattern/resources/urlpatterntestdata.json
+ * The bundled fixture is not the upstream WPT file: its cases are written in scripts/urlpattern-testdata.js
+ * and the expected values are recorded from urlpattern-polyfill 10.1.0 (npm run testdata:urlpattern).
+ * Set URLPATTERN_TESTDATA to the path of the upstream WPT file to run that instead.
+ * `expected_obj` is compared component by component with the pattern's normalized component strings,
+ * `expected_match` only for the components it lists.
+ * Cases this implementation deliberately answers differently are listed in EXCLUDED with the reason.
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import URLPattern from '../URLPattern/index.js';
+
+const file = process.env.URLPATTERN_TESTDATA ?? new URL('./fixtures/urlpatterntestdata.json', import.meta.url);
+const entries = JSON.parse(readFileSync(file, 'utf8'));
+
+/**
+ * Excluded cases, keyed by the JSON of their `pattern` array
+ * @type {Map<string, string>}
+ */
+const EXCLUDED = new Map([
+	['["/foo"]', 'a relative pattern string without a base URL is a pathname pattern that matches any origin (see the URLPattern constructor)']
+]);
+
+/**
+ * Expected groups with `null` standing for an unmatched optional group
+ * @param {Object} groups - Groups from the test data
+ * @returns {Object} Groups as exec() returns them
+ */
+function expectedGroups(groups) {
+	return Object.fromEntries(Object.entries(groups).map(([name, value]) => [name, value ?? undefined]));
+}
+
+for (const entry of entries) {
+	const [input, baseURL] = entry.pattern;
+	const key = JSON.stringify(entry.pattern);
+	const name = `${key} ${JSON.stringify(entry.inputs ?? [])}`;
+	test(name, { skip: EXCLUDED.get(key) ?? false }, () => {
+		if (entry.expected_obj === 'error') {
+			assert.throws(() => new URLPattern(input, baseURL), TypeError);
+			return;
+		}
+		const pattern = new URLPattern(input, baseURL);
+		for (const [component, expected] of Object.entries(entry.expected_obj ?? {})) {
+			assert.equal(pattern[component], expected, component);
+		}
+		if (!entry.inputs) {
+			return;
+		}
+		const [url, inputBase] = entry.inputs;
+		const target = inputBase !== undefined ? new URL(url, inputBase) : url;
+		const result = pattern.exec(target);
+		assert.equal(pattern.test(target), result !== null);
+		if (entry.expected_match === null) {
+			assert.equal(result, null);
+			return;
+		}
+		assert.notEqual(result, null);
+		for (const [component, expected] of Object.entries(entry.expected_match)) {
+			assert.equal(result[component].input, expected.input, component);
+			assert.deepEqual(result[component].groups, expectedGroups(expected.groups), component);
+		}
+	});
+}
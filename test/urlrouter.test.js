@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import URLRouter from '../URLRouter/index.js';
+
+describe('URLRouter', () => {
+	test('tries the most specific route first, whatever the registration order', () => {
+		const router = new URLRouter();
+		router.add('/users/*', { name: 'wild' });
+		router.add('/users/:id', { name: 'show' });
+		router.add('/users/:id(\\d+)', { name: 'numeric' });
+		router.add('/users/new', { name: 'new' });
+		assert.equal(router.match('/users/new').route.name, 'new');
+		assert.equal(router.match('/users/12').route.name, 'numeric');
+		assert.equal(router.match('/users/bob').route.name, 'show');
+		assert.equal(router.match('/users/bob/posts').route.name, 'wild');
+		assert.deepEqual(router.matchAll('/users/12').map(match => match.route.name), ['numeric', 'show', 'wild']);
+	});
+
+	test('ranks priority above specificity and explicit methods above any method', () => {
+		const router = new URLRouter();
+		router.add('/a/:x', { name: 'any' });
+		router.add('/a/:x', { name: 'get', method: 'get' });
+		router.add('/a/*', { name: 'urgent', priority: 1 });
+		assert.equal(router.match('/a/1').route.name, 'urgent');
+		assert.deepEqual(router.matchAll('/a/1', 'GET').map(match => match.route.name), ['urgent', 'get', 'any']);
+		assert.deepEqual(router.matchAll('/a/1', 'POST').map(match => match.route.name), ['urgent', 'any']);
+	});
+
+	test('returns the pathname groups and the full exec result', () => {
+		const router = new URLRouter({ baseURL: 'https://example.com' });
+		router.add('https://example.com/users/:id', { handler: 'users' });
+		const match = router.match('/users/7?tab=info');
+		assert.deepEqual(match.groups, { id: '7' });
+		assert.equal(match.route.handler, 'users');
+		assert.deepEqual(match.result.inputs, ['/users/7?tab=info']);
+		assert.equal(router.match('/posts/7'), null);
+	});
+
+	test('applies pattern options to the routes it creates', () => {
+		const router = new URLRouter({ ignoreCase: true, strictTrailingSlash: false });
+		router.add('/Admin/users/', { name: 'users' });
+		assert.equal(router.match('/admin/USERS').route.name, 'users');
+		assert.equal(router.match('/admin/users/').route.name, 'users');
+	});
+
+	test('moves on to the next route when a typed parameter does not convert', () => {
+		const router = new URLRouter();
+		router.add('/o/:id', { name: 'id', params: { id: 'int' } });
+		router.add('/o/:slug', { name: 'slug' });
+		assert.equal(router.match('/o/42').route.name, 'id');
+		assert.equal(router.match('/o/99999999999999999999').route.name, 'slug');
+		assert.deepEqual(router.matchAll('/o/99999999999999999999').map(match => match.route.name), ['slug']);
+
+		const explained = router.explain('/o/99999999999999999999');
+		assert.equal(explained.route.name, 'slug');
+		assert.deepEqual(explained.routes.map(entry => [entry.route.name, entry.report.matched]), [['id', false], ['slug', true]]);
+		assert.deepEqual(explained.routes[0].report.components.pathname.error, {
+			param: 'id',
+			value: '99999999999999999999',
+			reason: 'out of the safe integer range'
+		});
+	});
+
+	test('generates URLs for named routes', () => {
+		const router = new URLRouter();
+		router.add('/users/:id', { name: 'user' });
+		assert.equal(router.generate('user', { id: 5 }), '/users/5');
+		assert.throws(() => router.generate('nope'), /Unknown route name: nope/);
+		assert.throws(() => router.add('/u/:id', { name: 'user' }), /Duplicate route name: user/);
+	});
+});